@@ -0,0 +1,324 @@
+// eval.mjs
+// ラベル付きのメッセージ集（JSONL）を main.mjs と同じテキスト判定に通して精度を測る。
+//
+//   node eval.mjs corpus.jsonl [--guild <id>] [--provider <id>] [--model <name>]
+//                              [--record <file>] [--recording <file>]
+//                              [--out <file>] [--baseline <file>]
+//
+// corpus.jsonl は 1 行 1 件:
+//   {"id": "greet-1", "text": "おはよう", "label": "none"}
+//   {"text": "死ね", "label": "threats", "context": {"author": "A", "history": [{"author": "B", "content": "…"}]}}
+// label は none / harassment / threats / hate / sexual / self-harm / spam。id を省略すると行番号。
+//
+// --guild     guildConfig.json のどのギルドの設定（禁止ワード・カテゴリ別しきい値・言語・プロバイダー）を使うか
+// --provider  gemini / openai / rules に加えて、オフライン用の mock（禁止ワードから JSON を返す）と
+//             recorded（--record で保存した応答を再生）
+// --record    実 API の応答を保存する（次回から --provider recorded --recording <file> で同じ応答を再生できる）
+// --out       結果の保存先（既定 evalResult.json）。--baseline に前回の結果を渡すと差分を表示する
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import {
+  CLASSIFIER_PROVIDERS,
+  VERDICT_CATEGORIES,
+  classifyText,
+  getClassifierSettings,
+  simpleKeywordCheck,
+} from "./main.mjs";
+
+// ====================================
+// 引数
+// ====================================
+const OPTION_NAMES = ["guild", "provider", "model", "record", "recording", "out", "baseline"];
+
+function parseArgs(argv) {
+  const opts = { out: "evalResult.json" };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith("--") ? argv[i].slice(2) : null;
+    if (name === null) {
+      rest.push(argv[i]);
+      continue;
+    }
+    if (!OPTION_NAMES.includes(name) || argv[i + 1] === undefined) throw new Error(`不明なオプションか値がありません: ${argv[i]}`);
+    opts[name] = argv[++i];
+  }
+  if (rest.length !== 1) throw new Error("コーパスの JSONL ファイルを 1 つ指定してください");
+  return { ...opts, corpus: rest[0] };
+}
+
+function readCorpus(file) {
+  const items = [];
+  fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${i + 1} JSON として読めません: ${e.message}`);
+    }
+    if (typeof obj.text !== "string") throw new Error(`${file}:${i + 1} text がありません`);
+    if (!VERDICT_CATEGORIES.includes(obj.label)) {
+      throw new Error(`${file}:${i + 1} label は ${VERDICT_CATEGORIES.join(" / ")} のいずれかにしてください`);
+    }
+    items.push({ id: String(obj.id ?? i + 1), text: obj.text, label: obj.label, context: toContext(obj.context) });
+  });
+  return items;
+}
+
+// collectMessageContext() と同じ形にする（コーパスでは ID の代わりに名前で投稿者を区別する）
+function toContext(context) {
+  if (!context) return null;
+  const line = (l) => ({ authorId: l.author, author: l.author, content: String(l.content ?? "") });
+  return {
+    authorId: context.author,
+    author: context.author,
+    history: (context.history || []).map(line),
+    replyTo: context.replyTo ? line(context.replyTo) : null,
+  };
+}
+
+// ====================================
+// オフライン用プロバイダー
+// ====================================
+function recordingKey({ model, prompt }) {
+  return crypto.createHash("sha256").update(`${model}\n${prompt}`).digest("hex");
+}
+
+// 実 API の応答をプロンプトのハッシュごとに残す
+function withRecording(provider, recording) {
+  return {
+    ...provider,
+    async generate(args) {
+      const rep = await provider.generate(args);
+      recording.responses[recordingKey(args)] = rep;
+      return rep;
+    },
+  };
+}
+
+// recording: --record で保存した { provider, model, responses }
+function recordedProvider(recording) {
+  return {
+    label: "recorded",
+    defaultTextModel: recording.model,
+    async generate(args) {
+      const rep = recording.responses[recordingKey(args)];
+      if (rep === undefined) throw new Error("録音にない応答です（プロンプトかモデルが変わっています）");
+      return rep;
+    },
+  };
+}
+
+// 判定中のメッセージの禁止ワード判定を AI の応答の形で返す（API を使わずに判定の流れを確かめる用）
+function mockProvider(current, guildId) {
+  return {
+    label: "mock",
+    defaultTextModel: null,
+    async generate() {
+      const { category, severity, confidence, reason } = simpleKeywordCheck(current.text, guildId);
+      return JSON.stringify({ category, severity, confidence, reason });
+    },
+  };
+}
+
+// ====================================
+// 集計
+// ====================================
+const ratio = (n, d) => (d > 0 ? n / d : null);
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// 予測は「処分の対象になったか」で見る（しきい値未満のカテゴリは none 扱い）
+function summarize(results) {
+  const confusion = Object.fromEntries(VERDICT_CATEGORIES.map((c) => [c, Object.fromEntries(VERDICT_CATEGORIES.map((p) => [p, 0]))]));
+  for (const r of results) confusion[r.label][r.predicted]++;
+
+  const categories = {};
+  for (const c of VERDICT_CATEGORIES.filter((c) => c !== "none")) {
+    const tp = confusion[c][c];
+    const fn = VERDICT_CATEGORIES.reduce((n, p) => n + (p !== c ? confusion[c][p] : 0), 0);
+    const fp = VERDICT_CATEGORIES.reduce((n, l) => n + (l !== c ? confusion[l][c] : 0), 0);
+    const tn = results.length - tp - fn - fp;
+    categories[c] = { tp, fp, fn, tn, precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn) };
+  }
+
+  // 全体はカテゴリを問わず「問題あり」を当てられたか
+  const tp = results.filter((r) => r.label !== "none" && r.predicted !== "none").length;
+  const fp = results.filter((r) => r.label === "none" && r.predicted !== "none").length;
+  const fn = results.filter((r) => r.label !== "none" && r.predicted === "none").length;
+  const latencies = results.map((r) => r.ms).sort((a, b) => a - b);
+  const methods = {};
+  for (const r of results) methods[r.method] = (methods[r.method] || 0) + 1;
+
+  return {
+    summary: {
+      total: results.length,
+      precision: ratio(tp, tp + fp),
+      recall: ratio(tp, tp + fn),
+      accuracy: ratio(results.filter((r) => r.label === r.predicted).length, results.length),
+      errors: results.filter((r) => r.error).length,
+      methods,
+      latency: {
+        avg: ratio(latencies.reduce((a, b) => a + b, 0), latencies.length),
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        max: latencies[latencies.length - 1] ?? null,
+      },
+    },
+    categories,
+    confusion,
+  };
+}
+
+// ====================================
+// 表示
+// ====================================
+const pct = (v) => (v === null || v === undefined ? "-" : `${(v * 100).toFixed(1)}%`);
+const ms = (v) => (v === null || v === undefined ? "-" : `${Math.round(v)}ms`);
+
+function signed(v, format) {
+  if (v === null || Number.isNaN(v)) return "";
+  const s = format(Math.abs(v));
+  return v > 0 ? ` (+${s})` : v < 0 ? ` (-${s})` : " (±0)";
+}
+
+function delta(after, before) {
+  return after === null || before === null || before === undefined ? null : after - before;
+}
+
+function printReport(run, baseline) {
+  const { summary, categories, confusion } = run;
+  const base = baseline?.summary;
+  console.log(`\n=== 評価結果: ${run.corpus}（${summary.total}件・${run.provider} / ${run.model ?? "-"}） ===`);
+  console.log(`適合率 (precision): ${pct(summary.precision)}${signed(delta(summary.precision, base?.precision), pct)}`);
+  console.log(`再現率 (recall):    ${pct(summary.recall)}${signed(delta(summary.recall, base?.recall), pct)}`);
+  console.log(`カテゴリ一致率:     ${pct(summary.accuracy)}${signed(delta(summary.accuracy, base?.accuracy), pct)}`);
+  console.log(`判定方法: ${Object.entries(summary.methods).map(([m, n]) => `${m} ${n}件`).join(" / ")}（AI の応答が得られなかったもの ${summary.errors}件）`);
+  console.log(
+    `処理時間: 平均 ${ms(summary.latency.avg)}${signed(delta(summary.latency.avg, base?.latency?.avg), ms)}` +
+      ` / p50 ${ms(summary.latency.p50)} / p95 ${ms(summary.latency.p95)}${signed(delta(summary.latency.p95, base?.latency?.p95), ms)}` +
+      ` / 最大 ${ms(summary.latency.max)}`
+  );
+
+  console.log("\n--- カテゴリ別 ---");
+  console.table(Object.fromEntries(Object.entries(categories).map(([c, v]) => [c, {
+    TP: v.tp,
+    FP: v.fp,
+    FN: v.fn,
+    TN: v.tn,
+    precision: pct(v.precision) + signed(delta(v.precision, baseline?.categories?.[c]?.precision), pct),
+    recall: pct(v.recall) + signed(delta(v.recall, baseline?.categories?.[c]?.recall), pct),
+  }])));
+
+  console.log("--- 混同行列（行: 正解 / 列: 判定） ---");
+  console.table(confusion);
+
+  if (!baseline) return;
+  const before = new Map(baseline.items.map((item) => [item.id, item]));
+  const changed = run.items.filter((item) => before.has(item.id) && before.get(item.id).predicted !== item.predicted);
+  console.log(`--- 前回（${baseline.createdAt}・${baseline.provider} / ${baseline.model ?? "-"}）から判定が変わったもの: ${changed.length}件 ---`);
+  for (const item of changed) {
+    const prev = before.get(item.id).predicted;
+    const mark = item.predicted === item.label ? "✅" : prev === item.label ? "❌" : "↔️";
+    console.log(`${mark} [${item.id}] 正解 ${item.label}: ${prev} → ${item.predicted}  ${item.text.replace(/\s+/g, " ").substring(0, 60)}`);
+  }
+  const added = run.items.filter((item) => !before.has(item.id)).length;
+  if (added > 0) console.log(`（前回のコーパスに無い ${added}件は比較していません）`);
+}
+
+// ====================================
+// 実行
+// ====================================
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const items = readCorpus(opts.corpus);
+  if (items.length === 0) throw new Error(`${opts.corpus} に判定するメッセージがありません`);
+
+  const guildId = opts.guild || null;
+  const base = getClassifierSettings(guildId);
+  const providerId = opts.provider || base.providerId;
+  const current = { text: "" };
+
+  let recording = { provider: providerId, model: null, responses: {} };
+  let provider;
+  if (providerId === "mock") {
+    provider = mockProvider(current, guildId);
+  } else if (providerId === "recorded") {
+    if (!opts.recording) throw new Error("--provider recorded には --recording <file> が必要です");
+    recording = JSON.parse(fs.readFileSync(opts.recording, "utf8"));
+    provider = recordedProvider(recording);
+  } else if (CLASSIFIER_PROVIDERS[providerId]) {
+    provider = CLASSIFIER_PROVIDERS[providerId];
+    if (opts.record && provider.generate) provider = withRecording(provider, recording);
+  } else {
+    throw new Error(`プロバイダーは ${[...Object.keys(CLASSIFIER_PROVIDERS), "mock", "recorded"].join(" / ")} から選んでください`);
+  }
+
+  const live = !!CLASSIFIER_PROVIDERS[providerId];
+  const settings = {
+    ...base,
+    providerId,
+    provider,
+    // オフラインのプロバイダーはギルド設定のモデルを使わない（mock はモデル無し、recorded は録音したモデル）
+    textModel: opts.model || (!live ? provider.defaultTextModel : providerId === base.providerId ? base.textModel : provider.defaultTextModel || base.textModel),
+  };
+  recording.model ??= settings.textModel;
+  // オフラインのプロバイダーは待ち行列・レート制限・サーキットブレーカーを通さない
+  const call = live ? undefined : (fn) => fn();
+
+  const results = [];
+  for (const [i, item] of items.entries()) {
+    current.text = item.text;
+    const startTime = Date.now();
+    const result = await classifyText(item.text, guildId, { settings, context: item.context, call });
+    results.push({
+      id: item.id,
+      text: item.text,
+      label: item.label,
+      predicted: result.flagged ? result.category : "none",
+      category: result.category,
+      confidence: result.confidence,
+      method: result.method,
+      ms: Date.now() - startTime,
+      ...(result.error ? { error: result.error } : {}),
+    });
+    if ((i + 1) % 20 === 0) console.log(`… ${i + 1}/${items.length}`);
+  }
+
+  const run = {
+    createdAt: new Date().toISOString(),
+    corpus: path.basename(opts.corpus),
+    provider: providerId,
+    model: settings.textModel,
+    guildId,
+    ...summarize(results),
+    items: results,
+  };
+  const baseline = opts.baseline ? JSON.parse(fs.readFileSync(opts.baseline, "utf8")) : null;
+  printReport(run, baseline);
+
+  fs.writeFileSync(opts.out, JSON.stringify(run, null, 2), "utf8");
+  console.log(`\n結果を ${opts.out} に保存しました`);
+  if (opts.record && live) {
+    fs.writeFileSync(opts.record, JSON.stringify(recording, null, 2), "utf8");
+    console.log(`応答を ${opts.record} に保存しました（${Object.keys(recording.responses).length}件）`);
+  }
+}
+
+// テストから summarize だけを import したときは実行しない
+if (!!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().then(
+    () => process.exit(0),
+    (err) => {
+      console.log("❌", err.message);
+      process.exit(1);
+    }
+  );
+}
+
+export { summarize };
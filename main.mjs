@@ -1,6 +1,14 @@
 // main.mjs
 import fs from "fs";
+import os from "os";
 import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import https from "https";
+import net from "net";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
 import {
   Client,
   GatewayIntentBits,
@@ -9,6 +17,17 @@ import {
   REST,
   PermissionFlagsBits,
   EmbedBuilder,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  Partials,
+  StickerFormatType,
+  AuditLogEvent,
 } from "discord.js";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
@@ -17,34 +36,1323 @@ import fetch from "node-fetch";
 
 dotenv.config();
 
+// node main.mjs で起動したときだけ Discord と Web サーバーに接続する（eval.mjs から import したときは判定処理だけ使う）
+const IS_ENTRY = !!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
 // ====================================
 // 設定と永続化
 // ====================================
 const STATUS_STORE = path.resolve(process.cwd(), "timeoutStatus.json");
-function saveStatusMessageId(id) {
+const GUILD_CONFIG_STORE = path.resolve(process.cwd(), "guildConfig.json");
+
+function readJsonFile(file, fallback) {
   try {
-    fs.writeFileSync(STATUS_STORE, JSON.stringify({ messageId: id }), "utf8");
+    if (!fs.existsSync(file)) return fallback;
+    const raw = fs.readFileSync(file, "utf8");
+    return JSON.parse(raw || "null") ?? fallback;
   } catch (e) {
-    console.log("status save error:", e.message);
+    console.log(`${path.basename(file)} load error:`, e.message);
+    return fallback;
   }
 }
-function loadStatusMessageId() {
+function writeJsonFile(file, data) {
   try {
-    if (!fs.existsSync(STATUS_STORE)) return null;
-    const raw = fs.readFileSync(STATUS_STORE, "utf8");
-    const obj = JSON.parse(raw || "{}");
-    return obj.messageId || null;
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+    fs.renameSync(tmp, file);
   } catch (e) {
-    console.log("status load error:", e.message);
-    return null;
+    console.log(`${path.basename(file)} save error:`, e.message);
   }
 }
-function clearStatusMessageId() {
-  try {
-    if (fs.existsSync(STATUS_STORE)) fs.unlinkSync(STATUS_STORE);
-  } catch (e) {
-    console.log("status clear error:", e.message);
+
+// timeoutStatus.json: { [guildId]: { channelId, messageIds: [...] } }（掲示板のページごとのメッセージ）
+// 旧形式 { [guildId]: messageId } / { messageId } も読み込み可
+function loadBoardState(guildId) {
+  const obj = readJsonFile(STATUS_STORE, {});
+  const entry = obj[guildId] ?? obj.messageId;
+  if (!entry) return { channelId: null, messageIds: [] };
+  if (typeof entry === "string") return { channelId: null, messageIds: [entry] };
+  return { channelId: entry.channelId ?? null, messageIds: entry.messageIds ?? [] };
+}
+function saveBoardState(guildId, state) {
+  const obj = readJsonFile(STATUS_STORE, {});
+  delete obj.messageId;
+  obj[guildId] = state;
+  writeJsonFile(STATUS_STORE, obj);
+}
+
+// ====================================
+// ギルド別設定（guildConfig.json に永続化）
+// ====================================
+// 保存するのはデフォルトからの変更分のみ
+const DEFAULT_GUILD_CONFIG = {
+  logChannelId: process.env.CHANNEL_ID || null,
+  // ログのカテゴリごとの設定。channelId / webhookUrl が null ならログチャンネルへ、
+  // digest が true なら一定間隔でまとめて 1 件の埋め込みにする
+  logRoutes: {
+    "verdict-safe": { enabled: true, digest: true, channelId: null, webhookUrl: null },
+    "verdict-flagged": { enabled: true, digest: false, channelId: null, webhookUrl: null },
+    action: { enabled: true, digest: false, channelId: null, webhookUrl: null },
+    config: { enabled: true, digest: false, channelId: null, webhookUrl: null },
+    error: { enabled: true, digest: false, channelId: null, webhookUrl: null },
+    lifecycle: { enabled: true, digest: false, channelId: null, webhookUrl: null },
+  },
+  statusChannelId: process.env.TIMEOUT_CHANNEL || null,
+  strikeLadder: ["warn", "10m", "1h", "1d", "kick"],
+  strikeDecay: 7 * 24 * 60 * 60 * 1000,
+  aiEnabled: true,
+  voiceAICheck: false,
+  exemptUsers: ["harima1945"],
+  language: process.env.BOT_LANGUAGE || "ja", // ログ・通知・判定プロンプトの言語（MESSAGES のキー）
+  appealChannelId: null, // 未設定ならログチャンネルへ
+  // 自動処分時にメッセージへ行う対応: archive（モデレーター用に保存）/ delete / redact（削除して伏せ字で告知）。
+  // 既定ではメッセージに手を付けない（削除は /config で明示的に有効にする）
+  responseActions: [],
+  archiveChannelId: null, // 未設定ならログチャンネルへ（非公開チャンネルを推奨）
+  shadowMode: false, // ON なら自動処分せずレビューキューへ回す
+  reviewChannelId: null, // 未設定ならログチャンネルへ
+  // ユーザー名・ニックネーム・アバターで検出したときの対応: off / nickname（中立な名前に変更）/ review / 期間（timeout）。
+  // 参加・プロフィール変更のたびに AI 判定を行うので既定は off
+  profileAction: "off",
+  classifierProvider: process.env.AI_PROVIDER || "gemini",
+  textModel: null, // null ならプロバイダーのデフォルト
+  imageModel: null,
+  temperature: 0.1,
+  maxOutputTokens: 200,
+  // 判定に含める直前のメッセージ数（返信先は別枠で常に含める）
+  contextEnabled: true,
+  contextSize: 5,
+  // カテゴリごとの確信度しきい値と処分
+  categoryRules: {
+    harassment: { threshold: 0.7, action: "strike" },
+    threats: { threshold: 0.6, action: "1h" },
+    hate: { threshold: 0.7, action: "strike" },
+    sexual: { threshold: 0.7, action: "strike" },
+    "self-harm": { threshold: 0.8, action: "none" },
+    spam: { threshold: 0.8, action: "warn" },
+  },
+  // AI を使わないスパム・連投・レイド検出
+  spamRules: {
+    enabled: true,
+    action: "10m", // 連投・重複・大量メンション検出時の処分
+    floodCount: 6, // ユーザーが floodWindow 内にこの件数以上投稿したら連投
+    floodWindow: 5000,
+    duplicateCount: 3, // 同じ内容を duplicateWindow 内にこの件数以上（チャンネルをまたいでも）
+    duplicateWindow: 30000,
+    mentionLimit: 5, // 1 メッセージ内のメンション数
+    channelFloodCount: 25, // チャンネル全体で channelFloodWindow 内にこの件数以上なら低速モード
+    channelFloodWindow: 10000,
+    slowmode: 10, // 秒
+    raidJoinCount: 10, // raidJoinWindow 内にこの人数以上参加したらレイドモード
+    raidJoinWindow: 60000,
+    raidAccountAge: 7 * 24 * 60 * 60 * 1000, // これより新しいアカウントはレイド中に timeout
+    raidTimeout: 60 * 60 * 1000,
+    raidDuration: 15 * 60 * 1000, // レイドモードの自動解除まで
+  },
+};
+
+let guildConfigs = readJsonFile(GUILD_CONFIG_STORE, {});
+
+// 旧設定 timeoutDuration（検出ごとに固定時間の timeout）はストライク段階に置き換わった。
+// 段階表を変えていないギルドは「毎回その時間の timeout」の 1 段にして同じ動作を保つ
+function migrateGuildConfigs() {
+  let changed = false;
+  for (const [guildId, overrides] of Object.entries(guildConfigs)) {
+    if (overrides.timeoutDuration === undefined) continue;
+    const ms = Number(overrides.timeoutDuration);
+    if (!overrides.strikeLadder && ms > 0) {
+      overrides.strikeLadder = [ms % 60000 === 0 ? `${ms / 60000}m` : `${Math.round(ms / 1000)}s`];
+      console.log(`⚠️ guildConfig.json: ${guildId} の timeoutDuration を strikeLadder ${JSON.stringify(overrides.strikeLadder)} に移行しました`);
+    } else {
+      console.log(`⚠️ guildConfig.json: ${guildId} の timeoutDuration は廃止されたため削除しました（strikeLadder を使います）`);
+    }
+    delete overrides.timeoutDuration;
+    changed = true;
+  }
+  if (changed) writeJsonFile(GUILD_CONFIG_STORE, guildConfigs);
+}
+migrateGuildConfigs();
+
+// オブジェクト型の設定（categoryRules など）はデフォルトに後から追加された項目も引き継ぐ
+function getGuildConfig(guildId) {
+  const overrides = guildConfigs[guildId] || {};
+  const config = { ...DEFAULT_GUILD_CONFIG, ...overrides };
+  for (const [key, value] of Object.entries(DEFAULT_GUILD_CONFIG)) {
+    if (value && typeof value === "object" && !Array.isArray(value) && overrides[key]) {
+      config[key] = { ...value, ...overrides[key] };
+    }
+  }
+  return config;
+}
+function setGuildConfig(guildId, key, value) {
+  guildConfigs[guildId] = { ...(guildConfigs[guildId] || {}), [key]: value };
+  writeJsonFile(GUILD_CONFIG_STORE, guildConfigs);
+  return getGuildConfig(guildId);
+}
+function resetGuildConfig(guildId, key = null) {
+  if (key) {
+    if (guildConfigs[guildId]) delete guildConfigs[guildId][key];
+  } else {
+    delete guildConfigs[guildId];
+  }
+  writeJsonFile(GUILD_CONFIG_STORE, guildConfigs);
+  return getGuildConfig(guildId);
+}
+
+function isExemptUser(config, user) {
+  return config.exemptUsers.includes(user.id) || config.exemptUsers.includes(user.username);
+}
+
+// "1h30m" / "30m" / "90s" / "1d" を ms に変換（単位なしの数値は秒）
+function parseDuration(input) {
+  const str = String(input ?? "").trim().toLowerCase();
+  if (/^\d+$/.test(str)) return Number(str) * 1000;
+  if (!/^(\d+\s*[dhms]\s*)+$/.test(str)) return null;
+
+  const units = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  let total = 0;
+  for (const [, n, u] of str.matchAll(/(\d+)\s*([dhms])/g)) {
+    total += Number(n) * units[u];
+  }
+  return total > 0 ? total : null;
+}
+
+// ====================================
+// 多言語対応（ja / en）
+// ====================================
+// ログ・チャンネルへの通知・判定プロンプトはギルドの language 設定、
+// 本人にしか見えない返信は操作した人の Discord の言語設定に合わせる。
+// "{name}" は t() の vars で置き換える。en に無いキーは ja を使う
+const MESSAGES = {
+  ja: {
+    "language.name": "日本語",
+
+    "common.none": "なし",
+    "common.unknown": "不明",
+    "common.on": "✅ ON",
+    "common.off": "❌ OFF",
+    "common.enabled": "✅ 有効",
+    "common.disabled": "❌ 無効",
+    "common.unset": "未設定",
+    "common.unsetLog": "未設定（ログチャンネル）",
+    "common.noData": "データなし",
+    "common.paren": "{text}（{note}）",
+    "common.sep": "・",
+    "common.count": "{n}件",
+    "common.times": "{n}回",
+    "common.people": "{n}人",
+    "common.error": "❌ エラーが発生しました",
+    "common.errorDetail": "❌ エラーが発生しました: {message}",
+    "common.guildOnly": "❌ サーバー内で実行してください",
+    "common.needModerate": "❌ この操作にはメンバーのタイムアウト権限が必要です",
+    "common.attempts": "（{n}回試行）",
+
+    "time.hms": "{h}時間{m}分{s}秒",
+    "time.ms": "{m}分{s}秒",
+    "time.s": "{s}秒",
+
+    "category.none": "問題なし",
+    "category.harassment": "嫌がらせ・侮辱",
+    "category.threats": "脅迫・暴力",
+    "category.hate": "差別・ヘイト",
+    "category.sexual": "性的",
+    "category.self-harm": "自傷",
+    "category.spam": "スパム",
+    "severity.low": "軽度",
+    "severity.medium": "中程度",
+    "severity.high": "重度",
+    "method.ai": "AI",
+    "method.keyword": "キーワード",
+    "method.rules": "ルール",
+    "method.spam": "スパム検出",
+    "media.attachment": "添付",
+    "media.sticker": "スタンプ",
+    "media.embed": "埋め込み",
+    "media.link": "リンク",
+
+    "verdict.clean": "✅ 問題なし",
+    "verdict.summary": "{category}（{severity}・確信度 {confidence}%）",
+    "verdict.imageSkipped": "AI判定が停止中のため画像は判定していません",
+    "verdict.cooldown": "クールダウン中（{n}秒）",
+    "verdict.rulesNoImage": "ルール判定は画像非対応",
+    "verdict.error": "判定エラー",
+    "verdictError.noJson": "JSON が見つかりません",
+    "verdictError.notObject": "判定がオブジェクトではありません",
+    "verdictError.category": "不明な category: {value}",
+    "verdictError.severity": "不明な severity: {value}",
+    "verdictError.confidence": "confidence が 0〜1 の数値ではありません: {value}",
+    "verdictError.reason": "reason が文字列ではありません",
+    "verdictError.verdicts": "verdicts が配列ではありません",
+    "verdictError.index": "不正な index: {value}",
+    "verdictError.missing": "index {n} の判定がありません",
+    "keyword.hit": "禁止ワード「{pattern}」を検出",
+    "keyword.clean": "禁止ワードなし",
+
+    "step.warn": "⚠️ 警告",
+    "step.kick": "👢 キック",
+    "step.ban": "🔨 BAN",
+    "step.timeout": "⏱️ {duration} timeout",
+    "categoryAction.none": "📋 記録のみ",
+    "categoryAction.strike": "📊 ストライク段階",
+
+    "field.verdict": "判定結果",
+    "field.action": "処分",
+    "field.reason": "理由",
+    "field.method": "判定方法",
+    "field.userId": "ユーザーID",
+    "field.cache": "キャッシュ",
+    "field.elapsed": "処理時間",
+    "field.model": "モデル",
+    "field.context": "文脈",
+    "field.aiResponse": "AIの回答",
+    "field.count": "件数",
+    "field.provider": "プロバイダー",
+    "field.target": "👤 対象ユーザー",
+    "field.member": "👤 メンバー",
+    "field.author": "👤 投稿者",
+    "field.executor": "👮 実行者",
+    "field.admin": "👮 実行管理者",
+    "field.channel": "📍 チャンネル",
+    "field.commandChannel": "📍 実行チャンネル",
+    "field.duration": "⏱️ 期間",
+    "field.timeoutDuration": "⏱️ タイムアウト期間",
+    "field.strikes": "📊 ストライク",
+    "field.case": "📁 ケース",
+    "field.caseReason": "📝 理由",
+    "field.detectReason": "🚨 検出理由",
+    "field.names": "🏷️ 名前",
+    "field.error": "⚠️ エラー",
+    "field.newSetting": "⚙️ 新しい設定",
+
+    "log.message": "メッセージ: `{text}`",
+    "log.rules.flagged": "🚨 ルール判定: 検出",
+    "log.rules.clean": "✅ ルール判定: 安全",
+    "log.keyword.flagged": "🚨 キーワードフィルター検出",
+    "log.keyword.clean": "✅ キーワードフィルター: 安全",
+    "log.keyword.method": "キーワードフィルター（AIバックアップ）",
+    "log.cached.flagged": "🚨 AI判定（キャッシュ）: 悪質メッセージ検出",
+    "log.cached.clean": "✅ AI判定（キャッシュ）: 安全メッセージ",
+    "log.ai.flagged": "🚨 AI判定: 悪質メッセージ検出",
+    "log.ai.clean": "✅ AI判定: 安全メッセージ",
+    "log.batch.flagged": "🚨 AI判定（まとめて）: 悪質メッセージ検出",
+    "log.batch.clean": "✅ AI判定（まとめて）: 安全",
+    "log.batch.cached": "（キャッシュ）",
+    "log.batch.count": "{total}件（検出 {flagged}件）",
+    "log.context.history": "{n}件",
+    "log.context.reply": " + 返信先",
+    "cache.stats": "ヒット {hits} / ミス {misses}（{rate}%）・{size}件",
+
+    "circuit.closed": "🟢 正常（closed）",
+    "circuit.open": "🔴 停止中（open）",
+    "circuit.half-open": "🟡 再開を試行中（half-open）",
+    "circuit.title.closed": "✅ AI判定を自動再開",
+    "circuit.title.open": "⚠️ AI判定を自動停止",
+    "circuit.title.half-open": "🔄 AI判定の再開を試行",
+    "circuit.field.state": "状態",
+    "circuit.field.failures": "連続失敗",
+    "circuit.field.nextRetry": "次の試行",
+    "circuit.field.lastError": "最後のエラー",
+    "circuit.note.recovered": "API 呼び出しに成功したため AI 判定を再開しました",
+    "circuit.note.retryFailed": "再開の試行に失敗しました。{wait}後に再試行します",
+    "circuit.note.quota": "レート制限/クォータ超過のため、キーワードフィルターに切り替えました。{wait}後に自動で再開を試みます",
+    "circuit.note.failures": "API 呼び出しが {n} 回連続で失敗したため、キーワードフィルターに切り替えました。{wait}後に自動で再開を試みます",
+    "circuit.note.manual": "管理者の操作により AI 判定を再開しました",
+    "circuit.note.halfOpen": "待機時間が過ぎたため、1 件だけ API を呼んで復旧を確認します",
+
+    "source.auto": "🤖 自動判定",
+    "source.review": "🕵️ レビュー",
+    "source.manual": "👮 モデレーター",
+    "source.api": "🌐 管理 API",
+    "source.unknown": "❓ 不明（Bot 以外での操作）",
+    "board.title": "⏳ タイムアウト中のユーザー",
+    "board.titleCount": "⏳ タイムアウト中のユーザー ({n}人)",
+    "board.titleContinued": "⏳ タイムアウト中のユーザー（続き）",
+    "board.empty": "✅ **現在タイムアウト中のユーザーはいません**",
+    "board.until": "⏱️ 解除 <t:{until}:R>（<t:{until}:f>）",
+    "board.case": "・ケース #{id}",
+    "board.page": "ページ {page}/{pages}",
+    "board.more": "・ほか {n}人（/to で確認）",
+
+    "caseAction.warn": "⚠️ 警告",
+    "caseAction.timeout": "⏱️ タイムアウト",
+    "caseAction.untimeout": "🔓 タイムアウト解除",
+    "caseAction.unban": "🔓 BAN解除",
+    "caseAction.purge": "🧹 メッセージ一括削除",
+    "caseAction.nickname": "🏷️ ニックネーム変更",
+    "caseAction.kick": "👢 キック",
+    "caseAction.ban": "🔨 BAN",
+    "case.ref": "ケース #{id}",
+    "case.title": "📁 ケース #{id} {action}",
+    "case.strikeNth": "{n} 回目",
+    "case.archive": "🗄️ 証拠保存",
+    "case.archiveLink": "[保存先]({url})",
+    "case.messageDeleted": "（元メッセージは削除済み）",
+    "case.appeal": "📨 異議申し立て",
+    "case.reasonEdited": "理由修正 {n} 回（最終: {at}）",
+    "case.failed": "❌ 処分を実行できませんでした: {error}",
+    "evidence.label": "検出内容 {n}",
+    "evidence.labelMethod": "検出内容 {n}（{method}）",
+    "evidence.imageLink": "[画像リンク]({url})",
+    "evidence.reason": "理由: {reason}",
+
+    "schedule.unbanReason": "期限付きBANの期限切れ（ケース #{caseId}）",
+    "schedule.unbanTitle": "🔓 期限付きBANの自動解除",
+    "schedule.unbanDesc": "**{user}** の期限付きBANが期限を迎えたため解除しました",
+    "schedule.unbanCase": "#{id}（元のBAN: #{caseId}）",
+    "schedule.failedTitle": "❌ 予約処分の実行失敗",
+    "schedule.failedDesc": "予約処分 #{id}（{type}）を {attempts} 回試行しましたが実行できませんでした。手動で対応してください",
+
+    "appeal.status.pending": "⏳ 審査中",
+    "appeal.status.lifted": "🔓 解除",
+    "appeal.status.upheld": "⚖️ 維持",
+    "appeal.dmTitle": "⛔ {guild} でタイムアウトされました",
+    "appeal.dmDesc": "自動判定により不適切な投稿と判断されました。判定が誤っていると思う場合は下のボタンから異議を申し立てできます。",
+    "appeal.button": "異議を申し立てる",
+    "appeal.notFound": "❌ 対象のケースが見つかりません",
+    "appeal.alreadySent": "ℹ️ このケースの異議申し立ては既に送信済みです",
+    "appeal.notOwner": "❌ 異議申し立てができるのは処分を受けた本人だけです",
+    "appeal.modalTitle": "異議申し立て（ケース #{id}）",
+    "appeal.modalLabel": "判定が誤っていると考える理由",
+    "appeal.noChannel": "❌ 異議申し立ての送信先が設定されていません。サーバーの管理者に連絡してください",
+    "appeal.embedTitle": "📨 異議申し立て（ケース #{id}）",
+    "appeal.appellant": "👤 申立人",
+    "appeal.lift": "タイムアウト解除",
+    "appeal.uphold": "処分維持",
+    "appeal.sent": "✅ 異議申し立てを送信しました。モデレーターの判断をお待ちください",
+    "appeal.alreadyResolved": "ℹ️ この異議申し立ては既に処理済みです",
+    "appeal.liftReason": "異議申し立て承認（ケース #{id}） by {tag}",
+    "appeal.result.lifted": "🔓 タイムアウト解除",
+    "appeal.result.upheld": "⚖️ 処分維持",
+    "appeal.decision": "判断",
+    "appeal.resultTitle": "📨 異議申し立て結果: {result}",
+    "appeal.decidedBy": "👮 判断者",
+    "appeal.text": "📨 申し立て内容",
+    "appeal.dmLifted": "🔓 **{guild}** での異議申し立て（ケース #{id}）が認められ、タイムアウトが解除されました",
+    "appeal.dmUpheld": "⚖️ **{guild}** での異議申し立て（ケース #{id}）は審査の結果、処分維持となりました",
+
+    "review.duration.10m": "10分",
+    "review.duration.1h": "1時間",
+    "review.duration.6h": "6時間",
+    "review.duration.1d": "1日",
+    "review.duration.7d": "1週間",
+    "review.decision.timeout": "⏱️ タイムアウト",
+    "review.decision.warn": "⚠️ 警告",
+    "review.decision.delete": "🗑️ 削除",
+    "review.decision.rename": "🏷️ ニックネームをリセット",
+    "review.decision.dismiss": "🙅 誤検出として却下",
+    "review.timeoutPlaceholder": "⏱️ タイムアウト（期間を選択）",
+    "review.button.warn": "警告",
+    "review.button.rename": "名前をリセット",
+    "review.button.delete": "削除",
+    "review.button.dismiss": "誤検出",
+    "review.title": "🕵️ レビュー待ち #{id}",
+    "review.edited": "（編集）",
+    "review.profile": "（プロフィール）",
+    "review.desc": "**{user}** の投稿が検出されました（シャドーモードのため未処分）\n[メッセージへ移動]({url})",
+    "review.profileDesc": "**{user}** のプロフィールが検出されました（<@{id}>）",
+    "review.currentStrikes": "📊 現在のストライク",
+    "review.strikeCount": "{n} 回",
+    "review.expected": "{verdict} → 想定処分: {action}",
+    "review.notFound": "❌ 対象のレビューが見つかりません",
+    "review.alreadyDone": "ℹ️ このレビューは既に処理済みです",
+    "review.memberMissing": "❌ 対象のメンバーがサーバーにいないため処理できません",
+    "review.ref": "レビュー #{id}",
+    "review.reason": "レビュー #{id}: {reason}",
+    "review.warnNotice": "⚠️ <@{user}> モデレーターにより不適切な投稿と判断されました（ストライク {n}）",
+    "review.profileWarnDm": "⚠️ **{guild}** のモデレーターによりプロフィール（名前・アバター）が不適切と判断されました（ストライク {n}）。変更をお願いします",
+    "review.doneTitle": "🕵️ レビュー済み #{id}",
+    "review.judgement": "⚖️ 判断",
+    "review.logTitle": "🕵️ レビュー判断",
+    "review.logDesc": "**{mod}** がレビュー #{id} を処理しました: {decision}",
+    "review.aiVerdict": "🤖 AI判定",
+
+    "response.archive": "🗄️ 証拠保存",
+    "response.delete": "🗑️ 削除",
+    "response.redact": "🚫 伏せ字で告知",
+    "archive.noContent": "（本文なし）",
+    "archive.messageId": "🆔 メッセージID",
+    "archive.skipped": "⚠️ 保存できなかった添付",
+    "archive.skippedValue": "{n}件（サイズ超過または取得失敗）",
+
+    "reason.spam": "🚫 スパム: {reason}",
+    "reason.text": "📝 テキスト: [{category}] {reason}",
+    "reason.image": "🖼️ 画像（{source}）: [{category}] {reason}{frame}",
+    "reason.frame": "（{total}フレーム中 {n}枚目）",
+    "reason.name": "🏷️ 名前: [{category}] {reason}",
+    "reason.avatar": "🖼️ アバター: [{category}] {reason}",
+    "reason.editEvasionShadow": "✏️ 編集による回避（安全と判定済みの投稿を編集）",
+    "reason.editEvasion": "✏️ 編集による回避（24時間で {n} 回目）",
+    "reason.editEvasionRepeat": "編集による回避の繰り返し",
+    "spam.mentions": "大量メンション（{n}件）",
+    "spam.flood": "連投（{window}で{n}件）",
+    "spam.duplicate": "同一内容の重複投稿（{n}件・{channels}チャンネル）",
+    "diff.unknownBefore": "（キャッシュになく不明）",
+
+    "auto.auditReason": "自動判定 (ストライク {n}): {reasons}",
+    "auto.redacted": "🚫 **{user}** の投稿は不適切な内容のため非表示になりました",
+    "auto.warnNotice": "⚠️ <@{user}> 不適切なメッセージが検出されました（ストライク {n}）。次回: {next}",
+    "auto.actionNotice": "⛔ **{user}** に {step} を適用しました（ストライク {n}）",
+    "auto.penalty": "⚖️ 処分",
+    "auto.strikeValue": "{n} 回（失効: {decay}）",
+    "auto.nextStep": "⏭️ 次回の処分",
+    "auto.response": "🧹 メッセージへの対応",
+    "auto.editDiff": "✏️ 編集差分",
+    "auto.aggravated": "⚠️ 加重",
+    "auto.aggravatedValue": "編集による回避を繰り返しているためストライクを追加しました",
+    "auto.titleWarn": "⚠️ 自動警告",
+    "auto.titleAction": "🔨 自動処分実行",
+    "auto.desc": "**{user}** がAIによって自動的に処分されました（{step}）",
+    "auto.descEdited": "**{user}** が編集後のメッセージでAIによって自動的に処分されました（{step}）",
+    "auto.titleFailed": "❌ 自動処分失敗",
+
+    "profile.neutralNickname": "名前を変更してください",
+    "profile.username": "ユーザー名: {name}",
+    "profile.globalName": "表示名: {name}",
+    "profile.nickname": "ニックネーム: {name}",
+    "profile.auditReason": "プロフィール自動判定: {reasons}",
+    "profile.dm": "⚠️ **{guild}** でプロフィール（名前・アバター）が不適切と判定されました。変更をお願いします\n{reasons}",
+    "profile.logTitle": "👤 プロフィール検出",
+    "profile.logDesc": "**{user}** のプロフィールが検出されました",
+    "profile.response": "⚖️ 対応",
+    "profileAction.off": "❌ OFF（判定しない）",
+    "profileAction.nickname": "🏷️ 中立な名前に変更",
+    "profileAction.review": "🕵️ レビューキューへ",
+    "profileAction.timeout": "⏱️ タイムアウト {duration}",
+
+    "slowmode.reason": "チャンネルの流量急増を検知",
+    "slowmode.title": "🐢 低速モードを適用",
+    "slowmode.desc": "<#{channel}> で {window}に {n} 件の投稿を検知しました",
+    "slowmode.field": "⚙️ 低速モード",
+    "raid.lockReason": "レイドモード: {reason}",
+    "raid.unlockReason": "レイドモード解除",
+    "raid.startTitle": "🚨 レイドモード開始",
+    "raid.startDesc": "**{guild}** でレイドを検知したため、チャンネルをロックしました",
+    "raid.reason": "📋 理由",
+    "raid.locked": "🔒 ロックしたチャンネル",
+    "raid.autoEnd": "⏱️ 自動解除",
+    "raid.endTitle": "✅ レイドモード解除",
+    "raid.endByUser": "**{user}** がレイドモードを解除しました",
+    "raid.endExpired": "レイドモードの期間が終了したため解除しました",
+    "raid.unlocked": "🔓 ロック解除したチャンネル",
+    "raid.newAccount": "レイド中に参加した新規アカウント",
+    "raid.joinReason": "{window}で {n} 人が参加",
+    "raid.manualReason": "{user} による手動開始",
+    "raid.status": "🚨 レイドモード中（開始 <t:{start}:R>、自動解除 <t:{end}:R>、ロック {n} チャンネル）\n理由: {reason}",
+    "raid.inactive": "✅ レイドモードではありません",
+    "raid.badDuration": "❌ 期間は 30m / 1h のように指定してください",
+    "raid.started": "🚨 レイドモードを開始しました",
+    "raid.alreadyActive": "ℹ️ 既にレイドモード中です",
+    "raid.ended": "✅ レイドモードを解除しました",
+    "raid.notActive": "ℹ️ レイドモードではありません",
+
+    "config.log-channel": "ログチャンネル",
+    "config.appeal-channel": "異議申し立てチャンネル",
+    "config.response-actions": "メッセージへの対応",
+    "config.archive-channel": "証拠保存チャンネル",
+    "config.review-channel": "レビューキューチャンネル",
+    "config.shadow": "シャドーモード（自動処分せずレビュー）",
+    "config.profile-action": "プロフィール検出時の対応",
+    "config.status-channel": "タイムアウト表示チャンネル",
+    "config.strike-ladder": "ストライク段階",
+    "config.strike-decay": "ストライク失効期間",
+    "config.provider": "判定プロバイダー",
+    "config.text-model": "テキスト判定モデル",
+    "config.image-model": "画像判定モデル",
+    "config.temperature": "テキスト判定の temperature",
+    "config.max-tokens": "テキスト判定の最大出力トークン",
+    "config.category-rule": "カテゴリ別しきい値・処分",
+    "config.context": "会話の文脈を含めて判定",
+    "config.context-size": "文脈に含めるメッセージ数",
+    "config.spam": "スパム・レイド検出",
+    "config.ai": "AI判定",
+    "config.voice-ai": "通話参加者のAI判定",
+    "config.exempt-users": "判定除外ユーザー",
+    "config.language": "表示言語（ログ・通知・判定プロンプト）",
+    "config.log-route": "ログの送信先・まとめ送信",
+    "config.providerDefault": "プロバイダーのデフォルト",
+    "config.error.switch": "on / off で指定してください",
+    "config.error.channel": "テキストチャンネルが見つかりません: {value}",
+    "config.error.step": "不明な処分です: {step}",
+    "config.error.maxTimeout": "タイムアウトは最大28日までです",
+    "config.error.count": "1〜1000 の整数で指定してください",
+    "config.error.duration": "期間は 30s / 10m / 1h のように指定してください",
+    "config.error.slowmode": "低速モードは 1〜21600 秒で指定してください",
+    "config.error.responseActions": "対応は {list} から選んでください",
+    "config.error.profileAction": "off / nickname / review / 期間（例: 1h）で指定してください",
+    "config.error.ladder": "warn,10m,1h,1d,kick のように指定してください",
+    "config.error.decay": "期間は 7d / 12h / 30m のように指定してください",
+    "config.error.provider": "プロバイダーは {list} から選んでください",
+    "config.error.temperature": "temperature は 0〜2 の数値で指定してください",
+    "config.error.maxTokens": "最大出力トークンは 1〜4096 の整数で指定してください",
+    "config.error.category": "カテゴリは {list} から選んでください",
+    "config.error.threshold": "しきい値は 0〜1 の数値で指定してください",
+    "config.error.contextSize": "0〜20 の整数で指定してください",
+    "config.error.spamSetting": "項目は {list} から選んでください",
+    "config.error.language": "言語は {list} から選んでください",
+    "config.error.logCategory": "ログのカテゴリは {list} から選んでください",
+    "config.error.logRoute": "on / off / digest / instant / チャンネル / Webhook URL / default で指定してください",
+    "config.getTitle": "⚙️ {guild} の設定",
+    "config.logTitle": "⚙️ 設定変更",
+    "config.logSet": "**{mod}** が設定を変更しました",
+    "config.logReset": "**{mod}** が設定をデフォルトに戻しました",
+    "config.setTitle": "⚙️ 設定を変更しました",
+    "config.resetTitle": "↩️ 設定をデフォルトに戻しました",
+
+    "top.defaultReason": "管理者による手動timeout",
+    "top.invalidDuration": "❌ 期間「{input}」を読み取れません。10m / 1h30m / 1d のように指定してください（数字だけなら秒）",
+    "top.tooLong": "❌ タイムアウトは最大28日までです。\n指定された期間: {duration}",
+    "top.done": "⛔ 管理者が **{user}** を {duration} timeout しました（ケース #{id}）",
+    "top.logTitle": "⚖️ 管理者による手動タイムアウト",
+    "top.logDesc": "**{mod}** が **{user}** をタイムアウトしました",
+    "to.empty": "✅ timeout 中のユーザーはいません",
+    "to.header": "⏳ **Timeout 中のユーザー一覧** ({n}人)",
+    "to.line": "{i}. **{user}** ・残り {remaining}",
+
+    "mod.notMember": "❌ 対象ユーザーはこのサーバーにいません",
+    "mod.notTimedOut": "❌ **{user}** はタイムアウトされていません",
+    "mod.noPermission": "❌ Bot の権限またはロール順位が足りません",
+    "mod.self": "❌ 自分自身は対象にできません",
+    "mod.higherRole": "❌ 自分と同じか上のロールを持つメンバーは対象にできません",
+    "mod.untimeoutTitle": "🔓 管理者によるタイムアウト解除",
+    "mod.untimeoutDesc": "**{mod}** が **{user}** のタイムアウトを解除しました",
+    "mod.untimeoutDone": "🔓 **{user}** のタイムアウトを解除しました（ケース #{id}）",
+    "mod.warnTitle": "⚠️ 管理者による警告",
+    "mod.warnDesc": "**{mod}** が **{user}** に警告しました",
+    "mod.warnDm": "⚠️ **{guild}** のモデレーターから警告を受けました（ストライク {n}）\n理由: {reason}",
+    "mod.warnDone": "⚠️ <@{user}> に警告しました（ストライク {n}・ケース #{id}）",
+    "mod.kickTitle": "👢 管理者によるキック",
+    "mod.kickDesc": "**{mod}** が **{user}** をキックしました",
+    "mod.kickDone": "👢 **{user}** をキックしました（ケース #{id}）",
+    "mod.badDuration": "❌ 期間は 1d / 12h / 1h30m のように指定してください",
+    "mod.badDeleteWindow": "❌ メッセージ削除の期間は 7 日以内で指定してください",
+    "mod.banTitle": "🔨 管理者によるBAN",
+    "mod.tempBanTitle": "🔨 管理者による期限付きBAN",
+    "mod.banDesc": "**{mod}** が **{user}** をBANしました",
+    "mod.banUntil": "{duration}（<t:{at}:f> に解除）",
+    "mod.permanent": "無期限",
+    "mod.banDone": "🔨 **{user}** をBANしました{expiry}（ケース #{id}）",
+    "mod.banExpiry": "（{duration}後に自動解除）",
+    "mod.notBanned": "❌ **{user}** はBANされていません",
+    "mod.unbanTitle": "🔓 管理者によるBAN解除",
+    "mod.unbanDesc": "**{mod}** が **{user}** のBANを解除しました",
+    "mod.schedule": "⏱️ 予約",
+    "mod.unbanCancelled": "期限付きBANの自動解除予約を取り消しました",
+    "mod.unbanDone": "🔓 **{user}** のBANを解除しました（ケース #{id}）",
+    "mod.purgeNone": "❌ このチャンネルに **{user}** の最近のメッセージはありません",
+    "mod.purgeTitle": "🧹 管理者によるメッセージ一括削除",
+    "mod.purgeDesc": "**{mod}** が **{user}** のメッセージを一括削除しました",
+    "mod.purged": "🧹 削除件数",
+    "mod.purgedValue": "{n} 件（指定 {count} 件）",
+    "mod.purgeDone": "🧹 **{user}** のメッセージを {n} 件削除しました（ケース #{id}）",
+    "mod.purgeSkipped": "\n⚠️ 14日より古い {n} 件は削除できませんでした",
+
+    "voice.enabled": "✅ **有効**",
+    "voice.disabled": "❌ **無効**",
+    "voice.logTitle": "{emoji} 通話参加者AI判定設定変更",
+    "voice.logEnabled": "**{mod}** が通話参加者へのAI判定を有効化しました",
+    "voice.logDisabled": "**{mod}** が通話参加者へのAI判定を無効化しました",
+    "voice.replyEnabled": "{emoji} 通話参加者へのAI判定を {status} にしました\n\n通話中のユーザーのメッセージはAI判定されます",
+    "voice.replyDisabled": "{emoji} 通話参加者へのAI判定を {status} にしました\n\n通話中のユーザーのメッセージはAI判定されません",
+    "aiMode.enabled": "✅ **AI判定有効**",
+    "aiMode.disabled": "⚠️ **キーワードフィルターのみ**",
+    "aiMode.logTitle": "{emoji} AI判定モード変更",
+    "aiMode.logEnabled": "**{mod}** がAI判定を有効化しました",
+    "aiMode.logDisabled": "**{mod}** がAI判定を無効化しました",
+    "aiMode.reply": "{emoji} AI判定モードを {status} にしました\n\n{detail}",
+    "aiMode.replyEnabled": "{provider} で判定します（高精度）",
+    "aiMode.replyDisabled": "キーワードフィルターで動作します（APIクォータ節約）",
+    "aiStatus.title": "🤖 AI判定の状況",
+    "aiStatus.setting": "AI判定設定",
+    "aiStatus.enabled": "✅ 有効",
+    "aiStatus.disabled": "⚠️ 無効（キーワードフィルターのみ）",
+    "aiStatus.circuit": "サーキット",
+    "aiStatus.noApi": "—（API を使用しません）",
+    "aiStatus.failuresValue": "{n}回（しきい値 {threshold}回）",
+    "aiStatus.totalFailures": "累計失敗",
+    "aiStatus.changedAt": "最終状態変更",
+
+    "history.none": "✅ **{user}** の処分履歴はありません",
+    "history.title": "📚 {user} の処分履歴 ({n}件)",
+    "history.footer": "/case view id:<番号> で詳細を表示",
+    "case.notFound": "❌ ケース #{id} は見つかりません",
+    "case.editTitle": "✏️ ケース理由修正",
+    "case.editDesc": "**{mod}** がケース #{id} の理由を修正しました",
+    "case.before": "修正前",
+    "case.after": "修正後",
+    "case.edited": "✏️ ケース #{id} の理由を修正しました",
+
+    "keyword.listTitle": "📝 禁止ワード一覧 ({n}件)",
+    "keyword.empty": "登録なし",
+    "keyword.defaultList": "デフォルトの一覧を使用中",
+    "keyword.testHit": "🚨 禁止ワードに一致",
+    "keyword.testClean": "✅ 一致なし",
+    "keyword.input": "入力",
+    "keyword.normalized": "正規化後",
+    "keyword.matches": "一致",
+    "keyword.suppressed": "除外語により無視",
+    "keyword.badRegex": "❌ 正規表現が不正です: {error}",
+    "keyword.emptyPattern": "❌ 正規化すると空になる語句は登録できません",
+    "keyword.exists": "ℹ️ `{pattern}` ({type}) は登録済みです",
+    "keyword.missing": "❌ `{pattern}` は登録されていません",
+    "keyword.logTitle": "📝 禁止ワード変更",
+    "keyword.logAdded": "**{mod}** が禁止ワード `{pattern}` を追加しました",
+    "keyword.logRemoved": "**{mod}** が禁止ワード `{pattern}` を削除しました",
+    "keyword.added": "✅ `{pattern}` を追加しました",
+    "keyword.removed": "✅ `{pattern}` を削除しました",
+
+    "reviewStats.title": "🕵️ レビュー集計",
+    "reviewStats.countValue": "全 {total} 件（処理済み {decided}・未処理 {pending}）",
+    "reviewStats.decisions": "判断の内訳",
+    "reviewStats.falsePositive": "誤検出率（全体）",
+    "reviewStats.falsePositiveByCategory": "誤検出率（カテゴリ別）",
+    "reviewStats.shadow": "シャドーモード: {state}",
+
+    "bot.startTitle": "✅ Bot起動完了",
+    "bot.startDesc": "**{tag}** がオンラインになりました",
+    "bot.errorTitle": "❌ Bot エラー",
+    "bot.stopTitle": "⚠️ Bot 停止",
+    "bot.stopDesc": "プロセスが停止シグナルを受け取りました",
+
+    "logCategory.verdict-safe": "判定（問題なし）",
+    "logCategory.verdict-flagged": "判定（検出）",
+    "logCategory.action": "処分・モデレーション",
+    "logCategory.config": "設定変更",
+    "logCategory.error": "エラー・AI判定の停止",
+    "logCategory.lifecycle": "Bot の起動・停止",
+    "logRoute.logChannel": "ログチャンネル",
+    "logRoute.webhook": "Webhook",
+    "logRoute.digest": "まとめ送信",
+    "logDigest.title": "🗂️ {category} のまとめ（{n}件）",
+
+    "api.actor": "🌐 API: {name}（{ip}）",
+    "api.settingsTitle": "⚙️ 管理 API: 設定変更",
+    "api.settingsDesc": "**{name}** が管理 API から設定を変更しました",
+    "api.timeoutTitle": "⚖️ 管理 API: タイムアウト",
+    "api.timeoutDesc": "**{name}** が管理 API から **{user}** をタイムアウトしました",
+    "api.untimeoutTitle": "🔓 管理 API: タイムアウト解除",
+    "api.untimeoutDesc": "**{name}** が管理 API から **{user}** のタイムアウトを解除しました",
+    "api.error.disabled": "管理 API は無効です（ADMIN_API_TOKENS 未設定）",
+    "api.error.tooManyFailures": "認証の失敗が多すぎます。しばらく待ってから再試行してください",
+    "api.error.unauthorized": "認証に失敗しました",
+    "api.error.guildNotFound": "ギルドが見つかりません",
+    "api.error.boolean": "{field} は true/false で指定してください",
+    "api.error.noChanges": "変更する項目がありません",
+    "api.error.userId": "userId を指定してください",
+    "api.error.duration": "duration は 30m / 1h30m / 1d のように指定してください",
+    "api.error.tooLong": "タイムアウトは最大28日までです",
+    "api.error.reason": "reason を指定してください",
+    "api.error.protected": "このメンバーはタイムアウトできません（サーバー所有者・モデレーター・Bot と同じか上のロール）",
+    "api.error.notTimedOut": "このメンバーはタイムアウトされていません",
+
+    "dashboard.title": "looking-bot 管理",
+    "dashboard.token": "API トークン",
+    "dashboard.connect": "接続",
+    "dashboard.settings": "設定",
+    "dashboard.aiEnabled": "AI判定",
+    "dashboard.voiceAICheck": "通話参加者へのAI判定",
+    "dashboard.timeouts": "タイムアウト中のメンバー",
+    "dashboard.userId": "ユーザーID",
+    "dashboard.durationPlaceholder": "期間（例: 1h30m）",
+    "dashboard.reason": "理由",
+    "dashboard.timeout": "タイムアウト",
+    "dashboard.recentCases": "直近のタイムアウト",
+    "dashboard.recentVerdicts": "直近の判定",
+    "dashboard.user": "ユーザー",
+    "dashboard.id": "ID",
+    "dashboard.until": "解除予定",
+    "dashboard.lift": "解除",
+    "dashboard.liftPrompt": "解除の理由",
+    "dashboard.date": "日時",
+    "dashboard.action": "操作",
+    "dashboard.executor": "実行者",
+    "dashboard.auto": "自動判定",
+    "dashboard.kind": "種類",
+    "dashboard.result": "結果",
+    "dashboard.method": "判定方法",
+    "dashboard.category": "カテゴリ",
+    "dashboard.content": "内容",
+  },
+  en: {
+    "language.name": "English",
+
+    "common.none": "None",
+    "common.unknown": "Unknown",
+    "common.enabled": "✅ Enabled",
+    "common.disabled": "❌ Disabled",
+    "common.unset": "Not set",
+    "common.unsetLog": "Not set (log channel)",
+    "common.noData": "No data",
+    "common.paren": "{text} ({note})",
+    "common.sep": " · ",
+    "common.count": "{n}",
+    "common.times": "{n}",
+    "common.people": "{n}",
+    "common.error": "❌ Something went wrong",
+    "common.errorDetail": "❌ Something went wrong: {message}",
+    "common.guildOnly": "❌ Please run this command in a server",
+    "common.needModerate": "❌ You need the Timeout Members permission to do this",
+    "common.attempts": " ({n} attempts)",
+
+    "time.hms": "{h}h {m}m {s}s",
+    "time.ms": "{m}m {s}s",
+    "time.s": "{s}s",
+
+    "category.none": "No issues",
+    "category.harassment": "Harassment / insults",
+    "category.threats": "Threats / violence",
+    "category.hate": "Hate / discrimination",
+    "category.sexual": "Sexual",
+    "category.self-harm": "Self-harm",
+    "category.spam": "Spam",
+    "severity.low": "low",
+    "severity.medium": "medium",
+    "severity.high": "high",
+    "method.keyword": "Keyword",
+    "method.rules": "Rules",
+    "method.spam": "Spam detection",
+    "media.attachment": "attachment",
+    "media.sticker": "sticker",
+    "media.embed": "embed",
+    "media.link": "link",
+
+    "verdict.clean": "✅ No issues",
+    "verdict.summary": "{category} ({severity}, {confidence}% confidence)",
+    "verdict.imageSkipped": "Images are not checked while AI moderation is off",
+    "verdict.cooldown": "Cooling down ({n}s)",
+    "verdict.rulesNoImage": "The rules provider cannot check images",
+    "verdict.error": "Classification error",
+    "verdictError.noJson": "no JSON found",
+    "verdictError.notObject": "the verdict is not an object",
+    "verdictError.category": "unknown category: {value}",
+    "verdictError.severity": "unknown severity: {value}",
+    "verdictError.confidence": "confidence is not a number from 0 to 1: {value}",
+    "verdictError.reason": "reason is not a string",
+    "verdictError.verdicts": "verdicts is not an array",
+    "verdictError.index": "invalid index: {value}",
+    "verdictError.missing": "no verdict for index {n}",
+    "keyword.hit": "Blocked word \"{pattern}\" detected",
+    "keyword.clean": "No blocked words",
+
+    "step.warn": "⚠️ Warning",
+    "step.kick": "👢 Kick",
+    "step.ban": "🔨 Ban",
+    "categoryAction.none": "📋 Log only",
+    "categoryAction.strike": "📊 Strike ladder",
+
+    "field.verdict": "Verdict",
+    "field.action": "Action",
+    "field.reason": "Reason",
+    "field.method": "Method",
+    "field.userId": "User ID",
+    "field.cache": "Cache",
+    "field.elapsed": "Time",
+    "field.model": "Model",
+    "field.context": "Context",
+    "field.aiResponse": "AI response",
+    "field.count": "Messages",
+    "field.provider": "Provider",
+    "field.target": "👤 User",
+    "field.member": "👤 Member",
+    "field.author": "👤 Author",
+    "field.executor": "👮 Moderator",
+    "field.admin": "👮 Administrator",
+    "field.channel": "📍 Channel",
+    "field.commandChannel": "📍 Channel",
+    "field.duration": "⏱️ Duration",
+    "field.timeoutDuration": "⏱️ Timeout duration",
+    "field.strikes": "📊 Strikes",
+    "field.case": "📁 Case",
+    "field.caseReason": "📝 Reason",
+    "field.detectReason": "🚨 Detection reason",
+    "field.names": "🏷️ Names",
+    "field.error": "⚠️ Error",
+    "field.newSetting": "⚙️ New setting",
+
+    "log.message": "Message: `{text}`",
+    "log.rules.flagged": "🚨 Rules check: flagged",
+    "log.rules.clean": "✅ Rules check: clean",
+    "log.keyword.flagged": "🚨 Keyword filter: flagged",
+    "log.keyword.clean": "✅ Keyword filter: clean",
+    "log.keyword.method": "Keyword filter (AI fallback)",
+    "log.cached.flagged": "🚨 AI check (cached): harmful message detected",
+    "log.cached.clean": "✅ AI check (cached): clean message",
+    "log.ai.flagged": "🚨 AI check: harmful message detected",
+    "log.ai.clean": "✅ AI check: clean message",
+    "log.batch.flagged": "🚨 AI check (batched): harmful message detected",
+    "log.batch.clean": "✅ AI check (batched): clean",
+    "log.batch.cached": " (cached)",
+    "log.batch.count": "{total} ({flagged} flagged)",
+    "log.context.history": "{n} messages",
+    "log.context.reply": " + reply",
+    "cache.stats": "{hits} hits / {misses} misses ({rate}%), {size} entries",
+
+    "circuit.closed": "🟢 Healthy (closed)",
+    "circuit.open": "🔴 Paused (open)",
+    "circuit.half-open": "🟡 Trying to resume (half-open)",
+    "circuit.title.closed": "✅ AI checks resumed automatically",
+    "circuit.title.open": "⚠️ AI checks paused automatically",
+    "circuit.title.half-open": "🔄 Trying to resume AI checks",
+    "circuit.field.state": "State",
+    "circuit.field.failures": "Consecutive failures",
+    "circuit.field.nextRetry": "Next attempt",
+    "circuit.field.lastError": "Last error",
+    "circuit.note.recovered": "An API call succeeded, so AI checks have resumed",
+    "circuit.note.retryFailed": "The recovery attempt failed. Retrying in {wait}",
+    "circuit.note.quota": "Switched to the keyword filter because of rate limiting or an exhausted quota. Will try to resume in {wait}",
+    "circuit.note.failures": "Switched to the keyword filter after {n} consecutive API failures. Will try to resume in {wait}",
+    "circuit.note.manual": "AI checks were resumed by an administrator",
+    "circuit.note.halfOpen": "The wait is over; sending a single API call to check whether the service has recovered",
+
+    "source.auto": "🤖 Automatic",
+    "source.review": "🕵️ Review",
+    "source.manual": "👮 Moderator",
+    "source.api": "🌐 Admin API",
+    "source.unknown": "❓ Unknown (not done through the bot)",
+    "board.title": "⏳ Timed-out members",
+    "board.titleCount": "⏳ Timed-out members ({n})",
+    "board.titleContinued": "⏳ Timed-out members (continued)",
+    "board.empty": "✅ **No one is timed out right now**",
+    "board.until": "⏱️ Ends <t:{until}:R> (<t:{until}:f>)",
+    "board.case": " · case #{id}",
+    "board.page": "Page {page}/{pages}",
+    "board.more": " · {n} more (see /to)",
+
+    "caseAction.warn": "⚠️ Warning",
+    "caseAction.timeout": "⏱️ Timeout",
+    "caseAction.untimeout": "🔓 Timeout removed",
+    "caseAction.unban": "🔓 Unban",
+    "caseAction.purge": "🧹 Message purge",
+    "caseAction.nickname": "🏷️ Nickname change",
+    "caseAction.kick": "👢 Kick",
+    "caseAction.ban": "🔨 Ban",
+    "case.ref": "case #{id}",
+    "case.title": "📁 Case #{id} {action}",
+    "case.strikeNth": "#{n}",
+    "case.archive": "🗄️ Evidence",
+    "case.archiveLink": "[Archived copy]({url})",
+    "case.messageDeleted": " (original message deleted)",
+    "case.appeal": "📨 Appeal",
+    "case.reasonEdited": "Reason edited {n} times (last: {at})",
+    "case.failed": "❌ The action could not be applied: {error}",
+    "evidence.label": "Detection {n}",
+    "evidence.labelMethod": "Detection {n} ({method})",
+    "evidence.imageLink": "[Image link]({url})",
+    "evidence.reason": "Reason: {reason}",
+
+    "schedule.unbanReason": "Temporary ban expired (case #{caseId})",
+    "schedule.unbanTitle": "🔓 Temporary ban lifted",
+    "schedule.unbanDesc": "**{user}**'s temporary ban has expired and was lifted",
+    "schedule.unbanCase": "#{id} (original ban: #{caseId})",
+    "schedule.failedTitle": "❌ Scheduled action failed",
+    "schedule.failedDesc": "Scheduled action #{id} ({type}) still failed after {attempts} attempts. Please handle it manually",
+
+    "appeal.status.pending": "⏳ Under review",
+    "appeal.status.lifted": "🔓 Lifted",
+    "appeal.status.upheld": "⚖️ Upheld",
+    "appeal.dmTitle": "⛔ You were timed out in {guild}",
+    "appeal.dmDesc": "Automatic moderation flagged one of your posts as inappropriate. If you think this was a mistake, you can appeal with the button below.",
+    "appeal.button": "Appeal",
+    "appeal.notFound": "❌ Case not found",
+    "appeal.alreadySent": "ℹ️ You have already appealed this case",
+    "appeal.notOwner": "❌ Only the member who received this action can appeal it",
+    "appeal.modalTitle": "Appeal (case #{id})",
+    "appeal.modalLabel": "Why do you think the decision was wrong?",
+    "appeal.noChannel": "❌ This server has no appeal channel set up. Please contact its administrators",
+    "appeal.embedTitle": "📨 Appeal (case #{id})",
+    "appeal.appellant": "👤 Appellant",
+    "appeal.lift": "Lift timeout",
+    "appeal.uphold": "Uphold",
+    "appeal.sent": "✅ Your appeal was sent. Please wait for a moderator's decision",
+    "appeal.alreadyResolved": "ℹ️ This appeal has already been handled",
+    "appeal.liftReason": "Appeal accepted (case #{id}) by {tag}",
+    "appeal.result.lifted": "🔓 Timeout lifted",
+    "appeal.result.upheld": "⚖️ Upheld",
+    "appeal.decision": "Decision",
+    "appeal.resultTitle": "📨 Appeal result: {result}",
+    "appeal.decidedBy": "👮 Decided by",
+    "appeal.text": "📨 Appeal",
+    "appeal.dmLifted": "🔓 Your appeal in **{guild}** (case #{id}) was accepted and your timeout was lifted",
+    "appeal.dmUpheld": "⚖️ Your appeal in **{guild}** (case #{id}) was reviewed and the action was upheld",
+
+    "review.duration.10m": "10 minutes",
+    "review.duration.1h": "1 hour",
+    "review.duration.6h": "6 hours",
+    "review.duration.1d": "1 day",
+    "review.duration.7d": "1 week",
+    "review.decision.timeout": "⏱️ Timeout",
+    "review.decision.warn": "⚠️ Warning",
+    "review.decision.delete": "🗑️ Delete",
+    "review.decision.rename": "🏷️ Reset nickname",
+    "review.decision.dismiss": "🙅 Dismissed as false positive",
+    "review.timeoutPlaceholder": "⏱️ Timeout (choose a duration)",
+    "review.button.warn": "Warn",
+    "review.button.rename": "Reset name",
+    "review.button.delete": "Delete",
+    "review.button.dismiss": "False positive",
+    "review.title": "🕵️ Pending review #{id}",
+    "review.edited": " (edited)",
+    "review.profile": " (profile)",
+    "review.desc": "A post by **{user}** was flagged (no action taken because shadow mode is on)\n[Jump to message]({url})",
+    "review.profileDesc": "**{user}**'s profile was flagged (<@{id}>)",
+    "review.currentStrikes": "📊 Current strikes",
+    "review.strikeCount": "{n}",
+    "review.expected": "{verdict} → would apply: {action}",
+    "review.notFound": "❌ Review item not found",
+    "review.alreadyDone": "ℹ️ This review has already been handled",
+    "review.memberMissing": "❌ The member is no longer in the server, so this cannot be applied",
+    "review.ref": "Review #{id}",
+    "review.reason": "Review #{id}: {reason}",
+    "review.warnNotice": "⚠️ <@{user}> a moderator found your post inappropriate (strike {n})",
+    "review.profileWarnDm": "⚠️ A moderator in **{guild}** found your profile (name or avatar) inappropriate (strike {n}). Please change it",
+    "review.doneTitle": "🕵️ Reviewed #{id}",
+    "review.judgement": "⚖️ Decision",
+    "review.logTitle": "🕵️ Review decision",
+    "review.logDesc": "**{mod}** handled review #{id}: {decision}",
+    "review.aiVerdict": "🤖 AI verdict",
+
+    "response.archive": "🗄️ Archive",
+    "response.delete": "🗑️ Delete",
+    "response.redact": "🚫 Redact with a notice",
+    "archive.noContent": "(no text)",
+    "archive.messageId": "🆔 Message ID",
+    "archive.skipped": "⚠️ Attachments not saved",
+    "archive.skippedValue": "{n} (too large or failed to download)",
+
+    "reason.spam": "🚫 Spam: {reason}",
+    "reason.text": "📝 Text: [{category}] {reason}",
+    "reason.image": "🖼️ Image ({source}): [{category}] {reason}{frame}",
+    "reason.frame": " (frame {n} of {total})",
+    "reason.name": "🏷️ Name: [{category}] {reason}",
+    "reason.avatar": "🖼️ Avatar: [{category}] {reason}",
+    "reason.editEvasionShadow": "✏️ Evasion by editing (a post already judged clean was edited)",
+    "reason.editEvasion": "✏️ Evasion by editing ({n} in the last 24 hours)",
+    "reason.editEvasionRepeat": "Repeated evasion by editing",
+    "spam.mentions": "Mass mentions ({n})",
+    "spam.flood": "Flooding ({n} messages in {window})",
+    "spam.duplicate": "Duplicate posts ({n} across {channels} channels)",
+    "diff.unknownBefore": "(not cached, unknown)",
+
+    "auto.auditReason": "Automatic moderation (strike {n}): {reasons}",
+    "auto.redacted": "🚫 A post by **{user}** was hidden because of inappropriate content",
+    "auto.warnNotice": "⚠️ <@{user}> an inappropriate message was detected (strike {n}). Next: {next}",
+    "auto.actionNotice": "⛔ Applied {step} to **{user}** (strike {n})",
+    "auto.penalty": "⚖️ Action",
+    "auto.strikeValue": "{n} (expire after {decay})",
+    "auto.nextStep": "⏭️ Next action",
+    "auto.response": "🧹 Message handling",
+    "auto.editDiff": "✏️ Edit diff",
+    "auto.aggravated": "⚠️ Aggravated",
+    "auto.aggravatedValue": "An extra strike was added for repeated evasion by editing",
+    "auto.titleWarn": "⚠️ Automatic warning",
+    "auto.titleAction": "🔨 Automatic action",
+    "auto.desc": "**{user}** was automatically actioned by AI ({step})",
+    "auto.descEdited": "**{user}** was automatically actioned by AI for an edited message ({step})",
+    "auto.titleFailed": "❌ Automatic action failed",
+
+    "profile.neutralNickname": "Please change your name",
+    "profile.username": "Username: {name}",
+    "profile.globalName": "Display name: {name}",
+    "profile.nickname": "Nickname: {name}",
+    "profile.auditReason": "Automatic profile check: {reasons}",
+    "profile.dm": "⚠️ Your profile (name or avatar) in **{guild}** was flagged as inappropriate. Please change it\n{reasons}",
+    "profile.logTitle": "👤 Profile flagged",
+    "profile.logDesc": "**{user}**'s profile was flagged",
+    "profile.response": "⚖️ Response",
+    "profileAction.off": "❌ OFF (not checked)",
+    "profileAction.nickname": "🏷️ Change to a neutral name",
+    "profileAction.review": "🕵️ Send to the review queue",
+    "profileAction.timeout": "⏱️ Timeout {duration}",
+
+    "slowmode.reason": "Sudden surge of messages in the channel",
+    "slowmode.title": "🐢 Slowmode enabled",
+    "slowmode.desc": "Detected {n} messages in {window} in <#{channel}>",
+    "slowmode.field": "⚙️ Slowmode",
+    "raid.lockReason": "Raid mode: {reason}",
+    "raid.unlockReason": "Raid mode ended",
+    "raid.startTitle": "🚨 Raid mode started",
+    "raid.startDesc": "A raid was detected in **{guild}**, so channels were locked",
+    "raid.reason": "📋 Reason",
+    "raid.locked": "🔒 Locked channels",
+    "raid.autoEnd": "⏱️ Ends",
+    "raid.endTitle": "✅ Raid mode ended",
+    "raid.endByUser": "**{user}** ended raid mode",
+    "raid.endExpired": "Raid mode ended because its duration elapsed",
+    "raid.unlocked": "🔓 Unlocked channels",
+    "raid.newAccount": "New account joined during a raid",
+    "raid.joinReason": "{n} members joined in {window}",
+    "raid.manualReason": "Started manually by {user}",
+    "raid.status": "🚨 Raid mode is on (started <t:{start}:R>, ends <t:{end}:R>, {n} channels locked)\nReason: {reason}",
+    "raid.inactive": "✅ Raid mode is off",
+    "raid.badDuration": "❌ Specify a duration like 30m / 1h",
+    "raid.started": "🚨 Raid mode started",
+    "raid.alreadyActive": "ℹ️ Raid mode is already on",
+    "raid.ended": "✅ Raid mode ended",
+    "raid.notActive": "ℹ️ Raid mode is not on",
+
+    "config.log-channel": "Log channel",
+    "config.appeal-channel": "Appeal channel",
+    "config.response-actions": "Message handling",
+    "config.archive-channel": "Evidence channel",
+    "config.review-channel": "Review queue channel",
+    "config.shadow": "Shadow mode (review instead of acting)",
+    "config.profile-action": "Response to flagged profiles",
+    "config.status-channel": "Timeout board channel",
+    "config.strike-ladder": "Strike ladder",
+    "config.strike-decay": "Strike expiry",
+    "config.provider": "Classifier provider",
+    "config.text-model": "Text model",
+    "config.image-model": "Image model",
+    "config.temperature": "Text classifier temperature",
+    "config.max-tokens": "Text classifier max output tokens",
+    "config.category-rule": "Per-category thresholds and actions",
+    "config.context": "Include conversation context",
+    "config.context-size": "Context messages",
+    "config.spam": "Spam and raid detection",
+    "config.ai": "AI checks",
+    "config.voice-ai": "AI checks for voice participants",
+    "config.exempt-users": "Exempt users",
+    "config.language": "Language (logs, notices, classifier prompts)",
+    "config.log-route": "Log destinations and digests",
+    "config.providerDefault": "Provider default",
+    "config.error.switch": "Use on / off",
+    "config.error.channel": "Text channel not found: {value}",
+    "config.error.step": "Unknown action: {step}",
+    "config.error.maxTimeout": "Timeouts can be at most 28 days",
+    "config.error.count": "Use a whole number from 1 to 1000",
+    "config.error.duration": "Specify a duration like 30s / 10m / 1h",
+    "config.error.slowmode": "Slowmode must be 1 to 21600 seconds",
+    "config.error.responseActions": "Choose actions from {list}",
+    "config.error.profileAction": "Use off / nickname / review / a duration (e.g. 1h)",
+    "config.error.ladder": "Specify steps like warn,10m,1h,1d,kick",
+    "config.error.decay": "Specify a duration like 7d / 12h / 30m",
+    "config.error.provider": "Choose a provider from {list}",
+    "config.error.temperature": "temperature must be a number from 0 to 2",
+    "config.error.maxTokens": "Max output tokens must be a whole number from 1 to 4096",
+    "config.error.category": "Choose a category from {list}",
+    "config.error.threshold": "The threshold must be a number from 0 to 1",
+    "config.error.contextSize": "Use a whole number from 0 to 20",
+    "config.error.spamSetting": "Choose a setting from {list}",
+    "config.error.language": "Choose a language from {list}",
+    "config.error.logCategory": "Choose a log category from {list}",
+    "config.error.logRoute": "Use on / off / digest / instant / a channel / a webhook URL / default",
+    "config.getTitle": "⚙️ Settings for {guild}",
+    "config.logTitle": "⚙️ Settings changed",
+    "config.logSet": "**{mod}** changed the settings",
+    "config.logReset": "**{mod}** reset the settings to their defaults",
+    "config.setTitle": "⚙️ Settings updated",
+    "config.resetTitle": "↩️ Settings reset to defaults",
+
+    "top.defaultReason": "Manual timeout by an administrator",
+    "top.invalidDuration": "❌ Could not read the duration \"{input}\". Use a format like 10m / 1h30m / 1d (a bare number is seconds)",
+    "top.tooLong": "❌ Timeouts can be at most 28 days.\nRequested: {duration}",
+    "top.done": "⛔ An administrator timed out **{user}** for {duration} (case #{id})",
+    "top.logTitle": "⚖️ Manual timeout by an administrator",
+    "top.logDesc": "**{mod}** timed out **{user}**",
+    "to.empty": "✅ No one is timed out",
+    "to.header": "⏳ **Timed-out members** ({n})",
+    "to.line": "{i}. **{user}** · {remaining} left",
+
+    "mod.notMember": "❌ That user is not in this server",
+    "mod.notTimedOut": "❌ **{user}** is not timed out",
+    "mod.noPermission": "❌ The bot lacks the permission or role position to do that",
+    "mod.self": "❌ You cannot target yourself",
+    "mod.higherRole": "❌ You cannot target a member whose highest role is equal to or above yours",
+    "mod.untimeoutTitle": "🔓 Timeout removed by a moderator",
+    "mod.untimeoutDesc": "**{mod}** removed **{user}**'s timeout",
+    "mod.untimeoutDone": "🔓 Removed **{user}**'s timeout (case #{id})",
+    "mod.warnTitle": "⚠️ Warning by a moderator",
+    "mod.warnDesc": "**{mod}** warned **{user}**",
+    "mod.warnDm": "⚠️ You received a warning from the moderators of **{guild}** (strike {n})\nReason: {reason}",
+    "mod.warnDone": "⚠️ Warned <@{user}> (strike {n}, case #{id})",
+    "mod.kickTitle": "👢 Kicked by a moderator",
+    "mod.kickDesc": "**{mod}** kicked **{user}**",
+    "mod.kickDone": "👢 Kicked **{user}** (case #{id})",
+    "mod.badDuration": "❌ Specify a duration like 1d / 12h / 1h30m",
+    "mod.badDeleteWindow": "❌ The message deletion window must be 7 days or less",
+    "mod.banTitle": "🔨 Banned by a moderator",
+    "mod.tempBanTitle": "🔨 Temporary ban by a moderator",
+    "mod.banDesc": "**{mod}** banned **{user}**",
+    "mod.banUntil": "{duration} (lifted <t:{at}:f>)",
+    "mod.permanent": "Permanent",
+    "mod.banDone": "🔨 Banned **{user}**{expiry} (case #{id})",
+    "mod.banExpiry": " (lifted automatically in {duration})",
+    "mod.notBanned": "❌ **{user}** is not banned",
+    "mod.unbanTitle": "🔓 Unbanned by a moderator",
+    "mod.unbanDesc": "**{mod}** unbanned **{user}**",
+    "mod.schedule": "⏱️ Schedule",
+    "mod.unbanCancelled": "Cancelled the scheduled end of the temporary ban",
+    "mod.unbanDone": "🔓 Unbanned **{user}** (case #{id})",
+    "mod.purgeNone": "❌ **{user}** has no recent messages in this channel",
+    "mod.purgeTitle": "🧹 Messages purged by a moderator",
+    "mod.purgeDesc": "**{mod}** purged messages from **{user}**",
+    "mod.purged": "🧹 Deleted",
+    "mod.purgedValue": "{n} (requested {count})",
+    "mod.purgeDone": "🧹 Deleted {n} messages from **{user}** (case #{id})",
+    "mod.purgeSkipped": "\n⚠️ {n} messages older than 14 days could not be deleted",
+
+    "voice.enabled": "✅ **enabled**",
+    "voice.disabled": "❌ **disabled**",
+    "voice.logTitle": "{emoji} Voice participant AI check changed",
+    "voice.logEnabled": "**{mod}** enabled AI checks for voice participants",
+    "voice.logDisabled": "**{mod}** disabled AI checks for voice participants",
+    "voice.replyEnabled": "{emoji} AI checks for voice participants are now {status}\n\nMessages from members in voice channels will be checked by AI",
+    "voice.replyDisabled": "{emoji} AI checks for voice participants are now {status}\n\nMessages from members in voice channels will not be checked by AI",
+    "aiMode.enabled": "✅ **AI checks enabled**",
+    "aiMode.disabled": "⚠️ **Keyword filter only**",
+    "aiMode.logTitle": "{emoji} AI check mode changed",
+    "aiMode.logEnabled": "**{mod}** enabled AI checks",
+    "aiMode.logDisabled": "**{mod}** disabled AI checks",
+    "aiMode.reply": "{emoji} AI check mode set to {status}\n\n{detail}",
+    "aiMode.replyEnabled": "Messages are checked with {provider} (high accuracy)",
+    "aiMode.replyDisabled": "Running on the keyword filter (saves API quota)",
+    "aiStatus.title": "🤖 AI check status",
+    "aiStatus.setting": "AI checks",
+    "aiStatus.enabled": "✅ Enabled",
+    "aiStatus.disabled": "⚠️ Disabled (keyword filter only)",
+    "aiStatus.circuit": "Circuit",
+    "aiStatus.noApi": "— (no API used)",
+    "aiStatus.failuresValue": "{n} (threshold {threshold})",
+    "aiStatus.totalFailures": "Total failures",
+    "aiStatus.changedAt": "Last state change",
+
+    "history.none": "✅ **{user}** has no moderation history",
+    "history.title": "📚 Moderation history for {user} ({n})",
+    "history.footer": "Use /case view id:<number> for details",
+    "case.notFound": "❌ Case #{id} not found",
+    "case.editTitle": "✏️ Case reason edited",
+    "case.editDesc": "**{mod}** edited the reason for case #{id}",
+    "case.before": "Before",
+    "case.after": "After",
+    "case.edited": "✏️ Edited the reason for case #{id}",
+
+    "keyword.listTitle": "📝 Blocked words ({n})",
+    "keyword.empty": "None registered",
+    "keyword.defaultList": "Using the default list",
+    "keyword.testHit": "🚨 Matched a blocked word",
+    "keyword.testClean": "✅ No match",
+    "keyword.input": "Input",
+    "keyword.normalized": "Normalized",
+    "keyword.matches": "Matches",
+    "keyword.suppressed": "Ignored because of allow entries",
+    "keyword.badRegex": "❌ Invalid regular expression: {error}",
+    "keyword.emptyPattern": "❌ This pattern is empty after normalization",
+    "keyword.exists": "ℹ️ `{pattern}` ({type}) is already registered",
+    "keyword.missing": "❌ `{pattern}` is not registered",
+    "keyword.logTitle": "📝 Blocked words changed",
+    "keyword.logAdded": "**{mod}** added the blocked word `{pattern}`",
+    "keyword.logRemoved": "**{mod}** removed the blocked word `{pattern}`",
+    "keyword.added": "✅ Added `{pattern}`",
+    "keyword.removed": "✅ Removed `{pattern}`",
+
+    "reviewStats.title": "🕵️ Review stats",
+    "reviewStats.countValue": "{total} total ({decided} decided, {pending} pending)",
+    "reviewStats.decisions": "Decisions",
+    "reviewStats.falsePositive": "False positive rate (overall)",
+    "reviewStats.falsePositiveByCategory": "False positive rate (by category)",
+    "reviewStats.shadow": "Shadow mode: {state}",
+
+    "bot.startTitle": "✅ Bot started",
+    "bot.startDesc": "**{tag}** is online",
+    "bot.errorTitle": "❌ Bot error",
+    "bot.stopTitle": "⚠️ Bot stopping",
+    "bot.stopDesc": "The process received a stop signal",
+
+    "logCategory.verdict-safe": "Verdicts (clean)",
+    "logCategory.verdict-flagged": "Verdicts (flagged)",
+    "logCategory.action": "Moderation actions",
+    "logCategory.config": "Settings changes",
+    "logCategory.error": "Errors and AI check outages",
+    "logCategory.lifecycle": "Bot start and stop",
+    "logRoute.logChannel": "log channel",
+    "logRoute.webhook": "webhook",
+    "logRoute.digest": "digest",
+    "logDigest.title": "🗂️ {category} digest ({n})",
+
+    "api.actor": "🌐 API: {name} ({ip})",
+    "api.settingsTitle": "⚙️ Admin API: settings changed",
+    "api.settingsDesc": "**{name}** changed the settings through the admin API",
+    "api.timeoutTitle": "⚖️ Admin API: timeout",
+    "api.timeoutDesc": "**{name}** timed out **{user}** through the admin API",
+    "api.untimeoutTitle": "🔓 Admin API: timeout removed",
+    "api.untimeoutDesc": "**{name}** removed **{user}**'s timeout through the admin API",
+    "api.error.disabled": "The admin API is disabled (ADMIN_API_TOKENS is not set)",
+    "api.error.tooManyFailures": "Too many failed authentication attempts. Please wait and try again",
+    "api.error.unauthorized": "Authentication failed",
+    "api.error.guildNotFound": "Guild not found",
+    "api.error.boolean": "{field} must be true or false",
+    "api.error.noChanges": "Nothing to change",
+    "api.error.userId": "Specify userId",
+    "api.error.duration": "Specify duration like 30m / 1h30m / 1d",
+    "api.error.tooLong": "Timeouts can be at most 28 days",
+    "api.error.reason": "Specify reason",
+    "api.error.protected": "This member cannot be timed out (server owner, moderator, or a role equal to or above the bot)",
+    "api.error.notTimedOut": "This member is not timed out",
+
+    "dashboard.title": "looking-bot admin",
+    "dashboard.token": "API token",
+    "dashboard.connect": "Connect",
+    "dashboard.settings": "Settings",
+    "dashboard.aiEnabled": "AI moderation",
+    "dashboard.voiceAICheck": "AI moderation for voice participants",
+    "dashboard.timeouts": "Timed-out members",
+    "dashboard.userId": "User ID",
+    "dashboard.durationPlaceholder": "Duration (e.g. 1h30m)",
+    "dashboard.reason": "Reason",
+    "dashboard.timeout": "Time out",
+    "dashboard.recentCases": "Recent timeouts",
+    "dashboard.recentVerdicts": "Recent verdicts",
+    "dashboard.user": "User",
+    "dashboard.id": "ID",
+    "dashboard.until": "Ends at",
+    "dashboard.lift": "Lift",
+    "dashboard.liftPrompt": "Reason for lifting",
+    "dashboard.date": "Date",
+    "dashboard.action": "Action",
+    "dashboard.executor": "By",
+    "dashboard.auto": "Automatic",
+    "dashboard.kind": "Kind",
+    "dashboard.result": "Result",
+    "dashboard.method": "Method",
+    "dashboard.category": "Category",
+    "dashboard.content": "Content",
+  },
+};
+
+const LOCALES = Object.keys(MESSAGES);
+
+// Discord のクライアント言語（interaction.locale / 各種 localizations）との対応
+const DISCORD_LOCALES = {
+  ja: ["ja"],
+  en: ["en-US", "en-GB"],
+};
+
+function t(locale, key, vars = {}) {
+  const template = MESSAGES[locale]?.[key] ?? MESSAGES.ja[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+function guildLocale(guildId) {
+  const locale = (guildId ? getGuildConfig(guildId) : DEFAULT_GUILD_CONFIG).language;
+  return MESSAGES[locale] ? locale : "ja";
+}
+
+// 本人にしか見えない返信用。対応していない言語ならギルドの言語
+// （DM でのボタン操作など guildId が無い場合は呼び出し側で渡す）
+function interactionLocale(interaction, guildId = interaction.guildId) {
+  const locale = LOCALES.find((l) => DISCORD_LOCALES[l].includes(interaction.locale));
+  return locale || guildLocale(guildId);
+}
+
+// { "en-US": "...", "en-GB": "..." } の形にする（ja はコマンド定義側の既定の文言）
+function discordLocalizations(translate) {
+  const result = {};
+  for (const locale of LOCALES) {
+    if (locale === "ja") continue;
+    const text = translate(locale);
+    if (text) for (const discordLocale of DISCORD_LOCALES[locale]) result[discordLocale] = text;
   }
+  return result;
 }
 
 // ====================================
@@ -57,18 +1365,91 @@ const client = new Client({
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildVoiceStates,
+    // タイムアウトの実行者・理由を監査ログから受け取る（Bot に「監査ログを表示」権限も必要）
+    GatewayIntentBits.GuildModeration,
   ],
+  // 起動前のメッセージの編集も受け取れるようにする
+  partials: [Partials.Message, Partials.Channel],
 });
 
 // ====================================
 // LOG用チャンネルに埋め込みメッセージ送信
 // ====================================
-async function sendLog(title, description, color = 0x00ff00, fields = []) {
-  const chId = process.env.CHANNEL_ID;
-  if (!client.isReady() || !chId) return;
+// category ごとに guildConfig.logRoutes の送信先（チャンネル / Webhook）・有効無効・まとめ送信に従う。
+// guildId を省略したログはデフォルト設定（CHANNEL_ID）を使う。
+// Discord に届かなかったログは LOG_FALLBACK_FILE に 1 行 1 件の JSON で残す
+const LOG_CATEGORIES = Object.keys(DEFAULT_GUILD_CONFIG.logRoutes);
+const LOG_FALLBACK_FILE = path.resolve(process.cwd(), process.env.LOG_FALLBACK_FILE || "logFallback.log");
+const LOG_DIGEST_INTERVAL = Number(process.env.LOG_DIGEST_INTERVAL) || 5 * 60 * 1000;
+const LOG_DIGEST_MAX = 20; // これだけ溜まったら間隔を待たずに送る
+const WEBHOOK_URL_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// `${guildId}:${category}` -> { guildId, category, entries: [{ title, description, at }] }
+const logDigests = new Map();
+
+function getLogRoute(guildId, category) {
+  const config = getGuildConfig(guildId);
+  const route = config.logRoutes[category] || DEFAULT_GUILD_CONFIG.logRoutes[category];
+  return { ...route, channelId: route.channelId || config.logChannelId };
+}
+
+function appendLogFallback(entry) {
+  try {
+    fs.appendFileSync(LOG_FALLBACK_FILE, JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n", "utf8");
+  } catch (e) {
+    console.log(`${path.basename(LOG_FALLBACK_FILE)} write error:`, e.message);
+  }
+}
+
+// 送信したメッセージ（Webhook なら { id, channelId }）を返す。送信先が無ければ null、届かなければ例外
+async function deliverLog(guildId, route, embed) {
+  if (route.webhookUrl) {
+    const res = await fetch(`${route.webhookUrl}?wait=true`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ embeds: [embed.toJSON()] }),
+    });
+    if (!res.ok) throw new Error(`Webhook ${res.status}`);
+    const body = await res.json();
+    return { id: body.id, channelId: body.channel_id };
+  }
+
+  if (!route.channelId) return null;
+  if (!client.isReady()) throw new Error("Discord に未接続");
+
+  const ch = client.channels.cache.get(route.channelId) || await client.channels.fetch(route.channelId);
+  if (!ch || !ch.send) return null;
+  // 環境変数のデフォルトが他ギルドのチャンネルを指している場合は送らない
+  if (guildId && ch.guildId && ch.guildId !== guildId) return null;
+
+  return ch.send({ embeds: [embed] });
+}
 
-  const ch = client.channels.cache.get(chId) || await client.channels.fetch(chId).catch(() => null);
-  if (!ch || !ch.send) return;
+async function deliverLogOrFallback(guildId, category, route, embed) {
+  try {
+    const sent = await deliverLog(guildId, route, embed);
+    if (sent) metrics.logsSent.inc({ category, result: "sent" });
+    return sent;
+  } catch (e) {
+    console.log(`ログ送信失敗 (${category}):`, e.message);
+    metrics.logsSent.inc({ category, result: "fallback" });
+    const { title, description, fields = [] } = embed.toJSON();
+    appendLogFallback({ guildId, category, title, description, fields, error: e.message });
+    return null;
+  }
+}
+
+// 送信したメッセージを返す（送れなかった場合・まとめ送信に回した場合は null）
+async function sendLog(title, description, color = 0x00ff00, fields = [], guildId = null, category = "action") {
+  const route = getLogRoute(guildId, category);
+  if (!route.enabled) {
+    metrics.logsSent.inc({ category, result: "disabled" });
+    return null;
+  }
+  if (route.digest) {
+    queueLogDigest(guildId, category, { title, description });
+    return null;
+  }
 
   const embed = new EmbedBuilder()
     .setTitle(title)
@@ -80,7 +1461,144 @@ async function sendLog(title, description, color = 0x00ff00, fields = []) {
     embed.addFields(fields);
   }
 
-  ch.send({ embeds: [embed] }).catch(() => {});
+  return deliverLogOrFallback(guildId, category, route, embed);
+}
+
+function queueLogDigest(guildId, category, entry) {
+  const key = `${guildId}:${category}`;
+  const digest = logDigests.get(key) || { guildId, category, entries: [] };
+  digest.entries.push({ ...entry, at: Date.now() });
+  logDigests.set(key, digest);
+  metrics.logsSent.inc({ category, result: "digest" });
+  if (digest.entries.length >= LOG_DIGEST_MAX) flushLogDigest(key);
+}
+
+// 溜まったログを「時刻 タイトル 説明の 1 行目」の一覧にして 1 件の埋め込みで送る
+async function flushLogDigest(key) {
+  const digest = logDigests.get(key);
+  if (!digest) return;
+  logDigests.delete(key);
+
+  const { guildId, category, entries } = digest;
+  const locale = guildLocale(guildId);
+  const lines = entries.map((e) => {
+    const line = `<t:${Math.floor(e.at / 1000)}:T> **${e.title}** ${String(e.description ?? "").split("\n")[0]}`;
+    return line.length > 200 ? `${line.substring(0, 199)}…` : line;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "logDigest.title", { category: t(locale, `logCategory.${category}`), n: entries.length }))
+    .setDescription(lines.join("\n").substring(0, 4096))
+    .setColor(0x5865f2)
+    .setTimestamp();
+
+  await deliverLogOrFallback(guildId, category, getLogRoute(guildId, category), embed);
+}
+
+function flushLogDigests() {
+  return Promise.all([...logDigests.keys()].map(flushLogDigest));
+}
+
+setInterval(flushLogDigests, LOG_DIGEST_INTERVAL).unref();
+
+// ====================================
+// メトリクス（/metrics で Prometheus のテキスト形式を出力）
+// ====================================
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function createCounter(name, help) {
+  const values = new Map(); // ラベルの JSON -> { labels, value }
+  return {
+    inc(labels = {}, n = 1) {
+      const key = JSON.stringify(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += n;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines.join("\n");
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const values = new Map(); // ラベルの JSON -> { labels, counts, sum, count }
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (value <= b) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((b, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: b })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+}
+
+function renderGauge(name, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+  for (const [labels, value] of samples) lines.push(`${name}${formatLabels(labels)} ${value}`);
+  return lines.join("\n");
+}
+
+const metrics = {
+  verdicts: createCounter("lookingbot_verdicts_total", "判定件数（kind: text/image, result: flagged/clean/error, method: ai/cache/keyword/rules/spam）"),
+  apiLatency: createHistogram("lookingbot_api_request_duration_seconds", "判定 API 呼び出し 1 回あたりの所要時間", [0.25, 0.5, 1, 2, 5, 10, 15]),
+  apiRetries: createCounter("lookingbot_api_retries_total", "判定 API の再試行回数"),
+  apiRateLimited: createCounter("lookingbot_api_rate_limited_total", "判定 API の 429 / Too Many Requests 応答数"),
+  timeoutsIssued: createCounter("lookingbot_timeouts_issued_total", "Bot が実行したタイムアウト数（source: auto/manual/review/raid）"),
+  boardEditErrors: createCounter("lookingbot_status_board_edit_errors_total", "タイムアウト一覧の掲示板メッセージの編集エラー数"),
+  logsSent: createCounter("lookingbot_logs_total", "sendLog の処理件数（category, result: sent/digest/disabled/fallback）"),
+};
+
+// 直近の判定（管理 API で表示、メモリのみ）
+const RECENT_VERDICT_LIMIT = 200;
+const recentVerdicts = [];
+
+// 判定結果を 1 件記録する（result は checkTextContent / checkImageContent の戻り値）
+function recordVerdict(kind, result, message, content) {
+  const method = result.cached ? "cache" : result.method || "keyword";
+  const outcome = result.error ? "error" : result.flagged ? "flagged" : "clean";
+  metrics.verdicts.inc({ kind, result: outcome, method });
+
+  recentVerdicts.push({
+    at: Date.now(),
+    guildId: message.guild.id,
+    channelId: message.channel.id,
+    messageId: message.id,
+    userId: message.author.id,
+    userTag: message.author.tag,
+    kind,
+    content: String(content ?? "").substring(0, 200),
+    result: outcome,
+    method,
+    category: result.category ?? "spam",
+    severity: result.severity ?? null,
+    confidence: result.confidence ?? null,
+    reason: result.reason ?? null,
+  });
+  if (recentVerdicts.length > RECENT_VERDICT_LIMIT) recentVerdicts.shift();
 }
 
 // ====================================
@@ -88,47 +1606,292 @@ async function sendLog(title, description, color = 0x00ff00, fields = []) {
 // ====================================
 const genAI = new GoogleGenerativeAI(process.env.AI_TOKEN);
 
-const WHITELIST_USERS = ["harima1945"];
-const TIMEOUT_DURATION = 30 * 60 * 1000;
 const API_TIMEOUT = 30000;
 
-// 通話参加者へのAI判定設定
-let voiceUserAICheck = false;
-
-// AI判定の有効/無効
-let aiCheckEnabled = true;
-
 // AI使用頻度制限（連続して同じユーザーを判定しない）
 const recentChecks = new Map(); // userId -> timestamp
-const AI_CHECK_COOLDOWN = 10000; // 10秒以内は再判定しない
+const AI_CHECK_COOLDOWN = 10000; // 10秒以内の投稿は溜めて期間明けにまとめて判定する
 
 // キーワードフィルター（AI判定が使えない時のバックアップ）
+// type: word  … 正規化後の部分一致
+//       whole … 前後がラテン文字でない場合のみ一致（英単語の誤検出対策。日本語は文中でも一致する）
+//       regex … 元のテキストに正規表現を適用（\s や \b が使えるよう正規化しない）
+//       allow … この語の中に含まれる一致は無視する（例: 「生かす」の「かす」）
+// カタカナ/ひらがな・全角/半角の表記揺れは正規化で吸収されるので片方だけ登録すればよい
 const BAD_KEYWORDS = [
-  "死ね", "しね", "殺す", "ころす", "消えろ", "きえろ",
-  "クズ", "くず", "ゴミ", "ごみ", "カス", "かす",
-  "うざい", "ウザイ", "きもい", "キモイ", "気持ち悪い",
-  "バカ", "ばか", "馬鹿", "アホ", "あほ", "阿呆"
+  { type: "word", pattern: "死ね", category: "threats" },
+  { type: "word", pattern: "しね", category: "threats" },
+  { type: "word", pattern: "殺す", category: "threats" },
+  { type: "word", pattern: "ころす", category: "threats" },
+  { type: "word", pattern: "消えろ", category: "harassment" },
+  { type: "word", pattern: "きえろ", category: "harassment" },
+  { type: "word", pattern: "くず", category: "harassment" },
+  { type: "word", pattern: "ごみ", category: "harassment" },
+  { type: "word", pattern: "かす", category: "harassment" },
+  { type: "word", pattern: "うざい", category: "harassment" },
+  { type: "word", pattern: "きもい", category: "harassment" },
+  { type: "word", pattern: "気持ち悪い", category: "harassment" },
+  { type: "word", pattern: "ばか", category: "harassment" },
+  { type: "word", pattern: "馬鹿", category: "harassment" },
+  { type: "word", pattern: "あほ", category: "harassment" },
+  { type: "word", pattern: "阿呆", category: "harassment" },
+  { type: "allow", pattern: "生かす" },
+  { type: "allow", pattern: "活かす" },
+  { type: "allow", pattern: "生かし" },
+  { type: "allow", pattern: "活かし" },
+  { type: "allow", pattern: "かすか" },
+  { type: "allow", pattern: "かすたむ" },
+  { type: "allow", pattern: "かすてら" },
+  { type: "allow", pattern: "かすたーど" },
+  { type: "allow", pattern: "ばかり" },
+  { type: "allow", pattern: "ごみ箱" },
+  { type: "allow", pattern: "ごみ出し" },
+  { type: "allow", pattern: "しねま" },
+  { type: "allow", pattern: "くずれ" },
+  { type: "allow", pattern: "あほうどり" },
 ];
 
-function simpleKeywordCheck(text) {
-  const lowerText = text.toLowerCase();
-  for (const keyword of BAD_KEYWORDS) {
-    if (lowerText.includes(keyword)) {
-      return { isMalicious: true, reason: `禁止ワード「${keyword}」を検出` };
+const KEYWORD_TYPES = ["word", "whole", "regex", "allow"];
+const ZERO_WIDTH_RE = /[\u200B-\u200F\u2060-\u2064\uFEFF\u00AD\u180E]/g;
+
+// NFKC → 小文字 → ゼロ幅文字・長音符除去 → カタカナをひらがなに → 区切り文字除去 → かな・漢字の連続文字の圧縮
+// keepSeparators: true なら区切りは空白 1 つに置き換えて残す（whole 判定用）
+// 英単語は "ass" / "kill" のように同じ文字が続くのが普通なので圧縮しない（"as soon as" や "skill" の誤検出になる）
+function normalizeForMatch(text, { keepSeparators = false } = {}) {
+  let str = String(text).normalize("NFKC").toLowerCase().replace(ZERO_WIDTH_RE, "").replace(/[ー〜]+/g, "");
+  str = str.replace(/[\u30A1-\u30F6]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+  str = str.replace(/[\s\p{P}\p{S}\p{M}]+/gu, keepSeparators ? " " : "");
+  return str.replace(/([\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}])\1+/gu, "$1");
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ギルドごとの一覧は keywords.json に保存（未変更のギルドは BAD_KEYWORDS を使う）
+const KEYWORD_STORE = path.resolve(process.cwd(), "keywords.json");
+let guildKeywords = readJsonFile(KEYWORD_STORE, {});
+const keywordMatcherCache = new Map(); // guildId -> compiled matcher
+
+function getKeywordList(guildId) {
+  return guildKeywords[guildId] || BAD_KEYWORDS;
+}
+
+function saveKeywordList(guildId, list) {
+  guildKeywords[guildId] = list;
+  writeJsonFile(KEYWORD_STORE, guildKeywords);
+  keywordMatcherCache.delete(guildId);
+}
+
+function compileKeywordEntry(entry) {
+  if (entry.type === "regex") return { entry, re: new RegExp(entry.pattern, "giu") };
+  const norm = normalizeForMatch(entry.pattern);
+  if (entry.type === "whole") {
+    return { entry, re: new RegExp(`(?<!\\p{Script=Latin})${escapeRegExp(norm)}(?!\\p{Script=Latin})`, "gu") };
+  }
+  return { entry, norm };
+}
+
+function getKeywordMatcher(guildId) {
+  if (!keywordMatcherCache.has(guildId)) {
+    const compiled = [];
+    for (const entry of getKeywordList(guildId)) {
+      try {
+        compiled.push(compileKeywordEntry(entry));
+      } catch (e) {
+        console.log(`キーワードのコンパイル失敗 (${entry.pattern}):`, e.message);
+      }
+    }
+    keywordMatcherCache.set(guildId, compiled);
+  }
+  return keywordMatcherCache.get(guildId);
+}
+
+function findAll(haystack, needle) {
+  const spans = [];
+  if (!needle) return spans;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) {
+    spans.push([i, i + needle.length]);
+  }
+  return spans;
+}
+
+// 一致した語と、allow によって打ち消された語をすべて返す
+function matchKeywords(text, guildId) {
+  const normalized = normalizeForMatch(text);
+  const spaced = normalizeForMatch(text, { keepSeparators: true });
+  const compiled = getKeywordMatcher(guildId);
+
+  const allowSpans = compiled
+    .filter((c) => c.entry.type === "allow")
+    .flatMap((c) => findAll(normalized, c.norm));
+  const isAllowed = ([start, end]) => allowSpans.some(([a, b]) => a <= start && end <= b);
+
+  const matches = [];
+  const suppressed = [];
+  for (const c of compiled) {
+    if (c.entry.type === "allow") continue;
+    if (c.entry.type === "word") {
+      const spans = findAll(normalized, c.norm);
+      if (spans.length === 0) continue;
+      (spans.some((span) => !isAllowed(span)) ? matches : suppressed).push(c.entry);
+    } else {
+      // whole は区切りを残したテキスト、regex は元のテキストに適用
+      c.re.lastIndex = 0;
+      if (c.re.test(c.entry.type === "whole" ? spaced : String(text))) matches.push(c.entry);
     }
   }
-  return { isMalicious: false, reason: "禁止ワードなし" };
+  return { normalized, matches, suppressed };
+}
+
+function simpleKeywordCheck(text, guildId) {
+  const { matches } = matchKeywords(text, guildId);
+  if (matches.length > 0) {
+    const hit = matches[0];
+    return {
+      category: hit.category || "harassment",
+      severity: "medium",
+      confidence: 1,
+      reason: t(guildLocale(guildId), "keyword.hit", { pattern: hit.pattern }),
+      method: "keyword",
+    };
+  }
+  return { category: "none", severity: "low", confidence: 1, reason: t(guildLocale(guildId), "keyword.clean"), method: "keyword" };
+}
+
+// ====================================
+// サーキットブレーカー（API 障害時に AI 判定を自動停止・自動再開）
+// ====================================
+// closed: 通常 / open: API を呼ばずにキーワード判定 / half-open: 待機明けに 1 件だけ試す
+// API キー単位なのでプロバイダーごとに全ギルド共通
+const CIRCUIT_FAILURE_THRESHOLD = 3; // 連続でこの回数失敗したら open
+const CIRCUIT_BASE_BACKOFF = 60000; // 最初の待機時間（試行に失敗するたび倍）
+const CIRCUIT_MAX_BACKOFF = 1800000;
+const CIRCUIT_STATES = ["closed", "open", "half-open"]; // 表示名は MESSAGES の circuit.<state>
+const circuits = new Map(); // providerId -> 状態
+
+function getCircuit(providerId) {
+  if (!circuits.has(providerId)) {
+    circuits.set(providerId, {
+      state: "closed",
+      failures: 0,
+      totalFailures: 0,
+      backoff: CIRCUIT_BASE_BACKOFF,
+      nextRetryAt: null,
+      lastError: null,
+      changedAt: Date.now(),
+    });
+  }
+  return circuits.get(providerId);
+}
+
+// API を呼ばずにフォールバックすべきか（待機明けの open は試行のため通す）
+function isCircuitBlocking(providerId) {
+  const circuit = getCircuit(providerId);
+  if (circuit.state === "open") return Date.now() < circuit.nextRetryAt;
+  return circuit.state === "half-open";
+}
+
+// note は (locale) => 文言（ギルドごとの言語で通知するため）
+function setCircuitState(providerId, state, note) {
+  const circuit = getCircuit(providerId);
+  const prev = circuit.state;
+  if (prev === state) return;
+  circuit.state = state;
+  circuit.changedAt = Date.now();
+  console.log(`🔌 サーキット ${providerId}: ${prev} → ${state}（${note("ja")}）`);
+
+  const provider = CLASSIFIER_PROVIDERS[providerId];
+  const color = state === "open" ? 0xffa500 : state === "closed" ? 0x00ff00 : 0x5865f2;
+  // このプロバイダーで AI 判定しているギルドに通知する
+  for (const guildId of client.guilds.cache.keys()) {
+    if (getClassifierSettings(guildId).providerId !== providerId || !getGuildConfig(guildId).aiEnabled) continue;
+    const locale = guildLocale(guildId);
+    const fields = [
+      { name: t(locale, "circuit.field.state"), value: `${t(locale, `circuit.${prev}`)} → ${t(locale, `circuit.${state}`)}`, inline: false },
+      { name: t(locale, "field.provider"), value: provider?.label || providerId, inline: true },
+      { name: t(locale, "circuit.field.failures"), value: t(locale, "common.times", { n: circuit.failures }), inline: true },
+    ];
+    if (state === "open") fields.push({ name: t(locale, "circuit.field.nextRetry"), value: `<t:${Math.floor(circuit.nextRetryAt / 1000)}:R>`, inline: true });
+    if (circuit.lastError && state !== "closed") fields.push({ name: t(locale, "circuit.field.lastError"), value: circuit.lastError.substring(0, 500), inline: false });
+    sendLog(t(locale, `circuit.title.${state}`), note(locale), color, fields, guildId, "error");
+  }
+}
+
+function recordCircuitSuccess(providerId) {
+  const circuit = getCircuit(providerId);
+  circuit.failures = 0;
+  circuit.backoff = CIRCUIT_BASE_BACKOFF;
+  circuit.nextRetryAt = null;
+  setCircuitState(providerId, "closed", (locale) => t(locale, "circuit.note.recovered"));
+}
+
+function recordCircuitFailure(providerId, err) {
+  const circuit = getCircuit(providerId);
+  circuit.failures++;
+  circuit.totalFailures++;
+  circuit.lastError = err && err.message ? err.message : String(err);
+
+  // レート制限の継続やクォータ超過は回数を待たずに止める
+  const quota = err && (err.code === 429 || err.code === 403);
+  if (circuit.state === "half-open") {
+    circuit.backoff = Math.min(circuit.backoff * 2, CIRCUIT_MAX_BACKOFF);
+    circuit.nextRetryAt = Date.now() + circuit.backoff;
+    const wait = Math.round(circuit.backoff / 1000);
+    setCircuitState(providerId, "open", (locale) => t(locale, "circuit.note.retryFailed", { wait: formatTime(wait, locale) }));
+  } else if (circuit.state === "closed" && (quota || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD)) {
+    circuit.nextRetryAt = Date.now() + circuit.backoff;
+    const wait = Math.round(circuit.backoff / 1000);
+    const failures = circuit.failures;
+    setCircuitState(providerId, "open", (locale) =>
+      quota
+        ? t(locale, "circuit.note.quota", { wait: formatTime(wait, locale) })
+        : t(locale, "circuit.note.failures", { n: failures, wait: formatTime(wait, locale) })
+    );
+  }
+}
+
+// 管理者が手動で AI を有効化した場合はすぐに閉じる
+function resetCircuit(providerId) {
+  const circuit = getCircuit(providerId);
+  if (circuit.state === "closed") return;
+  circuit.failures = 0;
+  circuit.backoff = CIRCUIT_BASE_BACKOFF;
+  circuit.nextRetryAt = null;
+  setCircuitState(providerId, "closed", (locale) => t(locale, "circuit.note.manual"));
 }
 
 // レート制限対策
 let lastRequestTime = 0;
 const MIN_REQUEST_INTERVAL = 1000;
 let requestQueue = Promise.resolve();
+let apiQueueDepth = 0; // 待ち行列にある（実行中を含む）API 呼び出しの数
 
-// callAPI: 指数バックオフと429/クォータ検出を含む
-async function callAPI(apiFunc) {
+// callAPI: 指数バックオフと429/クォータ検出を含む（結果はサーキットブレーカーに記録）
+async function callAPI(apiFunc, providerId = "gemini") {
   return new Promise((resolve, reject) => {
+    apiQueueDepth++;
     requestQueue = requestQueue.then(async () => {
+      // 待ち行列にいる間に止まった場合もここで弾く
+      const circuit = getCircuit(providerId);
+      if (isCircuitBlocking(providerId)) {
+        const e = new Error("AI 判定は一時停止中です（サーキットブレーカー）");
+        e.code = "CIRCUIT_OPEN";
+        return reject(e);
+      }
+      if (circuit.state === "open") {
+        setCircuitState(providerId, "half-open", (locale) => t(locale, "circuit.note.halfOpen"));
+      }
+
+      const settle = (err, r) => {
+        if (err) {
+          recordCircuitFailure(providerId, err);
+          reject(err);
+        } else {
+          recordCircuitSuccess(providerId);
+          resolve(r);
+        }
+      };
       const maxRetries = 5;
       let retries = 0;
       let backoff = 1000;
@@ -147,10 +1910,14 @@ async function callAPI(apiFunc) {
           const r = await Promise.race([
             apiFunc(),
             new Promise((_, rej) => setTimeout(() => rej(new Error("API Timeout")), 15000))
-          ]);
+          ]).catch((err) => {
+            metrics.apiLatency.observe({ provider: providerId, outcome: "error" }, (Date.now() - lastRequestTime) / 1000);
+            throw err;
+          });
 
+          metrics.apiLatency.observe({ provider: providerId, outcome: "success" }, (Date.now() - lastRequestTime) / 1000);
           console.log("API呼び出し成功");
-          resolve(r);
+          settle(null, r);
           return;
         } catch (err) {
           retries++;
@@ -159,6 +1926,7 @@ async function callAPI(apiFunc) {
 
           // 429 または Too Many Requests の場合は指数バックオフ
           if (msg.includes("429") || msg.toLowerCase().includes("too many requests")) {
+            metrics.apiRateLimited.inc({ provider: providerId });
             console.log("レート制限検知 - 指数バックオフ", backoff);
             await new Promise((r) => setTimeout(r, backoff));
             backoff = Math.min(backoff * 2, 30000);
@@ -167,492 +1935,3475 @@ async function callAPI(apiFunc) {
             if (retries >= 3) {
               const e = new Error("Rate limit persistent");
               e.code = 429;
-              return reject(e);
+              return settle(e);
             }
+            metrics.apiRetries.inc({ provider: providerId });
           } else if (msg.toLowerCase().includes("quota") || msg.toLowerCase().includes("quotaexceeded")) {
             // クォータ超過は即座に失敗扱い
             const e = new Error("Quota exceeded");
             e.code = 403;
-            return reject(e);
+            return settle(e);
           } else if (retries >= maxRetries) {
-            return reject(err);
+            return settle(err);
           } else {
+            metrics.apiRetries.inc({ provider: providerId });
             await new Promise((r) => setTimeout(r, 1000));
           }
         }
       }
-      reject(new Error("API call failed after retries"));
+      settle(new Error("API call failed after retries"));
+    }).finally(() => {
+      apiQueueDepth--;
     });
   });
 }
 
 // ====================================
-// 画像 Base64 変換
+// 画像・動画の取得とフレーム抽出
 // ====================================
-async function fetchImageAsBase64(url) {
-  try {
-    const res = await fetch(url, { timeout: 10000 });
-    if (!res.ok) return null;
+// GIF / APNG / アニメーション WebP / 動画は ffmpeg でフレームを等間隔に取り出して画像として判定する。
+// 判定回数（= API コスト）は maxItems × maxFrames が上限
+const MEDIA_LIMITS = {
+  maxBytes: 25 * 1024 * 1024, // これより大きいファイルは取得しない
+  maxItems: 4, // 1 メッセージで判定する画像・動画の数
+  maxFrames: 3, // アニメーション・動画から取り出すフレーム数
+  frameWidth: 512, // 取り出したフレームの最大幅
+  timeout: 20000, // 取得・ffmpeg の制限時間（ms）
+  maxRedirects: 5,
+};
+
+// 本文中の画像・動画への直リンク（https のみ）
+const MEDIA_URL_PATTERN = /https:\/\/[^\s<>()"']+?\.(?:png|jpe?g|gif|webp|apng|mp4|webm|mov)(?:\?[^\s<>()"']*)?(?=$|[\s<>()"'])/gi;
+
+const execFileAsync = promisify(execFile);
+let ffmpegQueue = Promise.resolve(); // 1 CPU でも詰まらないよう ffmpeg は 1 つずつ動かす
+
+// ループバック・プライベート・リンクローカルなど、Bot のネットワークの内側を指すアドレス
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
 
-    const ct = res.headers.get("content-type");
-    if (ct && ct.includes("image/gif")) {
-      console.log("GIFは無視: " + url);
-      return null;
-    }
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], "ipv4");
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// 名前解決の結果がプライベートアドレスなら接続しない（実際に接続するアドレスを検査するので DNS の書き換えにも効く）
+const mediaAgent = new https.Agent({
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const list = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = list.find((a) => isPrivateAddress(a.address));
+      if (blocked) return callback(new Error(`プライベートアドレスには接続しません: ${hostname} (${blocked.address})`));
+      callback(null, address, family);
+    });
+  },
+});
 
-    const buf = Buffer.from(await res.arrayBuffer());
-    return { inlineData: { data: buf.toString("base64"), mimeType: ct || "image/jpeg" } };
+// 本文中のリンクは誰でも書けるので、ローカルや IP 直指定には取りに行かない（リダイレクト先も同じ条件で検査する）
+function isFetchableMediaUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== "https:") return false;
+    if (hostname === "localhost" || hostname.endsWith(".local") || hostname.endsWith(".internal")) return false;
+    return !/^[\d.]+$/.test(hostname) && !hostname.includes(":") && !hostname.startsWith("[");
   } catch {
-    return null;
+    return false;
   }
 }
 
-// ====================================
-// AI テキスト判定（使用頻度制限版）
-// ====================================
-async function checkTextContent(text, userId) {
-  if (!aiCheckEnabled) {
-    console.log("⚠️ AI判定は無効化されています - キーワードフィルターを使用");
-    const keywordResult = simpleKeywordCheck(text);
+// 判定対象の画像・動画を集める（重複を除き maxItems 件まで）
+// 編集時は新しく増えた添付・埋め込みと、本文が変わった場合の本文中のリンクだけを見る
+function collectMedia(message, edit = null) {
+  const items = [];
+  const seen = new Set();
+  const add = (url, source) => {
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    items.push({ url, source });
+  };
+
+  const attachments = edit ? edit.attachments : [...message.attachments.values()];
+  for (const a of attachments) {
+    if (a.contentType?.startsWith("image/") || a.contentType?.startsWith("video/")) add(a.url, "attachment");
+  }
 
-    sendLog(
-      keywordResult.isMalicious ? "🚨 キーワードフィルター検出" : "✅ キーワードフィルター: 安全",
-      `メッセージ: \`${text}\``,
-      keywordResult.isMalicious ? 0xff0000 : 0x00ff00,
-      [
-        { name: "判定結果", value: keywordResult.isMalicious ? "❌ 悪質" : "✅ 安全", inline: true },
-        { name: "理由", value: keywordResult.reason, inline: false },
-        { name: "判定方法", value: "キーワードフィルター（AIバックアップ）", inline: true },
-      ]
-    );
+  // Lottie 形式のスタンプは画像ではないので対象外
+  if (!edit) {
+    for (const sticker of message.stickers.values()) {
+      if (sticker.format !== StickerFormatType.Lottie) add(sticker.url, "sticker");
+    }
+  }
 
-    return keywordResult;
+  // 埋め込みは Discord のメディアプロキシ経由で取得する（動画 > 画像 > サムネイルの順に 1 つ）
+  const embedLinks = new Set();
+  for (const embed of edit ? edit.embeds || [] : message.embeds) {
+    if (embed.url) embedLinks.add(embed.url);
+    const media = embed.video || embed.image || embed.thumbnail;
+    add(media?.proxyURL || media?.url, "embed");
   }
 
-  const now = Date.now();
-  const lastCheck = recentChecks.get(userId);
-  if (lastCheck && now - lastCheck < AI_CHECK_COOLDOWN) {
-    const remainingCooldown = Math.ceil((AI_CHECK_COOLDOWN - (now - lastCheck)) / 1000);
-    console.log(`⏳ ユーザー ${userId} はクールダウン中（残り${remainingCooldown}秒）- AI判定スキップ`);
-    return { isMalicious: false, reason: `クールダウン中（${remainingCooldown}秒）`, skipped: true };
+  if (!edit || edit.before !== message.content) {
+    for (const [url] of message.content.matchAll(MEDIA_URL_PATTERN)) {
+      if (!embedLinks.has(url) && isFetchableMediaUrl(url)) add(url, "link");
+    }
   }
 
-  try {
-    console.log("=== AI判定開始 ===");
-    console.log("入力テキスト:", text);
-    console.log("ユーザーID:", userId);
+  return items.slice(0, MEDIA_LIMITS.maxItems);
+}
 
-    const model = genAI.getGenerativeModel({
-      model: "gemini-2.0-flash-exp",
-      generationConfig: {
-        maxOutputTokens: 100,
-        temperature: 0.1,
+// リダイレクトは自動で追わず、行き先を 1 つずつ検査してから取りに行く
+async function fetchMedia(url) {
+  try {
+    const signal = AbortSignal.timeout(MEDIA_LIMITS.timeout);
+    let current = url;
+    let res;
+    for (let hop = 0; ; hop++) {
+      res = await fetch(current, { size: MEDIA_LIMITS.maxBytes, signal, redirect: "manual", agent: mediaAgent });
+      const location = res.status >= 300 && res.status < 400 ? res.headers.get("location") : null;
+      if (!location) break;
+      const next = new URL(location, current).href;
+      if (hop >= MEDIA_LIMITS.maxRedirects || !isFetchableMediaUrl(next)) {
+        console.log(`リダイレクト先を取得しません: ${url} → ${next}`);
+        return null;
       }
-    });
+      current = next;
+    }
+    if (!res.ok) return null;
 
-    const prompt = `
-不適切なメッセージを検出してください。
+    const length = Number(res.headers.get("content-length"));
+    if (length > MEDIA_LIMITS.maxBytes) {
+      console.log(`サイズ上限超過のためスキップ (${length} bytes): ${url}`);
+      return null;
+    }
 
-悪質: 暴力・侮辱・差別・脅迫
-安全: 日常会話・質問・絵文字
+    const contentType = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    return { buf: Buffer.from(await res.arrayBuffer()), contentType };
+  } catch (err) {
+    console.log(`メディア取得エラー: ${url}`, err.message);
+    return null;
+  }
+}
 
-必ず以下の形式のみで回答:
-判定: 悪質
-理由: 暴力的表現が含まれている
+// PNG の acTL チャンク / WebP の ANIM チャンクでアニメーションかどうかを判定
+function isAnimatedImage(buf, contentType) {
+  if (contentType === "image/gif" || contentType === "image/apng") return true;
+  if (contentType === "image/png") {
+    const idat = buf.indexOf("IDAT");
+    const actl = buf.indexOf("acTL");
+    return actl !== -1 && (idat === -1 || actl < idat);
+  }
+  if (contentType === "image/webp") return buf.subarray(0, 64).includes("ANIM");
+  return false;
+}
 
-または
-判定: 安全
-理由: 日常的な会話である
+// ffmpeg で等間隔に maxFrames 枚の JPEG を取り出す（ffmpeg が無ければ例外）
+function extractKeyFrames(buf) {
+  const task = ffmpegQueue.then(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lookingbot-"));
+    try {
+      const input = path.join(dir, "input");
+      fs.writeFileSync(input, buf);
 
-メッセージ: """${text}"""
-    `;
+      const { stdout } = await execFileAsync(
+        "ffprobe",
+        ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", input],
+        { timeout: MEDIA_LIMITS.timeout }
+      );
+      const duration = Number.parseFloat(stdout);
+      const scale = `scale='min(${MEDIA_LIMITS.frameWidth},iw)':-2`;
+      const filter = duration > 0 ? `fps=${MEDIA_LIMITS.maxFrames}/${duration},${scale}` : scale;
+
+      await execFileAsync(
+        "ffmpeg",
+        ["-v", "error", "-i", input, "-vf", filter, "-frames:v", String(MEDIA_LIMITS.maxFrames), "-f", "image2", path.join(dir, "frame%d.jpg")],
+        { timeout: MEDIA_LIMITS.timeout }
+      );
 
-    console.log("Gemini APIに送信中...");
-    const startTime = Date.now();
+      return fs.readdirSync(dir)
+        .filter((f) => f.startsWith("frame"))
+        .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]))
+        .map((f) => ({ inlineData: { data: fs.readFileSync(path.join(dir, f)).toString("base64"), mimeType: "image/jpeg" } }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  ffmpegQueue = task.catch(() => {});
+  return task;
+}
 
-    const result = await callAPI(() => model.generateContent(prompt));
+// 判定用の画像（フレーム）の配列を返す。取得・変換できなければ空配列
+async function loadMediaFrames(url) {
+  const media = await fetchMedia(url);
+  if (!media) return [];
+  const { buf, contentType } = media;
 
-    const elapsedTime = Date.now() - startTime;
-    console.log(`API応答時間: ${elapsedTime}ms`);
+  const isVideo = contentType.startsWith("video/");
+  if (!isVideo && !contentType.startsWith("image/")) return [];
 
-    const rep = result.response.text().trim();
+  if (isVideo || isAnimatedImage(buf, contentType)) {
+    try {
+      const frames = await extractKeyFrames(buf);
+      if (frames.length > 0) return frames;
+    } catch (err) {
+      console.log(`フレーム抽出エラー（ffmpeg）: ${url}`, err.message);
+    }
+    // APNG / WebP は先頭フレームとしてそのまま判定できる。GIF と動画はモデルが受け付けないので諦める
+    if (isVideo || contentType === "image/gif") return [];
+  }
 
-    console.log("AIの生の回答:", rep);
-    console.log("================");
+  return [{ inlineData: { data: buf.toString("base64"), mimeType: contentType === "image/apng" ? "image/png" : contentType } }];
+}
 
-    const isMalicious = rep.includes("判定: 悪質");
+// ====================================
+// 判定プロバイダー（ギルドごとに切替）
+// ====================================
+// generate({ model, generationConfig, prompt, image, json }) は生のテキスト応答を返す。
+// generate を持たないプロバイダーはルールのみで判定する（API を呼ばない）
+function toOpenAIContent(prompt, image) {
+  if (!image) return prompt;
+  return [
+    { type: "text", text: prompt },
+    { type: "image_url", image_url: { url: `data:${image.inlineData.mimeType};base64,${image.inlineData.data}` } },
+  ];
+}
 
-    let reason = "判定理由不明";
-    const reasonMatch = rep.match(/理由:\s*(.+)/);
-    if (reasonMatch) {
-      reason = reasonMatch[1].trim().substring(0, 100);
-    }
+const CLASSIFIER_PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    defaultTextModel: "gemini-2.0-flash-exp",
+    defaultImageModel: "gemini-2.5-flash",
+    async generate({ model, generationConfig, prompt, image, json }) {
+      const config = { ...(generationConfig || {}), ...(json ? { responseMimeType: "application/json" } : {}) };
+      const m = genAI.getGenerativeModel({ model, generationConfig: config });
+      const result = await m.generateContent(image ? [prompt, image] : prompt);
+      return result.response.text();
+    },
+  },
+  // OpenAI 互換 API（Ollama / llama.cpp server などのセルフホストも可）
+  openai: {
+    label: "OpenAI互換",
+    defaultTextModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    defaultImageModel: process.env.OPENAI_IMAGE_MODEL || process.env.OPENAI_MODEL || "gpt-4o-mini",
+    async generate({ model, generationConfig, prompt, image, json }) {
+      const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: toOpenAIContent(prompt, image) }],
+          ...(generationConfig ? {
+            temperature: generationConfig.temperature,
+            max_tokens: generationConfig.maxOutputTokens,
+          } : {}),
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        }),
+      });
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(`HTTP ${res.status}: ${body.substring(0, 200)}`);
+      }
+      const body = await res.json();
+      return body.choices?.[0]?.message?.content ?? "";
+    },
+  },
+  // 決定的なルール判定のみ（オフライン・テスト用）
+  rules: {
+    label: "ルールのみ",
+    defaultTextModel: null,
+    defaultImageModel: null,
+    generate: null,
+  },
+};
+
+function describeMethod(method, locale = "ja") {
+  return t(locale, MESSAGES.ja[`method.${method}`] ? `method.${method}` : "method.ai");
+}
 
-    console.log(`最終判定: ${isMalicious ? "悪質" : "安全"}`);
-    console.log(`理由: ${reason}`);
+function getClassifierSettings(guildId) {
+  const config = getGuildConfig(guildId);
+  const providerId = CLASSIFIER_PROVIDERS[config.classifierProvider] ? config.classifierProvider : "gemini";
+  const provider = CLASSIFIER_PROVIDERS[providerId];
+  return {
+    providerId,
+    provider,
+    locale: guildLocale(guildId), // 判定プロンプトと reason の言語
+    textModel: config.textModel || provider.defaultTextModel,
+    imageModel: config.imageModel || provider.defaultImageModel,
+    generationConfig: {
+      maxOutputTokens: config.maxOutputTokens,
+      temperature: config.temperature,
+    },
+  };
+}
 
-    recentChecks.set(userId, now);
+// ====================================
+// 構造化判定（カテゴリ・重大度・確信度）
+// ====================================
+const VERDICT_CATEGORIES = ["none", "harassment", "threats", "hate", "sexual", "self-harm", "spam"];
+const VERDICT_SEVERITIES = ["low", "medium", "high"];
+const MAX_VERDICT_RETRIES = 2;
+
+// 判定プロンプト（ギルドの language で切り替える）。
+// JSON のキーと category / severity の値はどの言語でも英語のまま、reason だけその言語で書かせる
+const CLASSIFIER_PROMPTS = {
+  ja: {
+    categories: `harassment: 侮辱・嫌がらせ
+threats: 暴力・脅迫
+hate: 差別・ヘイト
+sexual: 性的な内容
+self-harm: 自傷・自殺の示唆
+spam: 宣伝・無意味な連投
+none: 日常会話・質問・絵文字`,
+    imageCategories: `harassment: 侮辱・嫌がらせ
+threats: 暴力・脅迫
+hate: 差別・ヘイト
+sexual: 性的な内容
+self-harm: 自傷・自殺の示唆
+spam: 宣伝`,
+    verdictFormat: `
+必ず次の JSON オブジェクトのみで回答してください（前後に文章やコードブロックを付けない）:
+{"category": "none|harassment|threats|hate|sexual|self-harm|spam", "severity": "low|medium|high", "confidence": 0.0〜1.0, "reason": "30文字以内の理由"}
+問題がなければ category は "none" にしてください。`,
+    batchFormat: `
+必ず次の JSON オブジェクトのみで回答してください（前後に文章やコードブロックを付けない）:
+{"verdicts": [{"index": 1, "category": "none|harassment|threats|hate|sexual|self-harm|spam", "severity": "low|medium|high", "confidence": 0.0〜1.0, "reason": "30文字以内の理由"}, ...]}
+すべてのメッセージについて index ごとに 1 件ずつ判定してください。問題がなければ category は "none" にしてください。`,
+    text: "不適切なメッセージを検出して分類してください。",
+    contextGuide: `会話の文脈も参考にしてください。友人同士の冗談や他人の発言の引用は軽く、
+複数のメッセージに分けた嫌がらせは文脈全体で判断してください。
+ただし判定するのは「判定対象」のメッセージだけです。`,
+    batch: (n) => `同じ投稿者が短時間に連続して送った ${n} 件のメッセージです。1 件ずつ不適切かどうか分類してください。
+複数のメッセージに分けた嫌がらせは、全体の流れも考慮して該当するメッセージを判定してください。`,
+    image: `画像に明らかに不適切な内容があれば分類してください。
+一般的な画像や日常的な内容は "none" としてください。`,
+    history: "直前の会話（判定対象ではありません）:",
+    replyTo: "返信先のメッセージ（判定対象ではありません）",
+    authorMark: "（判定対象の投稿者）",
+    author: "判定対象の投稿者",
+    target: "判定対象",
+    message: "メッセージ",
+    retry: (error) => `前回の回答は形式が不正でした（${error}）。指定の JSON オブジェクトのみで回答してください。`,
+  },
+  en: {
+    categories: `harassment: insults, harassment
+threats: violence, threats
+hate: discrimination, hate speech
+sexual: sexual content
+self-harm: suggestions of self-harm or suicide
+spam: advertising, meaningless flooding
+none: everyday conversation, questions, emoji`,
+    imageCategories: `harassment: insults, harassment
+threats: violence, threats
+hate: discrimination, hate speech
+sexual: sexual content
+self-harm: suggestions of self-harm or suicide
+spam: advertising`,
+    verdictFormat: `
+Reply with only the following JSON object (no text or code fences before or after it):
+{"category": "none|harassment|threats|hate|sexual|self-harm|spam", "severity": "low|medium|high", "confidence": 0.0-1.0, "reason": "reason in English, 60 characters or fewer"}
+If there is no problem, set category to "none".`,
+    batchFormat: `
+Reply with only the following JSON object (no text or code fences before or after it):
+{"verdicts": [{"index": 1, "category": "none|harassment|threats|hate|sexual|self-harm|spam", "severity": "low|medium|high", "confidence": 0.0-1.0, "reason": "reason in English, 60 characters or fewer"}, ...]}
+Give exactly one verdict per index for every message. If there is no problem, set category to "none".`,
+    text: "Detect and classify inappropriate messages.",
+    contextGuide: `Use the conversation context as well. Treat jokes between friends and quotes of other people's words lightly,
+and judge harassment split across several messages by the context as a whole.
+Only the message marked "Target" is to be classified.`,
+    batch: (n) => `These are ${n} messages sent in quick succession by the same author. Classify each one as appropriate or not.
+For harassment split across several messages, consider the overall flow when classifying the relevant messages.`,
+    image: `Classify the image only if it contains clearly inappropriate content.
+Ordinary images and everyday content should be "none".`,
+    history: "Preceding conversation (not to be classified):",
+    replyTo: "Message being replied to (not to be classified)",
+    authorMark: " (author of the target message)",
+    author: "Author of the target message",
+    target: "Target",
+    message: "Message",
+    retry: (error) => `Your previous reply had an invalid format (${error}). Reply with only the specified JSON object.`,
+  },
+};
+
+// 応答の形式エラー。再質問のプロンプトにはギルドの言語で載せる（message はログ用に ja）
+function verdictError(key, vars = {}) {
+  const err = new Error(t("ja", key, vars));
+  err.messageKey = key;
+  err.vars = vars;
+  return err;
+}
 
-    sendLog(
-      isMalicious ? "🚨 AI判定: 悪質メッセージ検出" : "✅ AI判定: 安全メッセージ",
-      `メッセージ: \`${text}\``,
-      isMalicious ? 0xff0000 : 0x00ff00,
-      [
-        { name: "判定結果", value: isMalicious ? "❌ 悪質" : "✅ 安全", inline: true },
-        { name: "理由", value: reason, inline: false },
-        { name: "処理時間", value: `${elapsedTime}ms`, inline: true },
-        { name: "ユーザーID", value: userId, inline: true },
-        { name: "AIの回答", value: `\`\`\`${rep.substring(0, 500)}\`\`\``, inline: false },
-      ]
-    );
+// モデルの応答から判定 JSON を取り出してスキーマ検証する（不正なら例外）
+function parseVerdict(rep) {
+  return validateVerdict(extractJson(rep));
+}
 
-    return { isMalicious, reason, fullResponse: rep, skipped: false };
-  } catch (err) {
-    const msg = err && err.message ? err.message : String(err);
-    console.log("❌ AI判定エラー:", msg);
+function extractJson(rep) {
+  const start = rep.indexOf("{");
+  const end = rep.lastIndexOf("}");
+  if (start === -1 || end <= start) throw verdictError("verdictError.noJson");
+  return JSON.parse(rep.slice(start, end + 1));
+}
 
-    // 429 や Rate limit persistent を検出したら AI を一時無効化してログ通知
-    if (err.code === 429 || msg.toLowerCase().includes("rate limit") || msg.toLowerCase().includes("quota")) {
-      aiCheckEnabled = false;
-      sendLog("⚠️ AI API レート/クォータ問題", "AI 判定を一時無効化しました。クォータと請求を確認してください。", 0xffa500);
-      return simpleKeywordCheck(text);
-    }
+// 大文字・空白・"_" の揺れと、どの言語の表示名（"Harassment / insults" や "重度" など）で返されても受け付ける
+function normalizeVerdictValue(value, values, prefix) {
+  const simplify = (str) => String(str ?? "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+  const str = simplify(value);
+  if (values.includes(str)) return str;
+  return values.find((v) => LOCALES.some((l) => simplify(t(l, `${prefix}.${v}`)) === str)) ?? null;
+}
 
-    // その他はキーワード判定にフォールバック
-    return simpleKeywordCheck(text);
+function validateVerdict(obj) {
+  if (!obj || typeof obj !== "object") throw verdictError("verdictError.notObject");
+  const category = normalizeVerdictValue(obj.category, VERDICT_CATEGORIES, "category");
+  if (!category) throw verdictError("verdictError.category", { value: obj.category });
+  const severity = normalizeVerdictValue(obj.severity, VERDICT_SEVERITIES, "severity");
+  if (!severity) throw verdictError("verdictError.severity", { value: obj.severity });
+  const confidence = typeof obj.confidence === "string" && obj.confidence.trim() !== "" ? Number(obj.confidence) : obj.confidence;
+  if (typeof confidence !== "number" || !(confidence >= 0 && confidence <= 1)) {
+    throw verdictError("verdictError.confidence", { value: obj.confidence });
   }
+  if (typeof obj.reason !== "string") throw verdictError("verdictError.reason");
+
+  return {
+    category,
+    severity,
+    confidence,
+    reason: obj.reason.trim().substring(0, 100) || "—",
+  };
 }
 
-// ====================================
-// AI 画像判定
-// ====================================
-async function checkImageContent(img) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    const prompt = `
-画像に明らかに不適切な内容（暴力・性的・差別など）があれば「悪質」と判定してください。
-一般的な画像や日常的な内容は「安全」と判定してください。
+// まとめて判定した応答 {"verdicts": [{ index, ...判定 }]} を検証し、index 順の配列にする
+function parseBatchVerdicts(rep, count) {
+  const obj = extractJson(rep);
+  if (!Array.isArray(obj.verdicts)) throw verdictError("verdictError.verdicts");
 
-必ず以下のフォーマットで回答してください：
-判定: [悪質 または 安全]
-理由: [30文字以内の簡潔な理由]
-    `;
-    const result = await callAPI(() => model.generateContent([prompt, img]));
-    const rep = result.response.text().trim();
+  const results = new Array(count).fill(null);
+  for (const v of obj.verdicts) {
+    const index = Number(v?.index);
+    if (!Number.isInteger(index) || index < 1 || index > count) throw verdictError("verdictError.index", { value: v?.index });
+    results[index - 1] = validateVerdict(v);
+  }
+  const missing = results.findIndex((r) => r === null);
+  if (missing !== -1) throw verdictError("verdictError.missing", { n: missing + 1 });
+  return results;
+}
 
-    const isMalicious = rep.includes("判定: 悪質");
+// 形式不正の応答には指摘を添えて再質問する（parse で応答の検証方法、call で API の呼び出し方を差し替えられる）
+async function generateVerdict(settings, {
+  model,
+  generationConfig,
+  prompt,
+  image,
+  parse = parseVerdict,
+  call = (fn) => callAPI(fn, settings.providerId),
+}) {
+  let lastError = null;
+  let rep = "";
+  for (let attempt = 0; attempt <= MAX_VERDICT_RETRIES; attempt++) {
+    const errorText = lastError?.messageKey ? t(settings.locale, lastError.messageKey, lastError.vars) : lastError?.message;
+    const retryNote = lastError ? `\n\n${CLASSIFIER_PROMPTS[settings.locale].retry(errorText)}` : "";
+    rep = (await call(() => settings.provider.generate({
+      model,
+      generationConfig,
+      prompt: prompt + retryNote,
+      image,
+      json: true,
+    }))).trim();
 
-    let reason = "判定理由不明";
-    const reasonMatch = rep.match(/理由:\s*(.+)/);
-    if (reasonMatch) {
-      reason = reasonMatch[1].trim().substring(0, 50);
+    try {
+      return { verdict: parse(rep), rep, attempts: attempt + 1 };
+    } catch (e) {
+      lastError = e;
+      console.log(`⚠️ 判定応答の形式不正 (試行 ${attempt + 1}/${MAX_VERDICT_RETRIES + 1}):`, e.message);
     }
-
-    return { isMalicious, reason, fullResponse: rep };
-  } catch (err) {
-    return { isMalicious: false, reason: "判定エラー", fullResponse: err.message };
   }
+  const err = new Error(`判定応答の形式不正: ${lastError.message}`);
+  err.code = "BAD_VERDICT";
+  err.response = rep;
+  throw err;
 }
 
-// ====================================
-// Timeout残秒取得（0秒以下は除外）
-// ====================================
-function getTimeoutRemaining(member) {
-  const end = member.communicationDisabledUntilTimestamp ?? 0;
-  const now = Date.now();
-  const remain = Math.ceil((end - now) / 1000);
-  return remain > 0 ? remain : null;
+// カテゴリごとのしきい値と処分を適用する
+// action: "none"（記録のみ）/ "strike"（ストライク段階に従う）/ "warn" / 期間 / "kick" / "ban"
+function applyCategoryRules(guildId, verdict) {
+  const rule = getGuildConfig(guildId).categoryRules[verdict.category];
+  const flagged = verdict.category !== "none" && !!rule && verdict.confidence >= rule.threshold;
+  const action = flagged ? rule.action : "none";
+  return { ...verdict, flagged, action, isMalicious: flagged && action !== "none" };
 }
 
-// ====================================
-// 時間をフォーマット
-// ====================================
-function formatTime(seconds) {
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = seconds % 60;
+function describeCategoryAction(action, locale = "ja") {
+  if (action === "none" || action === "strike") return t(locale, `categoryAction.${action}`);
+  return describeStrikeStep(action, locale);
+}
+
+function describeVerdict(v, locale = "ja") {
+  if (v.category === "none") return t(locale, "verdict.clean");
+  return t(locale, "verdict.summary", {
+    category: t(locale, `category.${v.category}`),
+    severity: t(locale, `severity.${v.severity}`),
+    confidence: Math.round(v.confidence * 100),
+  });
+}
+
+// 処分の重さ比較用（warn < timeout(短) < timeout(長) < kick < ban）
+function stepRank(step) {
+  if (step === "warn") return 0;
+  if (step === "kick") return Number.MAX_SAFE_INTEGER - 1;
+  if (step === "ban") return Number.MAX_SAFE_INTEGER;
+  return parseDuration(step) || 0;
+}
 
-  if (h > 0) return `${h}時間${m}分${s}秒`;
-  if (m > 0) return `${m}分${s}秒`;
-  return `${s}秒`;
+function mostSevereStep(steps) {
+  return steps.reduce((a, b) => (stepRank(b) > stepRank(a) ? b : a));
 }
 
 // ====================================
-// リアルタイム Timeout 更新（永続化対応）
+// 会話の文脈（直前のメッセージ・返信先）
 // ====================================
-let timeoutStatusMessage = null;
-let updateInterval = null;
-const TIMEOUT_STATUS_CHANNEL = process.env.TIMEOUT_CHANNEL;
-
-// 大規模サーバー対策: フェッチ間隔とバックオフ設定
-const FULL_FETCH_INTERVAL = 60000; // 60秒（必要に応じて延長）
-let lastFullFetch = 0;
-let fetchBackoff = 2000; // 初回バックオフ 2秒
-const MAX_FETCH_BACKOFF = 60000; // 最大 60秒
+// 三連引用符で囲んだ区切りを壊されないようにする
+function sanitizeForPrompt(text, max = 500) {
+  return String(text).replace(/"""/g, '"').substring(0, max);
+}
 
-async function ensureTimeoutStatusMessage(ch) {
-  const savedId = loadStatusMessageId();
-  if (savedId) {
-    try {
-      const msg = await ch.messages.fetch(savedId).catch(() => null);
-      if (msg) return msg;
-      clearStatusMessageId();
-    } catch (e) {
-      console.log("メッセージ復元エラー:", e.message);
+// 直前のメッセージはキャッシュから取る（REST を叩かない）。返信先は必要なら取得する
+async function collectMessageContext(message, size) {
+  const history = size > 0
+    ? [...message.channel.messages.cache.values()]
+      .filter((m) => m.id !== message.id && m.createdTimestamp <= message.createdTimestamp && m.content?.trim())
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+      .slice(-size)
+      .map((m) => ({ authorId: m.author.id, author: m.member?.displayName || m.author.username, content: m.content }))
+    : [];
+
+  let replyTo = null;
+  if (message.reference?.messageId) {
+    const ref = await message.fetchReference().catch(() => null);
+    if (ref?.content?.trim()) {
+      replyTo = { authorId: ref.author.id, author: ref.member?.displayName || ref.author.username, content: ref.content };
     }
   }
 
-  const newMsg = await ch.send("⏳ **Timeout 監視を開始します...**");
-  saveStatusMessageId(newMsg.id);
-  return newMsg;
+  return {
+    authorId: message.author.id,
+    author: message.member?.displayName || message.author.username,
+    history,
+    replyTo,
+  };
 }
 
-async function updateRealtimeTimeout() {
-  if (!TIMEOUT_STATUS_CHANNEL) {
-    console.log("⚠️ TIMEOUT_CHANNEL が設定されていません");
-    return;
+function formatContextForPrompt(context, locale = "ja") {
+  const p = CLASSIFIER_PROMPTS[locale];
+  const label = (line) => `${line.author}${line.authorId === context.authorId ? p.authorMark : ""}`;
+  const lines = [];
+  if (context.history.length > 0) {
+    lines.push(p.history);
+    for (const line of context.history) lines.push(`- ${label(line)}: """${sanitizeForPrompt(line.content, 200)}"""`);
+  }
+  if (context.replyTo) {
+    lines.push(`${p.replyTo} - ${label(context.replyTo)}: """${sanitizeForPrompt(context.replyTo.content, 300)}"""`);
   }
+  lines.push(`${p.author}: ${context.author}`);
+  return "\n" + lines.join("\n") + "\n";
+}
 
-  try {
-    const ch = await client.channels.fetch(TIMEOUT_STATUS_CHANNEL).catch(() => null);
-    if (!ch || !ch.guild) {
+// ====================================
+// 判定キャッシュ（同じ内容は API を呼ばずに前回の判定を使う）
+// ====================================
+// テキストは正規化後の本文（文脈付きで判定した場合は文脈も）、画像はデータのハッシュをキーにする。
+// 保存するのはカテゴリ別ルールを適用する前の判定なので、ギルドごとの設定変更はそのまま反映される
+const VERDICT_CACHE_STORE = path.resolve(process.cwd(), "verdictCache.json");
+const VERDICT_CACHE_TTL = parseDuration(process.env.VERDICT_CACHE_TTL || "1d") ?? 86400000;
+const VERDICT_CACHE_SIZE = Number(process.env.VERDICT_CACHE_SIZE) || 5000;
+const VERDICT_CACHE_PERSIST = process.env.VERDICT_CACHE_PERSIST === "true";
+
+const verdictCache = new Map(); // key -> { verdict, expiresAt }（挿入順 = 古い順）
+const verdictCacheStats = { hits: 0, misses: 0 };
+let verdictCacheSaveTimer = null;
+
+if (VERDICT_CACHE_PERSIST) {
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(readJsonFile(VERDICT_CACHE_STORE, {}))) {
+    if (entry?.expiresAt > now && entry.verdict) verdictCache.set(key, entry);
+  }
+  console.log(`判定キャッシュ読み込み: ${verdictCache.size}件`);
+}
+
+// モデルが変われば判定も変わり得るので、プロバイダーとモデルもキーに含める（reason の言語も違うので言語も）
+function verdictCacheKey(kind, settings, model, content) {
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  return `${kind}:${settings.provider.label}:${settings.locale}:${model}:${hash}`;
+}
+
+// 文脈（直前のメッセージ・返信先・まとめて判定した他のメッセージ）で判定は変わり得るので、同じ文脈のときだけ使い回す
+function textCacheKey(settings, text, context = null) {
+  const content = normalizeForMatch(text) + (context ? `\n${JSON.stringify(context)}` : "");
+  return verdictCacheKey("text", settings, settings.textModel, content);
+}
+
+function imageCacheKey(settings, img) {
+  return verdictCacheKey("image", settings, settings.imageModel, img.inlineData.data);
+}
+
+function getCachedVerdict(key) {
+  const entry = verdictCache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) verdictCache.delete(key);
+    verdictCacheStats.misses++;
+    return null;
+  }
+  // 最近使ったものを後ろへ（上限を超えたら先頭から捨てる）
+  verdictCache.delete(key);
+  verdictCache.set(key, entry);
+  verdictCacheStats.hits++;
+  return entry.verdict;
+}
+
+function setCachedVerdict(key, verdict) {
+  const { category, severity, confidence, reason } = verdict;
+  verdictCache.delete(key);
+  verdictCache.set(key, { verdict: { category, severity, confidence, reason }, expiresAt: Date.now() + VERDICT_CACHE_TTL });
+  while (verdictCache.size > VERDICT_CACHE_SIZE) {
+    verdictCache.delete(verdictCache.keys().next().value);
+  }
+
+  if (VERDICT_CACHE_PERSIST && !verdictCacheSaveTimer) {
+    verdictCacheSaveTimer = setTimeout(saveVerdictCache, 30000);
+  }
+}
+
+function saveVerdictCache() {
+  clearTimeout(verdictCacheSaveTimer);
+  verdictCacheSaveTimer = null;
+  if (VERDICT_CACHE_PERSIST) writeJsonFile(VERDICT_CACHE_STORE, Object.fromEntries(verdictCache));
+}
+
+function describeCacheStats(locale = "ja") {
+  const { hits, misses } = verdictCacheStats;
+  const total = hits + misses;
+  const rate = total > 0 ? Math.round((hits / total) * 100) : 0;
+  return t(locale, "cache.stats", { hits, misses, rate, size: verdictCache.size });
+}
+
+// ====================================
+// AI テキスト判定（使用頻度制限版）
+// ====================================
+// context: collectMessageContext() の結果（省略時は単体で判定）
+// bypassCooldown: 編集時など、クールダウン中でも必ず判定する
+async function checkTextContent(text, userId, guildId, { context = null, bypassCooldown = false } = {}) {
+  const settings = getClassifierSettings(guildId);
+  const locale = settings.locale;
+  const cacheKey = textCacheKey(settings, text, context);
+
+  // キャッシュとクールダウンは AI に問い合わせる場合だけ使う
+  if (settings.provider.generate && !isAIBlocked(settings, guildId)) {
+    // キャッシュに判定があれば API もクールダウンも使わない
+    const cached = getCachedVerdict(cacheKey);
+    if (cached) {
+      const result = applyCategoryRules(guildId, cached);
+      console.log(`♻️ キャッシュ判定: ${describeVerdict(result)}`);
+      sendLog(
+        t(locale, result.flagged ? "log.cached.flagged" : "log.cached.clean"),
+        t(locale, "log.message", { text }),
+        result.flagged ? 0xff0000 : 0x00ff00,
+        [
+          { name: t(locale, "field.verdict"), value: describeVerdict(result, locale), inline: true },
+          { name: t(locale, "field.action"), value: describeCategoryAction(result.action, locale), inline: true },
+          { name: t(locale, "field.reason"), value: result.reason, inline: false },
+          { name: t(locale, "field.userId"), value: userId, inline: true },
+          { name: t(locale, "field.cache"), value: describeCacheStats(locale), inline: false },
+        ],
+        guildId,
+        result.flagged ? "verdict-flagged" : "verdict-safe"
+      );
+      return { ...result, fullResponse: "", skipped: false, method: "ai", cached: true };
+    }
+
+    const now = Date.now();
+    const lastCheck = recentChecks.get(userId);
+    if (!bypassCooldown && lastCheck && now - lastCheck < AI_CHECK_COOLDOWN) {
+      const remainingCooldown = Math.ceil((AI_CHECK_COOLDOWN - (now - lastCheck)) / 1000);
+      console.log(`⏳ ユーザー ${userId} はクールダウン中（残り${remainingCooldown}秒）- AI判定スキップ`);
+      return { isMalicious: false, reason: t(locale, "verdict.cooldown", { n: remainingCooldown }), skipped: true };
+    }
+
+    console.log("=== AI判定開始 ===");
+    console.log("入力テキスト:", text);
+    console.log("ユーザーID:", userId);
+    console.log(`${settings.provider.label} (${settings.textModel}) に送信中...`);
+  }
+
+  const startTime = Date.now();
+  const result = await classifyText(text, guildId, { settings, context });
+  const elapsedTime = Date.now() - startTime;
+
+  if (result.method === "rules") {
+    sendLog(
+      t(locale, result.flagged ? "log.rules.flagged" : "log.rules.clean"),
+      t(locale, "log.message", { text }),
+      result.flagged ? 0xff0000 : 0x00ff00,
+      [
+        { name: t(locale, "field.verdict"), value: describeVerdict(result, locale), inline: true },
+        { name: t(locale, "field.action"), value: describeCategoryAction(result.action, locale), inline: true },
+        { name: t(locale, "field.reason"), value: result.reason, inline: false },
+        { name: t(locale, "field.method"), value: settings.provider.label, inline: true },
+      ],
+      guildId,
+      result.flagged ? "verdict-flagged" : "verdict-safe"
+    );
+    return result;
+  }
+
+  if (result.method === "keyword") {
+    // API 障害（停止・再開はサーキットブレーカーが管理）や形式不正はキーワード判定にフォールバック（安全扱いにはしない）
+    if (result.error) {
+      console.log("❌ AI判定エラー:", result.error);
+      const { error, ...fallback } = result;
+      return fallback;
+    }
+
+    console.log("⚠️ AI判定は無効化されています - キーワードフィルターを使用");
+    sendLog(
+      t(locale, result.flagged ? "log.keyword.flagged" : "log.keyword.clean"),
+      t(locale, "log.message", { text }),
+      result.flagged ? 0xff0000 : 0x00ff00,
+      [
+        { name: t(locale, "field.verdict"), value: describeVerdict(result, locale), inline: true },
+        { name: t(locale, "field.action"), value: describeCategoryAction(result.action, locale), inline: true },
+        { name: t(locale, "field.reason"), value: result.reason, inline: false },
+        { name: t(locale, "field.method"), value: t(locale, "log.keyword.method"), inline: true },
+      ],
+      guildId,
+      result.flagged ? "verdict-flagged" : "verdict-safe"
+    );
+    return result;
+  }
+
+  const rep = result.fullResponse;
+  console.log(`API応答時間: ${elapsedTime}ms`);
+  console.log("AIの生の回答:", rep);
+  console.log("================");
+
+  setCachedVerdict(cacheKey, result);
+  console.log(`最終判定: ${describeVerdict(result)} → ${result.action}`);
+  console.log(`理由: ${result.reason}`);
+
+  recentChecks.set(userId, startTime);
+
+  sendLog(
+    t(locale, result.flagged ? "log.ai.flagged" : "log.ai.clean"),
+    t(locale, "log.message", { text }),
+    result.flagged ? 0xff0000 : 0x00ff00,
+    [
+      { name: t(locale, "field.verdict"), value: describeVerdict(result, locale), inline: true },
+      { name: t(locale, "field.action"), value: describeCategoryAction(result.action, locale), inline: true },
+      { name: t(locale, "field.reason"), value: result.reason, inline: false },
+      { name: t(locale, "field.elapsed"), value: `${elapsedTime}ms${result.attempts > 1 ? t(locale, "common.attempts", { n: result.attempts }) : ""}`, inline: true },
+      { name: t(locale, "field.model"), value: `${settings.provider.label} / ${settings.textModel}`, inline: true },
+      { name: t(locale, "field.userId"), value: userId, inline: true },
+      {
+        name: t(locale, "field.context"),
+        value: context
+          ? `${t(locale, "log.context.history", { n: context.history.length })}${context.replyTo ? t(locale, "log.context.reply") : ""}`
+          : t(locale, "common.none"),
+        inline: true,
+      },
+      { name: t(locale, "field.cache"), value: describeCacheStats(locale), inline: true },
+      { name: t(locale, "field.aiResponse"), value: `\`\`\`${rep.substring(0, 500)}\`\`\``, inline: false },
+    ],
+    guildId,
+    result.flagged ? "verdict-flagged" : "verdict-safe"
+  );
+
+  return { ...result, skipped: false };
+}
+
+// AI を有効にしていない、または API 障害でサーキットが開いている間はキーワード判定にする
+function isAIBlocked(settings, guildId) {
+  return !getGuildConfig(guildId).aiEnabled || isCircuitBlocking(settings.providerId);
+}
+
+function buildTextPrompt(settings, text, context = null) {
+  const p = CLASSIFIER_PROMPTS[settings.locale];
+  return `
+${p.text}
+
+${p.categories}
+${context ? `
+${p.contextGuide}
+` : ""}${p.verdictFormat}
+${context ? formatContextForPrompt(context, settings.locale) : ""}
+${context ? p.target : p.message}: """${sanitizeForPrompt(text, 2000)}"""
+    `;
+}
+
+// テキスト 1 件の判定（プロンプト作成・応答の検証・カテゴリ別ルール）。ログ・キャッシュ・クールダウンは呼び出し側で扱う。
+// checkTextContent と eval.mjs（オフライン評価）が共通で使う。
+// method: "rules"（ルールのみのプロバイダー）/ "keyword"（AI 無効・サーキット遮断・応答エラー時。エラーなら error あり）/ "ai"
+async function classifyText(text, guildId, { settings = getClassifierSettings(guildId), context = null, call } = {}) {
+  if (!settings.provider.generate) {
+    return { ...applyCategoryRules(guildId, simpleKeywordCheck(text, guildId)), method: "rules" };
+  }
+  if (isAIBlocked(settings, guildId)) {
+    return applyCategoryRules(guildId, simpleKeywordCheck(text, guildId));
+  }
+  try {
+    const { verdict, rep, attempts } = await generateVerdict(settings, {
+      model: settings.textModel,
+      generationConfig: settings.generationConfig,
+      prompt: buildTextPrompt(settings, text, context),
+      ...(call ? { call } : {}),
+    });
+    return { ...applyCategoryRules(guildId, verdict), fullResponse: rep, attempts, method: "ai" };
+  } catch (err) {
+    return { ...applyCategoryRules(guildId, simpleKeywordCheck(text, guildId)), error: err && err.message ? err.message : String(err) };
+  }
+}
+
+// ====================================
+// クールダウン中のメッセージのまとめて判定
+// ====================================
+// texts の順に判定結果を返す（AI が使えない場合はキーワード判定）
+async function checkTextBatch(texts, userId, guildId, context = null) {
+  const settings = getClassifierSettings(guildId);
+  const locale = settings.locale;
+  const keywordAll = (method) => texts.map((text) => ({
+    ...applyCategoryRules(guildId, simpleKeywordCheck(text, guildId)),
+    ...(method ? { method } : {}),
+  }));
+
+  if (!settings.provider.generate) return keywordAll("rules");
+  if (isAIBlocked(settings, guildId)) return keywordAll();
+
+  // キャッシュにあるものはそのまま使い、残りだけをまとめて問い合わせる
+  const batchContext = context || texts.length > 1 ? { context, batch: texts } : null;
+  const keys = texts.map((text) => textCacheKey(settings, text, batchContext));
+  const results = keys.map((key) => {
+    const cached = getCachedVerdict(key);
+    return cached ? { ...applyCategoryRules(guildId, cached), fullResponse: "", method: "ai", cached: true } : null;
+  });
+  const pending = texts.map((text, i) => ({ text, i })).filter(({ i }) => !results[i]);
+  if (pending.length === 0) {
+    console.log(`♻️ ${texts.length} 件すべてキャッシュで判定`);
+    return results;
+  }
+
+  try {
+    const p = CLASSIFIER_PROMPTS[locale];
+    const prompt = `
+${p.batch(pending.length)}
+
+${p.categories}
+${p.batchFormat}
+${context ? formatContextForPrompt(context, locale) : ""}
+${pending.map(({ text }, n) => `[${n + 1}] """${sanitizeForPrompt(text, 1000)}"""`).join("\n")}
+    `;
+
+    console.log(`📦 ${pending.length} 件をまとめて判定中 (${settings.provider.label} / ${settings.textModel})...`);
+    const startTime = Date.now();
+
+    const { verdict: verdicts, rep, attempts } = await generateVerdict(settings, {
+      model: settings.textModel,
+      generationConfig: {
+        ...settings.generationConfig,
+        maxOutputTokens: Math.min(settings.generationConfig.maxOutputTokens * pending.length, 4096),
+      },
+      prompt,
+      parse: (r) => parseBatchVerdicts(r, pending.length),
+    });
+
+    const elapsedTime = Date.now() - startTime;
+    recentChecks.set(userId, Date.now());
+
+    pending.forEach(({ i }, n) => {
+      setCachedVerdict(keys[i], verdicts[n]);
+      results[i] = { ...applyCategoryRules(guildId, verdicts[n]), fullResponse: rep, method: "ai", batched: true };
+    });
+    const flaggedCount = results.filter((r) => r.flagged).length;
+
+    sendLog(
+      t(locale, flaggedCount > 0 ? "log.batch.flagged" : "log.batch.clean"),
+      texts
+        .map((text, i) => `**[${i + 1}]** \`${text.substring(0, 80)}\` → ${describeVerdict(results[i], locale)}${results[i].cached ? t(locale, "log.batch.cached") : ""}`)
+        .join("\n")
+        .substring(0, 4000),
+      flaggedCount > 0 ? 0xff0000 : 0x00ff00,
+      [
+        { name: t(locale, "field.count"), value: t(locale, "log.batch.count", { total: texts.length, flagged: flaggedCount }), inline: true },
+        { name: t(locale, "field.elapsed"), value: `${elapsedTime}ms${attempts > 1 ? t(locale, "common.attempts", { n: attempts }) : ""}`, inline: true },
+        { name: t(locale, "field.model"), value: `${settings.provider.label} / ${settings.textModel}`, inline: true },
+        { name: t(locale, "field.userId"), value: userId, inline: true },
+        { name: t(locale, "field.cache"), value: describeCacheStats(locale), inline: false },
+      ],
+      guildId,
+      flaggedCount > 0 ? "verdict-flagged" : "verdict-safe"
+    );
+
+    return results;
+  } catch (err) {
+    const msg = err && err.message ? err.message : String(err);
+    console.log("❌ まとめて判定エラー:", msg);
+
+    const fallback = keywordAll();
+    return results.map((r, i) => r ?? fallback[i]);
+  }
+}
+
+// ====================================
+// AI 画像判定
+// ====================================
+async function checkImageContent(img, guildId) {
+  const settings = getClassifierSettings(guildId);
+  if (!settings.provider.generate) {
+    return { isMalicious: false, flagged: false, category: "none", reason: t(settings.locale, "verdict.rulesNoImage"), fullResponse: "", method: "rules" };
+  }
+  // 画像はキーワード判定で代わりができないので、AI を止めている間は判定しない
+  if (isAIBlocked(settings, guildId)) {
+    return { isMalicious: false, flagged: false, category: "none", reason: t(settings.locale, "verdict.imageSkipped"), fullResponse: "", method: "ai", skipped: true };
+  }
+
+  const cacheKey = imageCacheKey(settings, img);
+  const cached = getCachedVerdict(cacheKey);
+  if (cached) {
+    console.log(`♻️ 画像キャッシュ判定: ${describeVerdict(cached)}（${describeCacheStats()}）`);
+    return { ...applyCategoryRules(guildId, cached), fullResponse: "", method: "ai", cached: true };
+  }
+
+  try {
+    const p = CLASSIFIER_PROMPTS[settings.locale];
+    const prompt = `
+${p.image}
+
+${p.imageCategories}
+${p.verdictFormat}
+    `;
+    const { verdict, rep } = await generateVerdict(settings, {
+      model: settings.imageModel,
+      prompt,
+      image: img,
+    });
+
+    setCachedVerdict(cacheKey, verdict);
+    return { ...applyCategoryRules(guildId, verdict), fullResponse: rep, method: "ai" };
+  } catch (err) {
+    return { isMalicious: false, flagged: false, category: "none", reason: t(settings.locale, "verdict.error"), fullResponse: err.message, method: "ai", error: true };
+  }
+}
+
+// ====================================
+// Timeout残秒取得（0秒以下は除外）
+// ====================================
+function getTimeoutRemaining(member) {
+  const end = member.communicationDisabledUntilTimestamp ?? 0;
+  const now = Date.now();
+  const remain = Math.ceil((end - now) / 1000);
+  return remain > 0 ? remain : null;
+}
+
+// Discord の timeout 上限（28日・秒）
+const MAX_TIMEOUT = 2419200;
+
+// ====================================
+// 時間をフォーマット
+// ====================================
+function formatTime(seconds, locale = "ja") {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+
+  if (h > 0) return t(locale, "time.hms", { h, m, s });
+  if (m > 0) return t(locale, "time.ms", { m, s });
+  return t(locale, "time.s", { s });
+}
+
+// ====================================
+// タイムアウト中メンバーの索引（イベント駆動）
+// ====================================
+// 起動時に一度だけ全メンバーを取得し、以降は guildMemberUpdate と監査ログで更新する
+// guildId -> Map(userId -> { userId, userTag, until, executorTag, auditReason })
+const activeTimeouts = new Map();
+
+const MAX_FETCH_BACKOFF = 60000; // 起動時の全件取得のバックオフ上限
+
+function getTimeoutIndex(guildId) {
+  if (!activeTimeouts.has(guildId)) activeTimeouts.set(guildId, new Map());
+  return activeTimeouts.get(guildId);
+}
+
+// 解除が遅い順。解除時刻を過ぎたものは索引から取り除く
+function getActiveTimeouts(guildId) {
+  const index = getTimeoutIndex(guildId);
+  const now = Date.now();
+  for (const [userId, entry] of index) {
+    if (entry.until <= now) index.delete(userId);
+  }
+  return [...index.values()].sort((a, b) => b.until - a.until);
+}
+
+// until が過去・null なら削除。変化があれば true
+function setTimeoutEntry(guildId, userId, patch) {
+  const index = getTimeoutIndex(guildId);
+  const prev = index.get(userId);
+  if (!patch.until || patch.until <= Date.now()) return index.delete(userId);
+
+  // 期間が変わった（別のタイムアウト）なら前回の監査ログ情報は引き継がない
+  const base = prev && prev.until === patch.until ? prev : { userId, userTag: prev?.userTag ?? userId, executorTag: null, auditReason: null };
+  const next = { ...base, ...Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== undefined)) };
+  if (prev && JSON.stringify(prev) === JSON.stringify(next)) return false;
+  index.set(userId, next);
+  return true;
+}
+
+function trackMemberTimeout(member) {
+  return setTimeoutEntry(member.guild.id, member.id, {
+    until: member.communicationDisabledUntilTimestamp,
+    userTag: member.user.tag,
+  });
+}
+
+// 起動時（とギルド参加時）に一度だけ全メンバーを取得して索引を作る
+async function seedActiveTimeouts(guild) {
+  let backoff = 2000;
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    try {
+      const members = await guild.members.fetch({ withPresences: false });
+      activeTimeouts.set(guild.id, new Map());
+      for (const member of members.values()) trackMemberTimeout(member);
+      console.log(`✅ タイムアウト索引を作成 (guild: ${guild.name}, ${getTimeoutIndex(guild.id).size}人)`);
+      return;
+    } catch (e) {
+      console.log(`guild.members.fetch error (試行 ${attempt}/5):`, e.code || e.message);
+      await new Promise((r) => setTimeout(r, backoff));
+      backoff = Math.min(backoff * 2, MAX_FETCH_BACKOFF);
+    }
+  }
+  // 取得できなくてもキャッシュにいる分とイベントで追跡する
+  for (const member of guild.members.cache.values()) trackMemberTimeout(member);
+}
+
+client.on("guildMemberUpdate", (oldMember, newMember) => {
+  if (trackMemberTimeout(newMember)) refreshStatusBoard(newMember.guild.id);
+});
+
+client.on("guildMemberRemove", (member) => {
+  if (getTimeoutIndex(member.guild.id).delete(member.id)) refreshStatusBoard(member.guild.id);
+});
+
+// Discord のメニューなど Bot 以外で行われたタイムアウトの実行者と理由
+client.on("guildAuditLogEntryCreate", (entry, guild) => {
+  if (entry.action !== AuditLogEvent.MemberUpdate) return;
+  const change = entry.changes.find((c) => c.key === "communication_disabled_until");
+  if (!change) return;
+
+  const changed = setTimeoutEntry(guild.id, entry.targetId, {
+    until: change.new ? Date.parse(change.new) : null,
+    userTag: entry.target?.tag,
+    executorTag: entry.executor?.tag ?? null,
+    auditReason: entry.reason ?? null,
+  });
+  if (changed) refreshStatusBoard(guild.id);
+});
+
+client.on("guildCreate", async (guild) => {
+  await seedActiveTimeouts(guild);
+  updateRealtimeTimeout(guild.id);
+});
+
+// ====================================
+// リアルタイム Timeout 更新（永続化対応）
+// ====================================
+// guildId -> { channel, messages, lastSignature, queue, expiryTimer }
+const statusBoards = new Map();
+
+const BOARD_ENTRIES_PER_PAGE = 10;
+const BOARD_MAX_PAGES = 5; // これを超える分は件数だけ表示（/to で全件確認できる）
+
+// 現在のタイムアウトに対応するケース（解除予定時刻が近いもの）を探す
+function findTimeoutCase(guildId, userId, until) {
+  return getUserCases(guildId, userId)
+    .filter((c) => c.action === "timeout" && c.duration && Math.abs(c.createdAt + c.duration - until) < 120000)
+    .at(-1) ?? null;
+}
+
+function describeTimeoutSource(modCase, entry, locale = "ja") {
+  if (!modCase) {
+    return entry.executorTag ? t(locale, "common.paren", { text: t(locale, "source.manual"), note: entry.executorTag }) : t(locale, "source.unknown");
+  }
+  const label = MESSAGES.ja[`source.${modCase.source}`] ? t(locale, `source.${modCase.source}`) : modCase.source;
+  return modCase.source === "auto" ? label : t(locale, "common.paren", { text: label, note: modCase.moderatorTag });
+}
+
+// entries: getActiveTimeouts() の結果（解除が遅い順）。ページごとの埋め込みを返す
+// 残り時間は Discord の相対時刻表示に任せ、内容が変わったときだけ編集すればよいようにする
+function renderStatusBoard(guild, entries) {
+  const locale = guildLocale(guild.id);
+  if (entries.length === 0) {
+    return [
+      new EmbedBuilder()
+        .setTitle(t(locale, "board.title"))
+        .setDescription(t(locale, "board.empty"))
+        .setColor(0x00ff00),
+    ];
+  }
+
+  const shown = entries.slice(0, BOARD_ENTRIES_PER_PAGE * BOARD_MAX_PAGES);
+  const pageCount = Math.ceil(shown.length / BOARD_ENTRIES_PER_PAGE);
+  const pages = [];
+  for (let p = 0; p < pageCount; p++) {
+    const lines = shown.slice(p * BOARD_ENTRIES_PER_PAGE, (p + 1) * BOARD_ENTRIES_PER_PAGE).map((e, i) => {
+      const modCase = findTimeoutCase(guild.id, e.userId, e.until);
+      const until = Math.floor(e.until / 1000);
+      const reason = (modCase?.reason || e.auditReason || "—").split("\n")[0].substring(0, 80);
+      return `**${p * BOARD_ENTRIES_PER_PAGE + i + 1}. ${e.userTag}** (<@${e.userId}>)\n` +
+        `${t(locale, "board.until", { until })}${modCase ? t(locale, "board.case", { id: modCase.id }) : ""}\n` +
+        `${describeTimeoutSource(modCase, e, locale)}${t(locale, "common.sep")}${reason}`;
+    });
+
+    let footer = t(locale, "board.page", { page: p + 1, pages: pageCount });
+    if (p === pageCount - 1 && entries.length > shown.length) footer += t(locale, "board.more", { n: entries.length - shown.length });
+
+    pages.push(
+      new EmbedBuilder()
+        .setTitle(p === 0 ? t(locale, "board.titleCount", { n: entries.length }) : t(locale, "board.titleContinued"))
+        .setDescription(lines.join("\n\n"))
+        .setColor(0xffa500)
+        .setFooter({ text: footer })
+    );
+  }
+  return pages;
+}
+
+// 保存済みの掲示板メッセージを取得（チャンネルが変わっていたら古いものは使わない）
+async function loadBoardMessages(ch) {
+  const state = loadBoardState(ch.guild.id);
+  if (state.channelId && state.channelId !== ch.id) return [];
+
+  const messages = [];
+  for (const id of state.messageIds) {
+    const msg = await ch.messages.fetch(id).catch(() => null);
+    if (msg) messages.push(msg);
+  }
+  return messages;
+}
+
+// ページ数に合わせてメッセージを編集・追加・削除し、メッセージ ID を保存する
+async function syncBoardMessages(ch, messages, pages) {
+  for (const [i, embed] of pages.entries()) {
+    const payload = { content: "", embeds: [embed.setTimestamp()] };
+    if (messages[i]) {
+      try {
+        await messages[i].edit(payload);
+        continue;
+      } catch (err) {
+        metrics.boardEditErrors.inc({ code: String(err.code ?? "unknown") });
+        console.log("メッセージ編集エラー:", err.code || err.message);
+        if (err.code !== 10008) throw err;
+        // 削除されていたら送り直す
+      }
+    }
+    messages[i] = await ch.send(payload);
+  }
+
+  for (const extra of messages.splice(pages.length)) {
+    await extra.delete().catch(() => {});
+  }
+  saveBoardState(ch.guild.id, { channelId: ch.id, messageIds: messages.map((m) => m.id) });
+}
+
+function stopRealtimeTimeout(guildId) {
+  const board = statusBoards.get(guildId);
+  if (board) {
+    clearTimeout(board.expiryTimer);
+    statusBoards.delete(guildId);
+  }
+}
+
+// 索引が変わったとき・次の解除時刻が来たときだけ呼ばれる（内容が同じなら編集しない）
+function refreshStatusBoard(guildId) {
+  const board = statusBoards.get(guildId);
+  if (!board) return;
+
+  const entries = getActiveTimeouts(guildId);
+  clearTimeout(board.expiryTimer);
+  board.expiryTimer = null;
+  if (entries.length > 0) {
+    const nextExpiry = Math.min(...entries.map((e) => e.until));
+    // setTimeout の上限（約24.8日）を超える場合は途中で一度起きるだけ
+    const wait = Math.min(nextExpiry - Date.now() + 500, 2 ** 31 - 1);
+    board.expiryTimer = setTimeout(() => refreshStatusBoard(guildId), wait);
+  }
+
+  const pages = renderStatusBoard(board.channel.guild, entries);
+  const signature = JSON.stringify(pages.map((p) => p.toJSON()));
+  if (signature === board.lastSignature) return;
+  board.lastSignature = signature;
+
+  board.queue = board.queue.then(async () => {
+    try {
+      await syncBoardMessages(board.channel, board.messages, pages);
+    } catch (err) {
+      board.lastSignature = null;
+      if (err.code === 50013) {
+        console.log("権限エラー: Botにメッセージ送信・編集権限があるか確認してください");
+      } else {
+        console.log("掲示板更新失敗:", err.code || err.message);
+      }
+      // 一時的な失敗は少し待って再試行
+      if (statusBoards.get(guildId) === board && !board.expiryTimer) {
+        board.expiryTimer = setTimeout(() => refreshStatusBoard(guildId), err.code === 429 ? 5000 : 30000);
+      }
+    }
+  }).catch((e) => console.log("掲示板キューエラー:", e.message));
+}
+
+async function updateRealtimeTimeout(guildId) {
+  const statusChannelId = getGuildConfig(guildId).statusChannelId;
+  stopRealtimeTimeout(guildId);
+
+  if (!statusChannelId) {
+    console.log(`⚠️ ギルド ${guildId} のタイムアウト表示チャンネルが設定されていません`);
+    return;
+  }
+
+  try {
+    const ch = await client.channels.fetch(statusChannelId).catch(() => null);
+    if (!ch || !ch.guild || ch.guild.id !== guildId) {
       console.log("⚠️ タイムアウト表示チャンネルが見つかりません");
       return;
     }
 
-    const guild = ch.guild;
+    const messages = await loadBoardMessages(ch);
+    statusBoards.set(guildId, { channel: ch, messages, lastSignature: null, queue: Promise.resolve(), expiryTimer: null });
+    console.log(`✅ タイムアウト表示を開始しました (guild: ${ch.guild.name}, ページ: ${messages.length})`);
+    refreshStatusBoard(guildId);
+  } catch (err) {
+    console.log("リアルタイム表示の初期化エラー:", err.message);
+  }
+}
+
+// ====================================
+// ストライク（段階的処分、strikes.json に永続化）
+// ====================================
+const STRIKE_STORE = path.resolve(process.cwd(), "strikes.json");
+
+// { [guildId]: { [userId]: [{ at, reason }] } }
+let strikes = readJsonFile(STRIKE_STORE, {});
+
+// 失効したストライクを取り除いて有効なものだけ返す
+function getActiveStrikes(guildId, userId) {
+  const decay = getGuildConfig(guildId).strikeDecay;
+  const list = (strikes[guildId]?.[userId] || []).filter((s) => Date.now() - s.at < decay);
+  if (strikes[guildId]?.[userId]) {
+    if (list.length > 0) strikes[guildId][userId] = list;
+    else delete strikes[guildId][userId];
+  }
+  return list;
+}
+
+function addStrike(guildId, userId, reason) {
+  const list = getActiveStrikes(guildId, userId);
+  list.push({ at: Date.now(), reason });
+  strikes[guildId] = { ...(strikes[guildId] || {}), [userId]: list };
+  writeJsonFile(STRIKE_STORE, strikes);
+  return list.length;
+}
+
+// n 回目のストライクに対応する段階（段階表を超えたら最後の段階を繰り返す）
+function getStrikeStep(ladder, count) {
+  return ladder[Math.min(count, ladder.length) - 1];
+}
+
+function describeStrikeStep(step, locale = "ja") {
+  if (step === "warn" || step === "kick" || step === "ban") return t(locale, `step.${step}`);
+  return t(locale, "step.timeout", { duration: formatTime(Math.floor(parseDuration(step) / 1000), locale) });
+}
+
+async function applyStrikeStep(guild, userId, step, reason) {
+  if (step === "warn") return;
+  if (step === "ban") {
+    await guild.members.ban(userId, { reason });
+    return;
+  }
+  const member = await guild.members.fetch(userId);
+  if (step === "kick") {
+    await member.kick(reason);
+    return;
+  }
+  await member.timeout(parseDuration(step), reason);
+  metrics.timeoutsIssued.inc({ source: "auto" });
+}
+
+// ====================================
+// 処分ケース記録（cases.json に永続化）
+// ====================================
+const CASE_STORE = path.resolve(process.cwd(), "cases.json");
+
+// { [guildId]: { nextId, cases: [...] } }
+let caseDb = readJsonFile(CASE_STORE, {});
+// 異議の判断中に再起動したケースは未判断に戻す
+for (const db of Object.values(caseDb)) {
+  for (const c of db.cases) if (c.appeal?.status === "processing") c.appeal.status = "pending";
+}
+
+function createCase(guildId, data) {
+  const db = caseDb[guildId] || { nextId: 1, cases: [] };
+  const modCase = { id: db.nextId, createdAt: Date.now(), ...data };
+  db.cases.push(modCase);
+  db.nextId += 1;
+  caseDb[guildId] = db;
+  writeJsonFile(CASE_STORE, caseDb);
+  // 掲示板の理由・実行者の表示はケースを参照するので描き直す
+  if (modCase.action === "timeout") refreshStatusBoard(guildId);
+  return modCase;
+}
+
+function getCase(guildId, id) {
+  return caseDb[guildId]?.cases.find((c) => c.id === id) || null;
+}
+
+function getUserCases(guildId, userId) {
+  return (caseDb[guildId]?.cases || []).filter((c) => c.userId === userId);
+}
+
+function updateCase(guildId, id, patch) {
+  const modCase = getCase(guildId, id);
+  if (!modCase) return null;
+  Object.assign(modCase, patch);
+  writeJsonFile(CASE_STORE, caseDb);
+  return modCase;
+}
+
+function updateCaseReason(guildId, id, reason, editor) {
+  const modCase = getCase(guildId, id);
+  if (!modCase) return null;
+  modCase.reasonHistory = [
+    ...(modCase.reasonHistory || []),
+    { reason: modCase.reason, editedBy: editor.id, editedAt: Date.now() },
+  ];
+  modCase.reason = reason;
+  writeJsonFile(CASE_STORE, caseDb);
+  return modCase;
+}
+
+function strikeStepAction(step) {
+  return ["warn", "kick", "ban"].includes(step) ? step : "timeout";
+}
+
+function caseEmbed(modCase, locale = "ja") {
+  const action = MESSAGES.ja[`caseAction.${modCase.action}`] ? t(locale, `caseAction.${modCase.action}`) : modCase.action;
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "case.title", { id: modCase.id, action }))
+    .setColor(modCase.source === "auto" ? 0xff0000 : 0xffa500)
+    .setTimestamp(modCase.createdAt)
+    .addFields(
+      { name: t(locale, "field.target"), value: `${modCase.userTag} (${modCase.userId})`, inline: false },
+      {
+        name: t(locale, "field.executor"),
+        value: modCase.source === "auto"
+          ? t(locale, "source.auto")
+          : modCase.moderatorId ? `${modCase.moderatorTag} (${modCase.moderatorId})` : modCase.moderatorTag,
+        inline: true,
+      },
+      { name: t(locale, "field.channel"), value: modCase.channelId ? `<#${modCase.channelId}>` : t(locale, "common.unknown"), inline: true },
+    );
+
+  if (modCase.duration) {
+    embed.addFields({ name: t(locale, "field.duration"), value: formatTime(Math.floor(modCase.duration / 1000), locale), inline: true });
+  }
+  if (modCase.strikeCount) {
+    embed.addFields({ name: t(locale, "field.strikes"), value: t(locale, "case.strikeNth", { n: modCase.strikeCount }), inline: true });
+  }
+  if (modCase.archiveUrl) {
+    embed.addFields({
+      name: t(locale, "case.archive"),
+      value: t(locale, "case.archiveLink", { url: modCase.archiveUrl }) + (modCase.messageDeleted ? t(locale, "case.messageDeleted") : ""),
+      inline: true,
+    });
+  }
+  embed.addFields({ name: t(locale, "field.caseReason"), value: modCase.reason.substring(0, 1024) || t(locale, "common.none"), inline: false });
+  if (modCase.error) {
+    embed.addFields({ name: t(locale, "field.error"), value: t(locale, "case.failed", { error: modCase.error }).substring(0, 1024), inline: false });
+  }
+
+  for (const [i, item] of (modCase.evidence || []).entries()) {
+    embed.addFields({
+      name: `${item.type === "image" ? "🖼️" : "📝"} ${t(locale, "evidence.labelMethod", { n: i + 1, method: describeMethod(item.method, locale) })}`,
+      value: (item.type === "image" ? t(locale, "evidence.imageLink", { url: item.content }) : `\`\`\`${item.content}\`\`\``) +
+        (item.category ? `\n${describeVerdict(item, locale)}` : "") + `\n${t(locale, "evidence.reason", { reason: item.reason })}`,
+      inline: false,
+    });
+  }
+  if (modCase.appeal) {
+    const status = t(locale, `appeal.status.${modCase.appeal.status}`);
+    embed.addFields({
+      name: t(locale, "case.appeal"),
+      value: `${modCase.appeal.resolvedByTag ? t(locale, "common.paren", { text: status, note: modCase.appeal.resolvedByTag }) : status}\n${modCase.appeal.text.substring(0, 900)}`,
+      inline: false,
+    });
+  }
+  if (modCase.reasonHistory?.length) {
+    const last = modCase.reasonHistory[modCase.reasonHistory.length - 1];
+    const at = new Date(last.editedAt).toLocaleString(DISCORD_LOCALES[locale][0]);
+    embed.setFooter({ text: t(locale, "case.reasonEdited", { n: modCase.reasonHistory.length, at }) });
+  }
+  return embed;
+}
+
+// ====================================
+// 予約処分（scheduled.json に永続化、再起動後も再開）
+// ====================================
+const SCHEDULE_STORE = path.resolve(process.cwd(), "scheduled.json");
+const MAX_JOB_ATTEMPTS = 5;
+const JOB_RETRY_DELAY = 5 * 60 * 1000;
+
+// { nextId, jobs: [{ id, type, guildId, userId, userTag, runAt, caseId, attempts }] }
+let schedule = readJsonFile(SCHEDULE_STORE, { nextId: 1, jobs: [] });
+let scheduleTimer = null;
+// 実行中の予約 ID（実行中にタイマーが掛け直されても同じ予約を二重に実行しない。保存はしないので再起動後は再実行される）
+const runningJobs = new Set();
+
+// type ごとの実行内容（例外を投げると JOB_RETRY_DELAY 後に再試行）
+const SCHEDULED_JOB_HANDLERS = {
+  // 期限付き BAN の解除
+  async unban(job) {
+    // ギルドが一時的に使えない（障害・接続直後）こともあるので、捨てずに再試行に回す
+    const guild = client.guilds.cache.get(job.guildId);
+    if (!guild) throw new Error(`ギルド ${job.guildId} が見つかりません`);
+    const locale = guildLocale(guild.id);
+    try {
+      await guild.members.unban(job.userId, t(locale, "schedule.unbanReason", { caseId: job.caseId }));
+    } catch (err) {
+      if (err.code === 10026) return; // 既に解除済み（Unknown Ban）
+      throw err;
+    }
+
+    const modCase = createCase(guild.id, {
+      action: "unban",
+      source: "auto",
+      userId: job.userId,
+      userTag: job.userTag,
+      moderatorId: client.user.id,
+      moderatorTag: client.user.tag,
+      reason: t(locale, "schedule.unbanReason", { caseId: job.caseId }),
+    });
+    sendLog(
+      t(locale, "schedule.unbanTitle"),
+      t(locale, "schedule.unbanDesc", { user: job.userTag }),
+      0x00ff00,
+      [
+        { name: t(locale, "field.target"), value: `${job.userTag} (${job.userId})`, inline: false },
+        { name: t(locale, "field.case"), value: t(locale, "schedule.unbanCase", { id: modCase.id, caseId: job.caseId }), inline: true },
+      ],
+      guild.id
+    );
+  },
+};
+
+function scheduleJob(job) {
+  const entry = { id: schedule.nextId, attempts: 0, ...job };
+  schedule.nextId += 1;
+  schedule.jobs.push(entry);
+  writeJsonFile(SCHEDULE_STORE, schedule);
+  armScheduler();
+  return entry;
+}
+
+// 条件に合う予約を取り消す（例: /unban で期限付きBANの解除予約を消す）
+function cancelJobs(predicate) {
+  const before = schedule.jobs.length;
+  schedule.jobs = schedule.jobs.filter((job) => !predicate(job));
+  if (schedule.jobs.length !== before) {
+    writeJsonFile(SCHEDULE_STORE, schedule);
+    armScheduler();
+  }
+  return before - schedule.jobs.length;
+}
+
+// 一番早い予約の時刻にタイマーを 1 つだけ掛ける
+function armScheduler() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  const waiting = schedule.jobs.filter((job) => !runningJobs.has(job.id));
+  if (waiting.length === 0) return;
+  const next = Math.min(...waiting.map((job) => job.runAt));
+  // setTimeout の上限（約24.8日）を超える場合は途中で一度起きるだけ
+  scheduleTimer = setTimeout(runDueJobs, Math.min(Math.max(next - Date.now(), 0), 2 ** 31 - 1));
+}
+
+async function runDueJobs() {
+  const due = schedule.jobs.filter((job) => job.runAt <= Date.now() && !runningJobs.has(job.id));
+  for (const job of due) runningJobs.add(job.id);
+  for (const job of due) {
+    try {
+      await SCHEDULED_JOB_HANDLERS[job.type](job);
+      schedule.jobs = schedule.jobs.filter((j) => j.id !== job.id);
+    } catch (err) {
+      job.attempts += 1;
+      console.log(`予約処分 #${job.id} (${job.type}) の実行エラー (試行 ${job.attempts}/${MAX_JOB_ATTEMPTS}):`, err.message);
+      if (job.attempts >= MAX_JOB_ATTEMPTS) {
+        schedule.jobs = schedule.jobs.filter((j) => j.id !== job.id);
+        const locale = guildLocale(job.guildId);
+        sendLog(
+          t(locale, "schedule.failedTitle"),
+          t(locale, "schedule.failedDesc", { id: job.id, type: job.type, attempts: MAX_JOB_ATTEMPTS }),
+          0xff0000,
+          [
+            { name: t(locale, "field.target"), value: `${job.userTag} (${job.userId})`, inline: false },
+            { name: t(locale, "field.error"), value: String(err.message).substring(0, 1024), inline: false },
+          ],
+          job.guildId,
+          "error"
+        );
+      } else {
+        job.runAt = Date.now() + JOB_RETRY_DELAY;
+      }
+    } finally {
+      runningJobs.delete(job.id);
+    }
+  }
+  writeJsonFile(SCHEDULE_STORE, schedule);
+  armScheduler();
+}
+
+// ====================================
+// 異議申し立て（DM → モーダル → モデレーター判断）
+// ====================================
+// customId は "appeal:<guildId>:<caseId>" 形式（DM ではギルド情報が無いため埋め込む）
+async function sendAppealNotice(user, guild, modCase) {
+  const locale = guildLocale(guild.id);
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "appeal.dmTitle", { guild: guild.name }))
+    .setDescription(t(locale, "appeal.dmDesc"))
+    .setColor(0xff0000)
+    .addFields(
+      { name: t(locale, "field.duration"), value: formatTime(Math.floor(modCase.duration / 1000), locale), inline: true },
+      { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+      { name: t(locale, "field.detectReason"), value: modCase.reason.substring(0, 1024), inline: false },
+    )
+    .setTimestamp();
+
+  for (const [i, item] of (modCase.evidence || []).entries()) {
+    embed.addFields({
+      name: t(locale, "evidence.label", { n: i + 1 }),
+      value: item.type === "image" ? t(locale, "evidence.imageLink", { url: item.content }) : `\`\`\`${item.content}\`\`\``,
+      inline: false,
+    });
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`appeal:${guild.id}:${modCase.id}`)
+      .setLabel(t(locale, "appeal.button"))
+      .setEmoji("📨")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  try {
+    await user.send({ embeds: [embed], components: [row] });
+  } catch (e) {
+    console.log(`DM送信失敗 (${user.tag}):`, e.message);
+  }
+}
+
+// 元の sendLog エントリに返信して結果を並べる（見つからなければ新規ログ）
+async function logAppealResult(guildId, modCase, title, color, fields) {
+  if (modCase.logChannelId && modCase.logMessageId) {
+    const ch = await client.channels.fetch(modCase.logChannelId).catch(() => null);
+    const logMessage = await ch?.messages.fetch(modCase.logMessageId).catch(() => null);
+    if (logMessage) {
+      const embed = new EmbedBuilder().setTitle(title).setColor(color).addFields(fields).setTimestamp();
+      const sent = await logMessage.reply({ embeds: [embed] }).catch(() => null);
+      if (sent) return;
+    }
+  }
+  await sendLog(title, t(guildLocale(guildId), "case.ref", { id: modCase.id }), color, fields, guildId);
+}
+
+async function handleAppealInteraction(interaction) {
+  const [kind, guildId, caseIdStr] = interaction.customId.split(":");
+  const caseId = Number(caseIdStr);
+  const guild = client.guilds.cache.get(guildId);
+  const modCase = getCase(guildId, caseId);
+  // 本人・モデレーターへの返信は操作した人の言語、モデレーター用チャンネルとログはギルドの言語
+  const userLocale = interactionLocale(interaction, guildId);
+  const locale = guildLocale(guildId);
+
+  if (!guild || !modCase) {
+    return interaction.reply({ content: t(userLocale, "appeal.notFound"), ephemeral: true });
+  }
+  if ((kind === "appeal" || kind === "appeal-modal") && interaction.user.id !== modCase.userId) {
+    return interaction.reply({ content: t(userLocale, "appeal.notOwner"), ephemeral: true });
+  }
+
+  // DM の「異議を申し立てる」ボタン → モーダル表示
+  if (kind === "appeal") {
+    if (modCase.appeal) {
+      return interaction.reply({ content: t(userLocale, "appeal.alreadySent"), ephemeral: true });
+    }
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal-modal:${guildId}:${caseId}`)
+      .setTitle(t(userLocale, "appeal.modalTitle", { id: caseId }))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("text")
+            .setLabel(t(userLocale, "appeal.modalLabel"))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMinLength(10)
+            .setMaxLength(1000)
+            .setRequired(true)
+        )
+      );
+    return interaction.showModal(modal);
+  }
+
+  // モーダル送信 → モデレーターチャンネルへ
+  if (kind === "appeal-modal") {
+    if (modCase.appeal) {
+      return interaction.reply({ content: t(userLocale, "appeal.alreadySent"), ephemeral: true });
+    }
+    const text = interaction.fields.getTextInputValue("text");
+    // 送信を 2 回押されても 1 件になるよう、await の前に受付済みにする（送れなければ取り消す）
+    updateCase(guildId, caseId, { appeal: { status: "pending", text, submittedAt: Date.now() } });
+    const config = getGuildConfig(guildId);
+    const chId = config.appealChannelId || config.logChannelId;
+    const ch = chId ? await client.channels.fetch(chId).catch(() => null) : null;
+    if (!ch || ch.guildId !== guildId) {
+      updateCase(guildId, caseId, { appeal: null });
+      return interaction.reply({ content: t(userLocale, "appeal.noChannel"), ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, "appeal.embedTitle", { id: caseId }))
+      .setDescription(text)
+      .setColor(0x5865f2)
+      .addFields(
+        { name: t(locale, "appeal.appellant"), value: `${modCase.userTag} (${modCase.userId})`, inline: false },
+        { name: t(locale, "field.detectReason"), value: modCase.reason.substring(0, 1024), inline: false },
+      )
+      .setTimestamp();
+    for (const [i, item] of (modCase.evidence || []).entries()) {
+      embed.addFields({
+        name: t(locale, "evidence.label", { n: i + 1 }),
+        value: item.type === "image" ? t(locale, "evidence.imageLink", { url: item.content }) : `\`\`\`${item.content}\`\`\``,
+        inline: false,
+      });
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`appeal-lift:${guildId}:${caseId}`).setLabel(t(locale, "appeal.lift")).setEmoji("🔓").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`appeal-uphold:${guildId}:${caseId}`).setLabel(t(locale, "appeal.uphold")).setEmoji("⚖️").setStyle(ButtonStyle.Danger)
+    );
+
+    try {
+      await ch.send({ embeds: [embed], components: [row] });
+    } catch (err) {
+      updateCase(guildId, caseId, { appeal: null });
+      throw err;
+    }
+    console.log(`APPEAL SUBMITTED → case #${caseId} by ${interaction.user.tag}`);
+    return interaction.reply({ content: t(userLocale, "appeal.sent"), ephemeral: true });
+  }
+
+  // モデレーターの判断
+  if (kind === "appeal-lift" || kind === "appeal-uphold") {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+      return interaction.reply({ content: t(userLocale, "common.needModerate"), ephemeral: true });
+    }
+    if (modCase.appeal?.status !== "pending") {
+      return interaction.reply({ content: t(userLocale, "appeal.alreadyResolved"), ephemeral: true });
+    }
+
+    // 解除と維持が同時に押されても片方だけ通るよう、await の前に判断中にする（失敗したら未判断に戻す）
+    updateCase(guildId, caseId, { appeal: { ...modCase.appeal, status: "processing" } });
+    const lifted = kind === "appeal-lift";
+    if (lifted) {
+      try {
+        const member = await guild.members.fetch(modCase.userId).catch(() => null);
+        if (member) await member.timeout(null, t(locale, "appeal.liftReason", { id: caseId, tag: interaction.user.tag }));
+      } catch (err) {
+        updateCase(guildId, caseId, { appeal: { ...modCase.appeal, status: "pending" } });
+        throw err;
+      }
+    }
+
+    updateCase(guildId, caseId, {
+      appeal: {
+        ...modCase.appeal,
+        status: lifted ? "lifted" : "upheld",
+        resolvedBy: interaction.user.id,
+        resolvedByTag: interaction.user.tag,
+        resolvedAt: Date.now(),
+      },
+    });
+
+    const resultText = t(locale, lifted ? "appeal.result.lifted" : "appeal.result.upheld");
+    const embed = EmbedBuilder.from(interaction.message.embeds[0])
+      .setColor(lifted ? 0x00ff00 : 0xff0000)
+      .addFields({ name: t(locale, "appeal.decision"), value: t(locale, "common.paren", { text: resultText, note: interaction.user.tag }), inline: false });
+    await interaction.update({ embeds: [embed], components: [] });
+
+    await logAppealResult(guildId, modCase, t(locale, "appeal.resultTitle", { result: resultText }), lifted ? 0x00ff00 : 0xffa500, [
+      { name: t(locale, "field.case"), value: `#${caseId}`, inline: true },
+      { name: t(locale, "field.target"), value: `${modCase.userTag} (${modCase.userId})`, inline: true },
+      { name: t(locale, "appeal.decidedBy"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+      { name: t(locale, "appeal.text"), value: modCase.appeal.text.substring(0, 1024), inline: false },
+    ]);
+
+    const user = await client.users.fetch(modCase.userId).catch(() => null);
+    user?.send(t(locale, lifted ? "appeal.dmLifted" : "appeal.dmUpheld", { guild: guild.name, id: caseId })).catch(() => {});
+
+    console.log(`APPEAL ${lifted ? "LIFTED" : "UPHELD"} → case #${caseId} by ${interaction.user.tag}`);
+  }
+}
+
+// ====================================
+// シャドーモードのレビューキュー（reviews.json に永続化）
+// ====================================
+const REVIEW_STORE = path.resolve(process.cwd(), "reviews.json");
+
+// { [guildId]: { nextId, items: [{ id, ..., detections, status, decision }] } }
+let reviewDb = readJsonFile(REVIEW_STORE, {});
+// 処理中に再起動した項目は未処理に戻す
+for (const db of Object.values(reviewDb)) {
+  for (const item of db.items) if (item.status === "processing") item.status = "pending";
+}
+
+// 表示名は MESSAGES の review.duration.<値> / review.decision.<判断>
+const REVIEW_DURATIONS = ["10m", "1h", "6h", "1d", "7d"];
+const REVIEW_DECISIONS = ["timeout", "warn", "delete", "rename", "dismiss"];
+
+function getReviewItem(guildId, id) {
+  return reviewDb[guildId]?.items.find((r) => r.id === id) || null;
+}
+
+// profile: プロフィールのレビューでは「削除」の代わりに「ニックネームをリセット」を出す
+function reviewComponents(guildId, id, disabled = false, profile = false) {
+  const locale = guildLocale(guildId);
+  return [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`review-timeout:${guildId}:${id}`)
+        .setPlaceholder(t(locale, "review.timeoutPlaceholder"))
+        .setDisabled(disabled)
+        .addOptions(REVIEW_DURATIONS.map((value) => ({ label: t(locale, `review.duration.${value}`), value })))
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`review-warn:${guildId}:${id}`).setLabel(t(locale, "review.button.warn")).setEmoji("⚠️").setStyle(ButtonStyle.Primary).setDisabled(disabled),
+      profile
+        ? new ButtonBuilder().setCustomId(`review-rename:${guildId}:${id}`).setLabel(t(locale, "review.button.rename")).setEmoji("🏷️").setStyle(ButtonStyle.Danger).setDisabled(disabled)
+        : new ButtonBuilder().setCustomId(`review-delete:${guildId}:${id}`).setLabel(t(locale, "review.button.delete")).setEmoji("🗑️").setStyle(ButtonStyle.Danger).setDisabled(disabled),
+      new ButtonBuilder().setCustomId(`review-dismiss:${guildId}:${id}`).setLabel(t(locale, "review.button.dismiss")).setEmoji("🙅").setStyle(ButtonStyle.Secondary).setDisabled(disabled)
+    ),
+  ];
+}
+
+async function queueForReview(message, detections, reasons, edit = null) {
+  const guildId = message.guild.id;
+  const db = reviewDb[guildId] || { nextId: 1, items: [] };
+  const item = {
+    id: db.nextId,
+    createdAt: Date.now(),
+    userId: message.author.id,
+    userTag: message.author.tag,
+    channelId: message.channel.id,
+    messageId: message.id,
+    edited: !!edit,
+    content: message.content.substring(0, 1000),
+    reason: reasons.join("\n"),
+    detections: detections.map((d) => ({
+      type: d.type === "画像" ? "image" : "text",
+      content: d.content,
+      reason: d.reason,
+      method: d.method,
+      category: d.category,
+      severity: d.severity,
+      confidence: d.confidence,
+      action: d.action,
+    })),
+    status: "pending",
+    decision: null,
+  };
+  db.items.push(item);
+  db.nextId += 1;
+  reviewDb[guildId] = db;
+  writeJsonFile(REVIEW_STORE, reviewDb);
+
+  const locale = guildLocale(guildId);
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "review.title", { id: item.id }) + (edit ? t(locale, "review.edited") : ""))
+    .setDescription(t(locale, "review.desc", { user: message.author.tag, url: message.url }))
+    .setColor(0xffa500)
+    .addFields(
+      { name: t(locale, "field.author"), value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: t(locale, "field.channel"), value: `<#${message.channel.id}>`, inline: true },
+      { name: t(locale, "review.currentStrikes"), value: t(locale, "review.strikeCount", { n: getActiveStrikes(guildId, message.author.id).length }), inline: true },
+      { name: t(locale, "field.detectReason"), value: item.reason.substring(0, 1024), inline: false },
+    )
+    .setTimestamp();
+  for (const [i, d] of item.detections.entries()) {
+    embed.addFields({
+      name: `${d.type === "image" ? "🖼️" : "📝"} ${t(locale, "evidence.labelMethod", { n: i + 1, method: describeMethod(d.method, locale) })}`,
+      value: (d.type === "image" ? t(locale, "evidence.imageLink", { url: d.content }) : `\`\`\`${d.content}\`\`\``) +
+        `\n${t(locale, "review.expected", { verdict: describeVerdict(d, locale), action: describeCategoryAction(d.action, locale) })}` +
+        `\n${t(locale, "evidence.reason", { reason: d.reason })}`,
+      inline: false,
+    });
+  }
+
+  await postReviewItem(guildId, item, embed);
+  console.log(`REVIEW QUEUED #${item.id} → ${message.author.tag}`);
+  return item;
+}
+
+// レビューチャンネルへ送り、送信先を記録する
+async function postReviewItem(guildId, item, embed) {
+  const config = getGuildConfig(guildId);
+  const chId = config.reviewChannelId || config.logChannelId;
+  const ch = chId ? await client.channels.fetch(chId).catch(() => null) : null;
+  if (!ch || ch.guildId !== guildId) {
+    console.log(`⚠️ レビューチャンネルが見つかりません (guild: ${guildId})`);
+    return;
+  }
+  const sent = await ch.send({ embeds: [embed], components: reviewComponents(guildId, item.id, false, item.kind === "profile") }).catch((e) => {
+    console.log("レビュー送信エラー:", e.message);
+    return null;
+  });
+  if (sent) {
+    item.reviewChannelId = sent.channelId;
+    item.reviewMessageId = sent.id;
+    writeJsonFile(REVIEW_STORE, reviewDb);
+  }
+}
+
+// プロフィール（名前・アバター）の検出をレビューキューへ
+async function queueProfileReview(member, detections, reasons) {
+  const guildId = member.guild.id;
+  const db = reviewDb[guildId] || { nextId: 1, items: [] };
+  const item = {
+    id: db.nextId,
+    kind: "profile",
+    createdAt: Date.now(),
+    userId: member.id,
+    userTag: member.user.tag,
+    channelId: null,
+    messageId: null,
+    edited: false,
+    content: describeProfile(member, guildLocale(guildId)),
+    reason: reasons.join("\n"),
+    detections,
+    status: "pending",
+    decision: null,
+  };
+  db.items.push(item);
+  db.nextId += 1;
+  reviewDb[guildId] = db;
+  writeJsonFile(REVIEW_STORE, reviewDb);
+
+  const locale = guildLocale(guildId);
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "review.title", { id: item.id }) + t(locale, "review.profile"))
+    .setDescription(t(locale, "review.profileDesc", { user: member.user.tag, id: member.id }))
+    .setColor(0xffa500)
+    .setThumbnail(member.displayAvatarURL({ size: 128 }))
+    .addFields(
+      { name: t(locale, "field.member"), value: `${member.user.tag} (${member.id})`, inline: false },
+      { name: t(locale, "field.names"), value: item.content, inline: false },
+      { name: t(locale, "field.detectReason"), value: item.reason.substring(0, 1024), inline: false },
+    )
+    .setTimestamp();
+  await postReviewItem(guildId, item, embed);
+  console.log(`REVIEW QUEUED #${item.id} (profile) → ${member.user.tag}`);
+  return item;
+}
+
+async function handleReviewInteraction(interaction) {
+  const [kind, guildId, idStr] = interaction.customId.split(":");
+  const id = Number(idStr);
+  const item = getReviewItem(guildId, id);
+  const guild = client.guilds.cache.get(guildId);
+  const userLocale = interactionLocale(interaction);
+  const locale = guildLocale(guildId);
+
+  if (!guild || !item) return interaction.reply({ content: t(userLocale, "review.notFound"), ephemeral: true });
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+    return interaction.reply({ content: t(userLocale, "common.needModerate"), ephemeral: true });
+  }
+  if (item.status !== "pending") {
+    return interaction.reply({ content: t(userLocale, "review.alreadyDone"), ephemeral: true });
+  }
+
+  const action = kind.replace("review-", "");
+  const duration = action === "timeout" ? parseDuration(interaction.values[0]) : null;
+  const reason = t(locale, "review.reason", { id, reason: item.reason.split("\n")[0] }).substring(0, 500);
+  let modCase = null;
+
+  // ボタンの二重押しで 2 回処分しないよう、await の前に処理中にする（失敗したら未処理に戻す）
+  item.status = "processing";
+  try {
+    await interaction.deferUpdate();
+
+    if (action === "timeout" || action === "rename") {
+      const member = await guild.members.fetch(item.userId).catch(() => null);
+      if (!member) {
+        item.status = "pending";
+        return interaction.followUp({ content: t(userLocale, "review.memberMissing"), ephemeral: true });
+      }
+      if (action === "timeout") {
+        await member.timeout(duration, reason);
+        metrics.timeoutsIssued.inc({ source: "review" });
+      } else {
+        await member.setNickname(t(locale, "profile.neutralNickname"), t(locale, "review.ref", { id }));
+      }
+    }
+
+    if (action === "timeout" || action === "warn") {
+      // ストライクは処分が実際に適用できてから数える
+      const strikeCount = addStrike(guildId, item.userId, item.reason);
+      if (action === "warn" && item.channelId) {
+        const ch = await client.channels.fetch(item.channelId).catch(() => null);
+        ch?.send(t(locale, "review.warnNotice", { user: item.userId, n: strikeCount })).catch(() => {});
+      } else if (action === "warn") {
+        const user = await client.users.fetch(item.userId).catch(() => null);
+        user?.send(t(locale, "review.profileWarnDm", { guild: guild.name, n: strikeCount })).catch(() => {});
+      }
+      modCase = createCase(guildId, {
+        action,
+        duration,
+        source: "review",
+        userId: item.userId,
+        userTag: item.userTag,
+        moderatorId: interaction.user.id,
+        moderatorTag: interaction.user.tag,
+        channelId: item.channelId,
+        messageId: item.messageId,
+        reason: item.reason,
+        strikeCount,
+        evidence: item.detections,
+      });
+    } else if (action === "rename") {
+      modCase = createCase(guildId, {
+        action: "nickname",
+        source: "review",
+        userId: item.userId,
+        userTag: item.userTag,
+        moderatorId: interaction.user.id,
+        moderatorTag: interaction.user.tag,
+        channelId: null,
+        reason: item.reason,
+        evidence: item.detections,
+      });
+    } else if (action === "delete") {
+      const ch = await client.channels.fetch(item.channelId).catch(() => null);
+      const msg = await ch?.messages.fetch(item.messageId).catch(() => null);
+      await msg?.delete().catch((e) => console.log("レビュー対象の削除失敗:", e.message));
+    }
+  } catch (err) {
+    item.status = "pending";
+    throw err;
+  }
+
+  item.status = "decided";
+  item.decision = {
+    action,
+    duration,
+    caseId: modCase?.id ?? null,
+    falsePositive: action === "dismiss",
+    moderatorId: interaction.user.id,
+    moderatorTag: interaction.user.tag,
+    decidedAt: Date.now(),
+  };
+  writeJsonFile(REVIEW_STORE, reviewDb);
+
+  const decisionLabel = t(locale, `review.decision.${action}`);
+  const decisionText = duration
+    ? t(locale, "common.paren", { text: decisionLabel, note: formatTime(Math.floor(duration / 1000), locale) })
+    : decisionLabel;
+  const embed = EmbedBuilder.from(interaction.message.embeds[0])
+    .setTitle(t(locale, "review.doneTitle", { id }))
+    .setColor(action === "dismiss" ? 0x808080 : 0x00ff00)
+    .addFields({
+      name: t(locale, "review.judgement"),
+      value: t(locale, "common.paren", { text: decisionText, note: interaction.user.tag }) + (modCase ? ` ${t(locale, "case.ref", { id: modCase.id })}` : ""),
+      inline: false,
+    });
+  await interaction.editReply({ embeds: [embed], components: reviewComponents(guildId, id, true) });
+
+  sendLog(
+    t(locale, "review.logTitle"),
+    t(locale, "review.logDesc", { mod: interaction.user.tag, id, decision: decisionText }),
+    action === "dismiss" ? 0x808080 : 0xffa500,
+    [
+      { name: t(locale, "field.target"), value: `${item.userTag} (${item.userId})`, inline: false },
+      { name: t(locale, "review.aiVerdict"), value: item.detections.map((d) => describeVerdict(d, locale)).join("\n").substring(0, 1024) || t(locale, "common.none"), inline: false },
+      ...(modCase ? [{ name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true }] : []),
+    ],
+    guildId
+  );
+  console.log(`REVIEW #${id} → ${action} by ${interaction.user.tag}`);
+}
+
+// 誤検出率の集計（AI を自動処分に使えるか判断する材料）
+function reviewStats(guildId) {
+  const items = reviewDb[guildId]?.items || [];
+  const decided = items.filter((r) => r.status === "decided");
+  const byAction = Object.fromEntries(REVIEW_DECISIONS.map((a) => [a, 0]));
+  const byCategory = {};
+  for (const r of decided) {
+    byAction[r.decision.action] += 1;
+    for (const category of new Set(r.detections.map((d) => d.category))) {
+      byCategory[category] = byCategory[category] || { total: 0, falsePositive: 0 };
+      byCategory[category].total += 1;
+      if (r.decision.falsePositive) byCategory[category].falsePositive += 1;
+    }
+  }
+  return { total: items.length, pending: items.length - decided.length, decided: decided.length, byAction, byCategory };
+}
+
+// ====================================
+// 悪質メッセージへの対応（保存・削除・伏せ字）
+// ====================================
+const RESPONSE_ACTIONS = ["archive", "delete", "redact"]; // 表示名は MESSAGES の response.<対応>
+const MAX_ARCHIVE_FILE_SIZE = 8 * 1024 * 1024;
+
+// 削除前に本文と添付ファイルをモデレーター用チャンネルへ複製する。
+// { url, attachmentUrls: { 元の添付 URL: 保存先の添付 URL } } を返す（削除後も証拠のリンクが切れないように）
+async function archiveMessage(message, reasons) {
+  const config = getGuildConfig(message.guild.id);
+  const chId = config.archiveChannelId || config.logChannelId;
+  const ch = chId ? await client.channels.fetch(chId).catch(() => null) : null;
+  if (!ch || ch.guildId !== message.guild.id) return null;
+
+  const files = [];
+  const savedUrls = []; // files と同じ順の元の URL
+  for (const a of message.attachments.values()) {
+    if (a.size > MAX_ARCHIVE_FILE_SIZE) continue;
+    try {
+      const res = await fetch(a.url, { timeout: 10000 });
+      if (!res.ok) continue;
+      files.push(new AttachmentBuilder(Buffer.from(await res.arrayBuffer()), { name: a.name }));
+      savedUrls.push(a.url);
+    } catch (e) {
+      console.log(`添付の保存失敗 (${a.name}):`, e.message);
+    }
+  }
+  const skipped = message.attachments.size - files.length;
+
+  const locale = guildLocale(message.guild.id);
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "case.archive"))
+    .setDescription(message.content ? message.content.substring(0, 4000) : t(locale, "archive.noContent"))
+    .setColor(0x808080)
+    .addFields(
+      { name: t(locale, "field.author"), value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: t(locale, "field.channel"), value: `<#${message.channel.id}>`, inline: true },
+      { name: t(locale, "archive.messageId"), value: message.id, inline: true },
+      { name: t(locale, "field.detectReason"), value: reasons.join("\n").substring(0, 1024), inline: false },
+    )
+    .setTimestamp(message.createdTimestamp);
+  if (skipped > 0) {
+    embed.addFields({ name: t(locale, "archive.skipped"), value: t(locale, "archive.skippedValue", { n: skipped }), inline: false });
+  }
+
+  const sent = await ch.send({ embeds: [embed], files }).catch((e) => {
+    console.log("証拠保存エラー:", e.message);
+    return null;
+  });
+  if (!sent) return null;
+  const archivedAttachments = [...sent.attachments.values()];
+  const attachmentUrls = Object.fromEntries(savedUrls.map((url, i) => [url, archivedAttachments[i]?.url]).filter(([, u]) => u));
+  return { url: sent.url, attachmentUrls };
+}
+
+// 設定された対応を順に実行する（archive は削除より先に行う）
+async function applyResponseActions(message, actions, reasons) {
+  const result = { archived: null, deleted: false, redacted: false };
+  if (actions.includes("archive")) {
+    result.archived = await archiveMessage(message, reasons);
+  }
+  if (actions.includes("delete") || actions.includes("redact")) {
+    result.deleted = await message.delete().then(() => true).catch((e) => {
+      console.log("メッセージ削除失敗:", e.message);
+      return false;
+    });
+    result.redacted = result.deleted && actions.includes("redact");
+  }
+  // 伏せ字の告知は処分の告知とは別に出す（処分に失敗しても削除した投稿の跡が残るように）
+  if (result.redacted) {
+    await message.channel.send(t(guildLocale(message.guild.id), "auto.redacted", { user: message.author.username }))
+      .catch((e) => console.log("伏せ字の告知失敗:", e.message));
+  }
+  return result;
+}
+
+function describeResponseResult(result, locale = "ja") {
+  const lines = [];
+  if (result.archived) lines.push(`${t(locale, "response.archive")}: ${t(locale, "case.archiveLink", { url: result.archived.url })}`);
+  if (result.deleted) lines.push(t(locale, "response.delete"));
+  if (result.redacted) lines.push(t(locale, "response.redact"));
+  return lines.join("\n") || t(locale, "common.none");
+}
+
+// ====================================
+// メッセージ監視
+// ====================================
+// 編集前の判定結果（clean-then-edit の検出用）: messageId -> flagged
+const messageVerdicts = new Map();
+const MAX_MESSAGE_VERDICTS = 5000;
+
+function rememberVerdict(messageId, flagged) {
+  messageVerdicts.set(messageId, flagged);
+  if (messageVerdicts.size > MAX_MESSAGE_VERDICTS) {
+    messageVerdicts.delete(messageVerdicts.keys().next().value);
+  }
+}
+
+// 処分（またはレビューキューへの登録）済みのメッセージ ID。
+// 添付で即時に処分したメッセージの本文が、後からまとめて判定で二重に処分されないようにする
+const enforcedMessages = new Set();
+
+function markEnforced(messageId) {
+  enforcedMessages.add(messageId);
+  if (enforcedMessages.size > MAX_MESSAGE_VERDICTS) {
+    enforcedMessages.delete(enforcedMessages.values().next().value);
+  }
+}
+
+// 安全な投稿を後から悪質に編集した回数: "guildId:userId" -> [timestamp]
+const editEvasions = new Map();
+const EDIT_EVASION_WINDOW = 24 * 60 * 60 * 1000;
+const EDIT_EVASION_REPEAT = 2; // この回数以上で加重（ストライク +1）
+
+function recordEditEvasion(guildId, userId) {
+  const key = `${guildId}:${userId}`;
+  const list = (editEvasions.get(key) || []).filter((t) => Date.now() - t < EDIT_EVASION_WINDOW);
+  list.push(Date.now());
+  editEvasions.set(key, list);
+  return list.length;
+}
+
+function formatEditDiff(before, after, locale = "ja") {
+  const lines = (prefix, text) => text.substring(0, 400).split("\n").map((l) => `${prefix} ${l}`).join("\n");
+  const diff = `${before === null ? `- ${t(locale, "diff.unknownBefore")}` : lines("-", before)}\n${lines("+", after)}`;
+  return "```diff\n" + diff.replaceAll("```", "`\u200b``") + "\n```";
+}
+
+// 新規投稿・編集共通の判定と処分
+// edit: 編集時のみ { before, attachments, embeds, unfurl }。before は編集前の本文（不明なら null）、
+// attachments / embeds は新たに追加された添付と埋め込み、unfurl は埋め込みの展開だけの更新なら true
+async function moderateMessage(message, edit = null) {
+  try {
+    if (message.author.bot || !message.guild) return;
+    const config = getGuildConfig(message.guild.id);
+    if (isExemptUser(config, message.author)) return;
+    const locale = guildLocale(message.guild.id);
+
+    const member = message.guild.members.cache.get(message.author.id);
+    const isInVoice = member?.voice?.channel !== null;
+
+    if (isInVoice && !config.voiceAICheck) {
+      console.log(`通話中のユーザー ${message.author.username} のメッセージをスキップ (AI判定OFF)`);
+      return;
+    }
+
+    let malicious = false;
+    let textDeferred = false;
+    let reasons = [];
+    let detectedContent = [];
+
+    // 連投・重複・大量メンションは AI を使わずに先に判定する（検出したら AI 判定は省略）
+    const spam = edit ? null : detectSpam(message, config.spamRules);
+    if (spam) {
+      recordVerdict("text", { flagged: true, method: "spam", reason: spam.reason }, message, message.content);
+      malicious = true;
+      reasons.push(t(locale, "reason.spam", { reason: spam.reason }));
+      detectedContent.push({
+        type: "テキスト",
+        content: (message.content.substring(0, 100) + (message.content.length > 100 ? "..." : "")) || t(locale, "archive.noContent"),
+        reason: spam.reason,
+        method: "spam",
+        category: "spam",
+        severity: "high",
+        confidence: 1,
+        action: config.spamRules.action,
+      });
+    }
+
+    const textChanged = !edit || edit.before !== message.content;
+    if (!spam && textChanged && message.content.trim().length > 0) {
+      console.log(`\n===== ${edit ? "編集メッセージ" : "メッセージ"}判定 =====`);
+      console.log(`ユーザー: ${message.author.username}`);
+      console.log(`内容: "${message.content}"`);
+      console.log(`文字数: ${message.content.length}`);
+
+      const context = config.contextEnabled ? await collectMessageContext(message, config.contextSize) : null;
+      const result = await checkTextContent(message.content, message.author.id, message.guild.id, {
+        context,
+        bypassCooldown: !!edit,
+      });
+
+      if (result.skipped) {
+        // クールダウン中は捨てずに溜めておき、期間明けにまとめて判定する
+        textDeferred = true;
+        enqueueBatch(message, context);
+        console.log(`📦 クールダウン中のためまとめて判定します: ${result.reason}`);
+        console.log(`========================\n`);
+      } else {
+        recordVerdict("text", result, message, message.content);
+        console.log(`判定完了: ${result.isMalicious ? "⛔ 悪質" : "✅ 安全"} (${describeVerdict(result)})`);
+        console.log(`理由: ${result.reason}`);
+        console.log(`========================\n`);
+
+        if (result.isMalicious) {
+          malicious = true;
+          reasons.push(t(locale, "reason.text", { category: t(locale, `category.${result.category}`), reason: result.reason }));
+          detectedContent.push({
+            type: "テキスト",
+            content: message.content.substring(0, 100) + (message.content.length > 100 ? "..." : ""),
+            reason: result.reason,
+            method: result.method,
+            category: result.category,
+            severity: result.severity,
+            confidence: result.confidence,
+            action: result.action,
+          });
+        }
+      }
+    }
+
+    // 添付・スタンプ・埋め込み・本文中のリンクの画像と動画（アニメーションはフレームごと、検出したらそのメディアは打ち切り）
+    const media = spam ? [] : collectMedia(message, edit);
+    for (const item of media) {
+      const frames = await loadMediaFrames(item.url);
+      for (const [i, img] of frames.entries()) {
+        const result = await checkImageContent(img, message.guild.id);
+        if (result.skipped) break;
+        recordVerdict("image", result, message, item.url);
+        if (!result.isMalicious) continue;
+
+        const frameNote = frames.length > 1 ? t(locale, "reason.frame", { total: frames.length, n: i + 1 }) : "";
+        malicious = true;
+        reasons.push(t(locale, "reason.image", {
+          source: t(locale, `media.${item.source}`),
+          category: t(locale, `category.${result.category}`),
+          reason: result.reason,
+          frame: frameNote,
+        }));
+        detectedContent.push({
+          type: "画像",
+          content: item.url,
+          reason: result.reason + frameNote,
+          method: result.method,
+          category: result.category,
+          severity: result.severity,
+          confidence: result.confidence,
+          action: result.action,
+        });
+        break;
+      }
+    }
+
+    // 埋め込みの展開は投稿者による編集ではないので回避行為には数えない
+    const wasClean = edit && !edit.unfurl ? messageVerdicts.get(message.id) === false : false;
+    // 本文の判定を保留した場合は、まとめて判定の結果で記録する
+    if (!textDeferred || malicious) {
+      rememberVerdict(message.id, malicious || messageVerdicts.get(message.id) === true);
+    }
+
+    if (malicious) {
+      await enforceModeration(message, config, detectedContent, reasons, { edit: edit?.unfurl ? null : edit, wasClean });
+    }
+  } catch (err) {
+    console.log("moderateMessage error:", err && (err.stack || err.message));
+  }
+}
+
+// 検出結果に応じた処分（シャドーモード・編集回避の加重・ストライク・メッセージへの対応・ログ）
+// related: まとめて判定で同時に検出された他のメッセージ（メッセージへの対応のみ行う）
+async function enforceModeration(message, config, detectedContent, reasons, { edit = null, wasClean = false, related = [] } = {}) {
+  markEnforced(message.id);
+  for (const other of related) markEnforced(other.id);
+  try {
+    const locale = guildLocale(message.guild.id);
+    // シャドーモード: 処分せずにレビューキューへ回す
+    if (config.shadowMode) {
+      if (wasClean) reasons.push(t(locale, "reason.editEvasionShadow"));
+      await queueForReview(message, detectedContent, reasons, edit);
+      return;
+    }
+
+    // 安全と判定済みの投稿を悪質な内容に編集した場合は回避行為として記録し、繰り返しなら加重する
+    let aggravated = false;
+    if (wasClean) {
+      const evasions = recordEditEvasion(message.guild.id, message.author.id);
+      reasons.push(t(locale, "reason.editEvasion", { n: evasions }));
+      if (evasions >= EDIT_EVASION_REPEAT) aggravated = true;
+    }
 
-    if (updateInterval) {
-      clearInterval(updateInterval);
-      updateInterval = null;
+    // カテゴリ別の処分のうち最も重いものを採用（"strike" はストライク段階に従う）。
+    // ストライクを数えるのは段階表で処分が決まった場合だけ（固定の処分・warn は段階を進めない）。
+    // 加重分も含め、ストライクは処分を適用できてから記録する（失敗した処分で段階を進めない）
+    let strikeCount = getActiveStrikes(message.guild.id, message.author.id).length + (aggravated ? 1 : 0);
+    const ladderStep = getStrikeStep(config.strikeLadder, strikeCount + 1);
+    const fixedSteps = detectedContent.filter((item) => item.action !== "strike").map((item) => item.action);
+    const usesLadder = detectedContent.some((item) => item.action === "strike");
+    const step = mostSevereStep(usesLadder ? [ladderStep, ...fixedSteps] : fixedSteps);
+    const struck = usesLadder && step === ladderStep;
+    if (struck) strikeCount += 1;
+    const nextStep = getStrikeStep(config.strikeLadder, strikeCount + 1);
+
+    const response = await applyResponseActions(message, config.responseActions, reasons);
+    for (const other of related) {
+      await applyResponseActions(other, config.responseActions, reasons);
+    }
+    // 証拠の画像リンクは元の添付ではなく保存先を指す（元メッセージを削除すると CDN のリンクも切れる）
+    for (const item of detectedContent) {
+      const archivedUrl = response.archived?.attachmentUrls[item.content];
+      if (archivedUrl) item.content = archivedUrl;
     }
 
-    timeoutStatusMessage = await ensureTimeoutStatusMessage(ch);
-    console.log("✅ リアルタイムタイムアウト表示を開始しました (messageId:", timeoutStatusMessage.id, ")");
+    // 処分が失敗しても（権限不足・ロールの位置）記録が残るよう、先にケースを作ってから結果を書き足す
+    const modCase = createCase(message.guild.id, {
+      action: strikeStepAction(step),
+      duration: parseDuration(step),
+      source: "auto",
+      userId: message.author.id,
+      userTag: message.author.tag,
+      moderatorId: client.user.id,
+      moderatorTag: client.user.tag,
+      channelId: message.channel.id,
+      messageId: message.id,
+      relatedMessageIds: related.map((m) => m.id),
+      edited: !!edit,
+      messageDeleted: response.deleted,
+      archiveUrl: response.archived?.url ?? null,
+      reason: reasons.join("\n"),
+      strikeCount: struck ? strikeCount : null,
+      evidence: detectedContent.map((item) => ({
+        type: item.type === "画像" ? "image" : "text",
+        content: item.content,
+        reason: item.reason,
+        method: item.method,
+        category: item.category,
+        severity: item.severity,
+        confidence: item.confidence,
+      })),
+    });
 
-    let lastEditTime = 0;
-    let editQueue = Promise.resolve();
+    let actionError = null;
+    try {
+      await applyStrikeStep(message.guild, message.author.id, step, t(locale, "auto.auditReason", { n: strikeCount, reasons: reasons.join(", ") }).substring(0, 500));
+      if (aggravated) addStrike(message.guild.id, message.author.id, t(locale, "reason.editEvasionRepeat"));
+      if (struck) addStrike(message.guild.id, message.author.id, reasons.join(", "));
+    } catch (err) {
+      actionError = err.message;
+      updateCase(message.guild.id, modCase.id, { error: actionError });
+      console.log(`AUTO ${step.toUpperCase()} 失敗 → ${message.author.username}:`, actionError);
+    }
 
-    updateInterval = setInterval(async () => {
-      try {
-        const now = Date.now();
+    // 適用できなかった処分はチャンネルに告知しない
+    if (!actionError) {
+      if (step === "warn") {
+        message.channel.send(t(locale, "auto.warnNotice", { user: message.author.id, n: strikeCount, next: describeStrikeStep(nextStep, locale) }));
+      } else {
+        message.channel.send(t(locale, "auto.actionNotice", { user: message.author.username, step: describeStrikeStep(step, locale), n: strikeCount }));
+      }
+      console.log(`AUTO ${step.toUpperCase()} → ${message.author.username} | ストライク: ${strikeCount} | 理由: ${reasons.join(", ")}`);
+    }
 
-        // フェッチは頻繁に行わない。成功時にバックオフをリセット、失敗時は指数的に待機
-        if (now - lastFullFetch > FULL_FETCH_INTERVAL) {
-          try {
-            // withPresences: false で軽めに試す
-            await guild.members.fetch({ withPresences: false }).catch(() => null);
-            lastFullFetch = now;
-            fetchBackoff = 2000; // 成功したらバックオフをリセット
-          } catch (e) {
-            console.log("guild.members.fetch error:", e.code || e.message);
-
-            // タイムアウト系のエラーを検出してバックオフを伸ばす
-            if (e.name === "GuildMembersTimeout" || (e.message && e.message.includes("GuildMembersTimeout"))) {
-              console.log("GuildMembersTimeout を検出しました。バックオフを適用します:", fetchBackoff);
-              await new Promise(r => setTimeout(r, fetchBackoff));
-              fetchBackoff = Math.min(fetchBackoff * 2, MAX_FETCH_BACKOFF);
-              // lastFullFetch は更新しない（次ループで再試行）
-            } else {
-              // その他のエラーは短く待って次回に
-              await new Promise(r => setTimeout(r, 2000));
-            }
-          }
-        }
 
-        // タイムアウト中のユーザーをキャッシュから取得（全件フェッチが失敗してもキャッシュで表示）
-        const timeoutUsers = guild.members.cache
-          .map((m) => ({ member: m, remain: getTimeoutRemaining(m) }))
-          .filter((x) => x.remain !== null)
-          .sort((a, b) => b.remain - a.remain);
+    const fields = [
+      { name: t(locale, "field.target"), value: `${message.author.tag} (${message.author.id})`, inline: false },
+      { name: t(locale, "auto.penalty"), value: describeStrikeStep(step, locale), inline: true },
+      {
+        name: t(locale, "field.strikes"),
+        value: t(locale, "auto.strikeValue", { n: strikeCount, decay: formatTime(Math.floor(config.strikeDecay / 1000), locale) }),
+        inline: true,
+      },
+      { name: t(locale, "auto.nextStep"), value: describeStrikeStep(nextStep, locale), inline: true },
+      { name: t(locale, "field.channel"), value: `<#${message.channel.id}>`, inline: true },
+      { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+      { name: t(locale, "auto.response"), value: describeResponseResult(response, locale), inline: true },
+      { name: t(locale, "field.detectReason"), value: reasons.join("\n"), inline: false },
+    ];
+    if (actionError) {
+      fields.push({ name: t(locale, "field.error"), value: t(locale, "case.failed", { error: actionError }).substring(0, 1024), inline: false });
+    }
 
-        const currentTimestamp = Math.floor(Date.now() / 1000);
+    if (edit) {
+      fields.push({ name: t(locale, "auto.editDiff"), value: formatEditDiff(edit.before, message.content, locale), inline: false });
+      if (aggravated) fields.push({ name: t(locale, "auto.aggravated"), value: t(locale, "auto.aggravatedValue"), inline: false });
+    }
 
-        let text;
-        if (timeoutUsers.length === 0) {
-          text = "✅ **現在タイムアウト中のユーザーはいません**\n\n最終更新: <t:" + currentTimestamp + ":T>";
-        } else {
-          text = `⏳ **タイムアウト中のユーザー一覧** (${timeoutUsers.length}人)\n\n`;
-          text += timeoutUsers
-            .map((u, i) => {
-              const bar = "█".repeat(Math.max(1, Math.floor(u.remain / 60)));
-              return `${i + 1}. **${u.member.user.tag}**\n   残り: ${formatTime(u.remain)} ${bar}`;
-            })
-            .join("\n\n");
-          text += "\n\n最終更新: <t:" + currentTimestamp + ":T>";
+    if (detectedContent.length > 0) {
+      detectedContent.forEach((item, i) => {
+        if (item.type === "テキスト") {
+          fields.push({
+            name: `📝 ${t(locale, "evidence.label", { n: i + 1 })}`,
+            value: `\`\`\`${item.content}\`\`\`\n${describeVerdict(item, locale)}\n${t(locale, "evidence.reason", { reason: item.reason })}`,
+            inline: false,
+          });
+        } else if (item.type === "画像") {
+          fields.push({
+            name: `🖼️ ${t(locale, "evidence.label", { n: i + 1 })}`,
+            value: `${t(locale, "evidence.imageLink", { url: item.content })}\n${describeVerdict(item, locale)}\n${t(locale, "evidence.reason", { reason: item.reason })}`,
+            inline: false,
+          });
         }
+      });
+    }
 
-        if (!timeoutStatusMessage) {
-          console.log("⚠️ メッセージがnullのため再作成します");
-          timeoutStatusMessage = await ensureTimeoutStatusMessage(ch);
-        }
+    const logMessage = await sendLog(
+      t(locale, actionError ? "auto.titleFailed" : step === "warn" ? "auto.titleWarn" : "auto.titleAction") + (edit ? t(locale, "review.edited") : ""),
+      t(locale, edit ? "auto.descEdited" : "auto.desc", { user: message.author.username, step: describeStrikeStep(step, locale) }),
+      step === "warn" ? 0xffa500 : 0xff0000,
+      fields,
+      message.guild.id
+    );
+    if (logMessage) {
+      updateCase(message.guild.id, modCase.id, { logChannelId: logMessage.channelId, logMessageId: logMessage.id });
+    }
+
+    if (modCase.action === "timeout" && !actionError) {
+      sendAppealNotice(message.author, message.guild, modCase);
+    }
+  } catch (err) {
+    console.log("enforceModeration error:", err && (err.stack || err.message));
+  }
+}
 
-        if (timeoutStatusMessage && timeoutStatusMessage.content !== text) {
-          editQueue = editQueue.then(async () => {
-            if (!timeoutStatusMessage) return;
+// ====================================
+// クールダウン中のメッセージのバッファ
+// ====================================
+const MAX_BATCH_SIZE = 10; // 1 回のまとめて判定に含める最大件数
+const batchBuffers = new Map(); // `${guildId}:${userId}` -> { items: [{ message, text, context }], timer }
+
+function enqueueBatch(message, context) {
+  const key = `${message.guild.id}:${message.author.id}`;
+  let buffer = batchBuffers.get(key);
+  if (!buffer) {
+    buffer = { items: [], timer: null };
+    batchBuffers.set(key, buffer);
+  }
+  // 判定に使うのは送信時点の本文（後から編集された場合は編集側で別途判定される）
+  buffer.items.push({ message, text: message.content, context });
 
-            const timeSinceLastEdit = Date.now() - lastEditTime;
-            if (timeSinceLastEdit < 700) {
-              await new Promise(r => setTimeout(r, 700 - timeSinceLastEdit));
-            }
+  if (!buffer.timer) {
+    const lastCheck = recentChecks.get(message.author.id) ?? 0;
+    const wait = Math.max(AI_CHECK_COOLDOWN - (Date.now() - lastCheck), 0);
+    buffer.timer = setTimeout(() => flushBatch(key), wait);
+  }
+}
 
-            try {
-              await timeoutStatusMessage.edit(text);
-              lastEditTime = Date.now();
-            } catch (err) {
-              console.log("メッセージ編集エラー:", err.code || err.message);
-              if (err.code === 10008 || (err.message && err.message.includes("Unknown Message"))) {
-                timeoutStatusMessage = null;
-                clearStatusMessageId();
-              } else if (err.code === 50013) {
-                console.log("権限エラー: Botにメッセージ編集権限があるか確認してください");
-              } else if (err.code === 429) {
-                console.log("⚠️ レート制限検知 - 5秒待機");
-                await new Promise(r => setTimeout(r, 5000));
-              } else {
-                console.log("編集失敗詳細:", err);
-              }
-            }
-          }).catch(e => console.log("editQueue error:", e.message));
-        }
-      } catch (err) {
-        console.log("リアルタイム更新失敗:", err.code || err.message);
-      }
-    }, 1000);
+async function flushBatch(key) {
+  const buffer = batchBuffers.get(key);
+  batchBuffers.delete(key);
+  if (!buffer || buffer.items.length === 0) return;
 
-  } catch (err) {
-    console.log("リアルタイム表示の初期化エラー:", err.message);
+  for (let i = 0; i < buffer.items.length; i += MAX_BATCH_SIZE) {
+    const chunk = buffer.items.slice(i, i + MAX_BATCH_SIZE);
+    try {
+      await judgeBatch(chunk);
+    } catch (err) {
+      console.log("flushBatch error:", err && (err.stack || err.message));
+    }
+  }
+}
+
+// まとめて判定した結果を各メッセージに対応付け、検出があれば 1 回の処分にまとめる
+async function judgeBatch(items) {
+  const { message: last } = items[items.length - 1];
+  const guildId = last.guild.id;
+  const config = getGuildConfig(guildId);
+
+  console.log(`\n===== まとめて判定 (${items.length}件) =====`);
+  console.log(`ユーザー: ${last.author.username}`);
+
+  // 会話の文脈は最初のメッセージ時点のものを使う（以降はバッチ内のメッセージ自体が文脈になる）
+  const results = await checkTextBatch(items.map((item) => item.text), last.author.id, guildId, items[0].context);
+
+  const flagged = [];
+  items.forEach((item, i) => {
+    const result = results[i];
+    recordVerdict("text", result, item.message, item.text);
+    console.log(`[${i + 1}] ${result.isMalicious ? "⛔ 悪質" : "✅ 安全"} (${describeVerdict(result)}) "${item.text.substring(0, 50)}"`);
+    rememberVerdict(item.message.id, result.isMalicious || messageVerdicts.get(item.message.id) === true);
+    // 添付などで既に処分したメッセージは本文で重ねて処分しない
+    if (result.isMalicious && !enforcedMessages.has(item.message.id)) flagged.push({ ...item, result });
+  });
+  console.log(`========================\n`);
+
+  if (flagged.length === 0) return;
+
+  const toDetection = ({ text, result }) => ({
+    type: "テキスト",
+    content: text.substring(0, 100) + (text.length > 100 ? "..." : ""),
+    reason: result.reason,
+    method: result.method,
+    category: result.category,
+    severity: result.severity,
+    confidence: result.confidence,
+    action: result.action,
+  });
+  const locale = guildLocale(guildId);
+  const toReason = ({ result }) => t(locale, "reason.text", { category: t(locale, `category.${result.category}`), reason: result.reason });
+
+  // シャドーモードではメッセージごとにレビューキューへ回す
+  if (config.shadowMode) {
+    for (const item of flagged) {
+      await enforceModeration(item.message, config, [toDetection(item)], [toReason(item)]);
+    }
+    return;
   }
+
+  const primary = flagged[flagged.length - 1];
+  await enforceModeration(primary.message, config, flagged.map(toDetection), flagged.map(toReason), {
+    related: flagged.slice(0, -1).map((item) => item.message),
+  });
 }
 
+client.on("messageCreate", (message) => moderateMessage(message));
+
 // ====================================
-// メッセージ監視
+// 編集メッセージ監視（編集による回避対策）
 // ====================================
-client.on("messageCreate", async (message) => {
+client.on("messageUpdate", async (oldMessage, newMessage) => {
   try {
-    if (message.author.bot || !message.guild) return;
-    if (WHITELIST_USERS.includes(message.author.username)) return;
-
-    const member = message.guild.members.cache.get(message.author.id);
-    const isInVoice = member?.voice?.channel !== null;
-
-    if (isInVoice && !voiceUserAICheck) {
-      console.log(`通話中のユーザー ${message.author.username} のメッセージをスキップ (AI判定OFF)`);
+    if (newMessage.partial) newMessage = await newMessage.fetch();
+    if (newMessage.author?.bot || !newMessage.guild) return;
+
+    const before = oldMessage.partial ? null : oldMessage.content;
+    const oldAttachmentIds = oldMessage.partial ? new Set() : new Set(oldMessage.attachments.keys());
+    const attachments = [...newMessage.attachments.values()].filter((a) => !oldAttachmentIds.has(a.id));
+    // リンクの埋め込みは投稿の少し後に展開されて messageUpdate で届く
+    const embedKey = (e) => e.video?.url || e.image?.url || e.thumbnail?.url || null;
+    const oldEmbedKeys = oldMessage.partial ? new Set() : new Set(oldMessage.embeds.map(embedKey));
+    const embeds = newMessage.embeds.filter((e) => embedKey(e) && !oldEmbedKeys.has(embedKey(e)));
+
+    if (before === newMessage.content && attachments.length === 0) {
+      if (embeds.length === 0) return;
+      await moderateMessage(newMessage, { before, attachments, embeds, unfurl: true });
       return;
     }
 
-    let malicious = false;
-    let reasons = [];
-    let detectedContent = [];
-
-    if (message.content.trim().length > 0) {
-      console.log(`\n===== メッセージ判定 =====`);
-      console.log(`ユーザー: ${message.author.username}`);
-      console.log(`内容: "${message.content}"`);
-      console.log(`文字数: ${message.content.length}`);
+    await moderateMessage(newMessage, { before, attachments, embeds });
+  } catch (err) {
+    console.log("messageUpdate handler error:", err && (err.stack || err.message));
+  }
+});
 
-      const result = await checkTextContent(message.content, message.author.id);
+// ====================================
+// プロフィール（ユーザー名・ニックネーム・アバター）の判定
+// ====================================
+// 中立な名前は profile.neutralNickname（ギルドの言語）。言語を切り替えた後も以前の名前は判定しない
+function isNeutralNickname(nickname) {
+  return LOCALES.some((locale) => t(locale, "profile.neutralNickname") === nickname);
+}
 
-      if (result.skipped) {
-        console.log(`⏭️ AI判定スキップ: ${result.reason}`);
-        console.log(`========================\n`);
-        return;
-      }
+// off / nickname / review / 期間
+function describeProfileAction(action, locale = "ja") {
+  if (["off", "nickname", "review"].includes(action)) return t(locale, `profileAction.${action}`);
+  return t(locale, "profileAction.timeout", { duration: formatTime(Math.floor(parseDuration(action) / 1000), locale) });
+}
 
-      console.log(`判定完了: ${result.isMalicious ? "⛔ 悪質" : "✅ 安全"}`);
-      console.log(`理由: ${result.reason}`);
-      console.log(`========================\n`);
+function describeProfile(member, locale = "ja") {
+  const names = [
+    t(locale, "profile.username", { name: member.user.username }),
+    member.user.globalName ? t(locale, "profile.globalName", { name: member.user.globalName }) : null,
+    member.nickname ? t(locale, "profile.nickname", { name: member.nickname }) : null,
+  ];
+  return names.filter(Boolean).join("\n");
+}
 
+// changed: { name, avatar } 変わった項目だけ判定する（参加時は両方）
+async function moderateProfile(member, changed = { name: true, avatar: true }) {
+  try {
+    if (member.user.bot) return;
+    const guild = member.guild;
+    const config = getGuildConfig(guild.id);
+    if (config.profileAction === "off" || isExemptUser(config, member.user)) return;
+    // レイド中は参加のたびに判定すると API が詰まるので行わない（新規アカウントはレイドモード側で timeout する）
+    if (isRaidActive(guild.id)) return;
+    // Bot が付けた中立な名前は判定しない
+    if (isNeutralNickname(member.nickname) && !changed.avatar) return;
+    const locale = guildLocale(guild.id);
+
+    const detections = [];
+    const reasons = [];
+
+    if (changed.name) {
+      const names = [...new Set([member.user.username, member.user.globalName, member.nickname].filter(Boolean))];
+      const text = names.join(" / ");
+      // メッセージのクールダウン・まとめて判定に影響しないよう、ログ・キャッシュを持つ checkTextContent は通さない
+      const result = await classifyText(text, guild.id);
       if (result.isMalicious) {
-        malicious = true;
-        reasons.push(`📝 テキスト: ${result.reason}`);
-        detectedContent.push({
-          type: "テキスト",
-          content: message.content.substring(0, 100) + (message.content.length > 100 ? "..." : ""),
+        reasons.push(t(locale, "reason.name", { category: t(locale, `category.${result.category}`), reason: result.reason }));
+        detections.push({
+          type: "text",
+          content: text.substring(0, 100),
           reason: result.reason,
+          method: result.method,
+          category: result.category,
+          severity: result.severity,
+          confidence: result.confidence,
+          action: result.action,
         });
       }
     }
 
-    for (const a of message.attachments.values()) {
-      if (!a.contentType?.startsWith("image/")) continue;
+    // デフォルトアバター以外のみ（アニメーションアバターも静止画で判定）
+    if (changed.avatar && (member.avatar || member.user.avatar)) {
+      const url = member.displayAvatarURL({ extension: "png", forceStatic: true, size: 256 });
+      const [img] = await loadMediaFrames(url);
+      const result = img ? await checkImageContent(img, guild.id) : null;
+      if (result?.isMalicious) {
+        reasons.push(t(locale, "reason.avatar", { category: t(locale, `category.${result.category}`), reason: result.reason }));
+        detections.push({
+          type: "image",
+          content: url,
+          reason: result.reason,
+          method: result.method,
+          category: result.category,
+          severity: result.severity,
+          confidence: result.confidence,
+          action: result.action,
+        });
+      }
+    }
 
-      const img = await fetchImageAsBase64(a.url);
-      if (img) {
-        const result = await checkImageContent(img);
-        if (result.isMalicious) {
-          malicious = true;
-          reasons.push(`🖼️ 画像: ${result.reason}`);
-          detectedContent.push({
-            type: "画像",
-            content: a.url,
-            reason: result.reason,
-          });
-        }
+    if (detections.length === 0) return;
+
+    // シャドーモード中、またはアバターだけの検出で名前変更を指定している場合はレビューへ
+    const nameFlagged = detections.some((d) => d.type === "text");
+    // Bot の権限・ロール順位で名前変更や timeout ができない相手、実行に失敗した場合もレビューへ
+    let action = config.shadowMode ? "review" : config.profileAction;
+    if (action === "nickname" && (!nameFlagged || !member.manageable)) action = "review";
+    if (action !== "review" && action !== "nickname" && !member.moderatable) action = "review";
+
+    const auditReason = t(locale, "profile.auditReason", { reasons: reasons.join(", ") }).substring(0, 500);
+    try {
+      if (action === "nickname") {
+        await member.setNickname(t(locale, "profile.neutralNickname"), auditReason);
+      } else if (action !== "review") {
+        await member.timeout(parseDuration(action), auditReason);
+        metrics.timeoutsIssued.inc({ source: "auto" });
       }
+    } catch (err) {
+      console.log(`プロフィールの処分に失敗したためレビューへ回します (${member.user.tag}):`, err.message);
+      action = "review";
     }
 
-    if (malicious) {
-      const member = await message.guild.members.fetch(message.author.id);
-      await member.timeout(TIMEOUT_DURATION);
-
-      await message.guild.members.fetch({ force: true }).catch(() => {});
-
-      message.channel.send(`⛔ **${message.author.username}** を timeout しました (${TIMEOUT_DURATION / 1000 / 60}分)`);
-      console.log(`AUTO TIMEOUT → ${message.author.username} | 理由: ${reasons.join(", ")}`);
-
-      const fields = [
-        { name: "👤 対象ユーザー", value: `${message.author.tag} (${message.author.id})`, inline: false },
-        { name: "⏱️ タイムアウト期間", value: formatTime(TIMEOUT_DURATION / 1000), inline: true },
-        { name: "📍 チャンネル", value: `<#${message.channel.id}>`, inline: true },
-        { name: "🚨 検出理由", value: reasons.join("\n"), inline: false },
-      ];
-
-      if (detectedContent.length > 0) {
-        detectedContent.forEach((item, i) => {
-          if (item.type === "テキスト") {
-            fields.push({
-              name: `📝 検出内容 ${i + 1}`,
-              value: `\`\`\`${item.content}\`\`\`\n理由: ${item.reason}`,
-              inline: false,
-            });
-          } else if (item.type === "画像") {
-            fields.push({
-              name: `🖼️ 検出内容 ${i + 1}`,
-              value: `[画像リンク](${item.content})\n理由: ${item.reason}`,
-              inline: false,
-            });
-          }
-        });
+    let modCase = null;
+    if (action === "review") {
+      await queueProfileReview(member, detections, reasons);
+    }
+
+    if (action !== "review") {
+      modCase = createCase(guild.id, {
+        action: action === "nickname" ? "nickname" : "timeout",
+        duration: action === "nickname" ? null : parseDuration(action),
+        source: "auto",
+        userId: member.id,
+        userTag: member.user.tag,
+        moderatorId: client.user.id,
+        moderatorTag: client.user.tag,
+        channelId: null,
+        reason: reasons.join("\n"),
+        evidence: detections,
+      });
+      member.send(t(locale, "profile.dm", { guild: guild.name, reasons: reasons.join("\n") })).catch(() => {});
+    }
+
+    sendLog(
+      t(locale, "profile.logTitle"),
+      t(locale, "profile.logDesc", { user: member.user.tag }),
+      action === "review" ? 0xffa500 : 0xff0000,
+      [
+        { name: t(locale, "field.member"), value: `${member.user.tag} (${member.id})`, inline: false },
+        { name: t(locale, "field.names"), value: describeProfile(member, locale), inline: false },
+        { name: t(locale, "profile.response"), value: describeProfileAction(action, locale), inline: true },
+        ...(modCase ? [{ name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true }] : []),
+        { name: t(locale, "field.detectReason"), value: reasons.join("\n").substring(0, 1024), inline: false },
+      ],
+      guild.id
+    );
+    console.log(`PROFILE ${action.toUpperCase()} → ${member.user.tag} | ${reasons.join(", ")}`);
+  } catch (err) {
+    console.log("moderateProfile error:", err && (err.stack || err.message));
+  }
+}
+
+client.on("guildMemberAdd", (member) => moderateProfile(member));
+
+// サーバーごとのニックネーム・アバターの変更
+client.on("guildMemberUpdate", (oldMember, newMember) => {
+  if (oldMember.partial) return;
+  const name = oldMember.nickname !== newMember.nickname;
+  const avatar = oldMember.avatar !== newMember.avatar;
+  if (name || avatar) moderateProfile(newMember, { name, avatar });
+});
+
+// ユーザー名・表示名・アバターの変更（参加しているすべてのサーバーで判定）
+client.on("userUpdate", async (oldUser, newUser) => {
+  if (oldUser.partial) return;
+  const name = oldUser.username !== newUser.username || oldUser.globalName !== newUser.globalName;
+  const avatar = oldUser.avatar !== newUser.avatar;
+  if (!name && !avatar) return;
+
+  for (const guild of client.guilds.cache.values()) {
+    const member = guild.members.cache.get(newUser.id);
+    if (member) await moderateProfile(member, { name, avatar });
+  }
+});
+
+// ====================================
+// スパム・連投・レイド検出（AI 不使用）
+// ====================================
+// "guildId:userId" -> [{ at, channelId, messageId, hash }]
+const userActivity = new Map();
+// channelId -> [timestamp]
+const channelActivity = new Map();
+// channelId -> 最後に低速モードを掛けた時刻
+const slowmodeApplied = new Map();
+// guildId -> [{ at, memberId }]
+const recentJoins = new Map();
+
+function contentHash(message) {
+  const key = normalizeForMatch(message.content) + "|" +
+    [...message.attachments.values()].map((a) => `${a.name}:${a.size}`).join(",");
+  return crypto.createHash("sha1").update(key).digest("hex");
+}
+
+// 検出した場合は { kind, reason } を返し、そのユーザーの履歴をリセットする（同じ連投で何度も処分しない）
+function detectSpam(message, rules) {
+  if (!rules.enabled) return null;
+
+  const now = Date.now();
+  const key = `${message.guild.id}:${message.author.id}`;
+  const keep = Math.max(rules.floodWindow, rules.duplicateWindow);
+  const activity = (userActivity.get(key) || []).filter((e) => now - e.at < keep);
+  const hash = contentHash(message);
+  activity.push({ at: now, channelId: message.channel.id, messageId: message.id, hash });
+  userActivity.set(key, activity);
+
+  trackChannelFlood(message, rules);
+
+  let result = null;
+  const locale = guildLocale(message.guild.id);
+  // @everyone を使える人・モデレーターの告知はメンション数で処分しない
+  const canAnnounce = message.member?.permissionsIn(message.channel)
+    .any([PermissionFlagsBits.MentionEveryone, PermissionFlagsBits.ManageMessages]);
+  const mentions = canAnnounce ? 0 : message.mentions.users.size + message.mentions.roles.size +
+    (message.mentions.everyone ? rules.mentionLimit : 0);
+  const recent = activity.filter((e) => now - e.at < rules.floodWindow);
+  const duplicates = activity.filter((e) => e.hash === hash && now - e.at < rules.duplicateWindow);
+
+  if (mentions >= rules.mentionLimit) {
+    result = { kind: "mentions", reason: t(locale, "spam.mentions", { n: mentions }) };
+  } else if (recent.length >= rules.floodCount) {
+    result = { kind: "flood", reason: t(locale, "spam.flood", { window: formatTime(Math.ceil(rules.floodWindow / 1000), locale), n: recent.length }) };
+  } else if (duplicates.length >= rules.duplicateCount) {
+    const channels = new Set(duplicates.map((e) => e.channelId)).size;
+    result = { kind: "duplicate", reason: t(locale, "spam.duplicate", { n: duplicates.length, channels }) };
+  }
+
+  if (result) userActivity.delete(key);
+  return result;
+}
+
+// チャンネル全体の流量が多すぎる場合は一時的に低速モードを掛けて通知する
+function trackChannelFlood(message, rules) {
+  const now = Date.now();
+  const list = (channelActivity.get(message.channel.id) || []).filter((at) => now - at < rules.channelFloodWindow);
+  list.push(now);
+  channelActivity.set(message.channel.id, list);
+
+  if (list.length < rules.channelFloodCount) return;
+  if (now - (slowmodeApplied.get(message.channel.id) || 0) < 60000) return;
+  if (!message.channel.setRateLimitPerUser || message.channel.rateLimitPerUser >= rules.slowmode) return;
+
+  slowmodeApplied.set(message.channel.id, now);
+  const locale = guildLocale(message.guild.id);
+  message.channel.setRateLimitPerUser(rules.slowmode, t(locale, "slowmode.reason")).then(() => {
+    sendLog(
+      t(locale, "slowmode.title"),
+      t(locale, "slowmode.desc", {
+        channel: message.channel.id,
+        window: formatTime(Math.ceil(rules.channelFloodWindow / 1000), locale),
+        n: list.length,
+      }),
+      0xffa500,
+      [{ name: t(locale, "slowmode.field"), value: formatTime(rules.slowmode, locale), inline: true }],
+      message.guild.id
+    );
+  }).catch((e) => console.log("低速モード適用エラー:", e.message));
+}
+
+// 古い履歴の掃除
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, list] of userActivity) {
+    if (list.every((e) => now - e.at > 5 * 60 * 1000)) userActivity.delete(key);
+  }
+  for (const [key, list] of channelActivity) {
+    if (list.every((t) => now - t > 5 * 60 * 1000)) channelActivity.delete(key);
+  }
+  for (const [key, list] of recentJoins) {
+    if (list.every((j) => now - j.at > 10 * 60 * 1000)) recentJoins.delete(key);
+  }
+}, 5 * 60 * 1000).unref();
+
+// ------------------------------------
+// レイドモード（raidState.json に永続化して再起動後も解除できるようにする）
+// ------------------------------------
+const RAID_STORE = path.resolve(process.cwd(), "raidState.json");
+// { [guildId]: { startedAt, endsAt, reason, lockedChannels: [{ id, previous }] } }
+let raidState = readJsonFile(RAID_STORE, {});
+const raidTimers = new Map();
+
+function isRaidActive(guildId) {
+  return !!raidState[guildId];
+}
+
+async function startRaidMode(guild, reason, durationMs) {
+  if (isRaidActive(guild.id)) return false;
+
+  // 同時に来た参加イベントが二重に開始しないよう、await の前に状態を置く。
+  // ロックしたチャンネルはこの lockedChannels に 1 つずつ足していき、途中で再起動しても解除できるよう都度保存する
+  const state = { startedAt: Date.now(), endsAt: Date.now() + durationMs, reason, lockedChannels: [] };
+  raidState[guild.id] = state;
+  writeJsonFile(RAID_STORE, raidState);
+
+  const locale = guildLocale(guild.id);
+  const everyone = guild.roles.everyone;
+  for (const ch of guild.channels.cache.values()) {
+    // ロック中に /raid end で解除された場合はそこで止める
+    if (raidState[guild.id] !== state) break;
+    if (!ch.isTextBased() || ch.isThread() || !ch.permissionOverwrites) continue;
+    if (!ch.permissionsFor(everyone)?.has(PermissionFlagsBits.SendMessages)) continue;
+
+    const overwrite = ch.permissionOverwrites.cache.get(everyone.id);
+    const previous = overwrite?.allow.has(PermissionFlagsBits.SendMessages)
+      ? true
+      : overwrite?.deny.has(PermissionFlagsBits.SendMessages) ? false : null;
+    try {
+      await ch.permissionOverwrites.edit(everyone, { SendMessages: false }, { reason: t(locale, "raid.lockReason", { reason }) });
+      if (raidState[guild.id] !== state) {
+        await ch.permissionOverwrites.edit(everyone, { SendMessages: previous }, { reason: t(locale, "raid.unlockReason") });
+        break;
       }
+      state.lockedChannels.push({ id: ch.id, previous });
+      writeJsonFile(RAID_STORE, raidState);
+    } catch (e) {
+      console.log(`チャンネルロック失敗 (${ch.name}):`, e.message);
+    }
+  }
+  if (raidState[guild.id] !== state) return false;
+
+  scheduleRaidEnd(guild.id);
+
+  sendLog(
+    t(locale, "raid.startTitle"),
+    t(locale, "raid.startDesc", { guild: guild.name }),
+    0xff0000,
+    [
+      { name: t(locale, "raid.reason"), value: reason, inline: false },
+      { name: t(locale, "raid.locked"), value: t(locale, "common.count", { n: state.lockedChannels.length }), inline: true },
+      { name: t(locale, "raid.autoEnd"), value: `<t:${Math.floor(state.endsAt / 1000)}:R>`, inline: true },
+    ],
+    guild.id
+  );
+  console.log(`RAID MODE ON → ${guild.name} | ${reason}`);
+  return true;
+}
 
-      sendLog(
-        "🔨 自動タイムアウト実行",
-        `**${message.author.username}** がAIによって自動的にタイムアウトされました`,
-        0xff0000,
-        fields
-      );
+async function endRaidMode(guildId, endedBy = null) {
+  const state = raidState[guildId];
+  if (!state) return false;
+
+  clearTimeout(raidTimers.get(guildId));
+  raidTimers.delete(guildId);
+
+  const locale = guildLocale(guildId);
+  const guild = client.guilds.cache.get(guildId);
+  if (guild) {
+    for (const { id, previous } of state.lockedChannels) {
+      const ch = guild.channels.cache.get(id);
+      if (!ch) continue;
+      await ch.permissionOverwrites
+        .edit(guild.roles.everyone, { SendMessages: previous }, { reason: t(locale, "raid.unlockReason") })
+        .catch((e) => console.log(`チャンネルロック解除失敗 (${ch.name}):`, e.message));
+    }
+  }
+
+  delete raidState[guildId];
+  writeJsonFile(RAID_STORE, raidState);
+
+  sendLog(
+    t(locale, "raid.endTitle"),
+    endedBy ? t(locale, "raid.endByUser", { user: endedBy.tag }) : t(locale, "raid.endExpired"),
+    0x00ff00,
+    [{ name: t(locale, "raid.unlocked"), value: t(locale, "common.count", { n: state.lockedChannels.length }), inline: true }],
+    guildId
+  );
+  console.log(`RAID MODE OFF → ${guildId}`);
+  return true;
+}
+
+function scheduleRaidEnd(guildId) {
+  clearTimeout(raidTimers.get(guildId));
+  const delay = Math.max(0, raidState[guildId].endsAt - Date.now());
+  // setTimeout の上限（約24.8日）を超えないように分割
+  raidTimers.set(guildId, setTimeout(() => {
+    if (raidState[guildId]?.endsAt > Date.now()) scheduleRaidEnd(guildId);
+    else endRaidMode(guildId);
+  }, Math.min(delay, 2 ** 31 - 1)));
+}
+
+async function timeoutRaidMember(member, rules) {
+  if (Date.now() - member.user.createdTimestamp >= rules.raidAccountAge) return;
+  if (member.communicationDisabledUntilTimestamp > Date.now()) return;
+  try {
+    const reason = t(guildLocale(member.guild.id), "raid.newAccount");
+    await member.timeout(rules.raidTimeout, reason);
+    metrics.timeoutsIssued.inc({ source: "raid" });
+    createCase(member.guild.id, {
+      action: "timeout",
+      duration: rules.raidTimeout,
+      source: "auto",
+      userId: member.id,
+      userTag: member.user.tag,
+      moderatorId: client.user.id,
+      moderatorTag: client.user.tag,
+      channelId: null,
+      reason,
+    });
+  } catch (e) {
+    console.log(`レイド timeout 失敗 (${member.user.tag}):`, e.message);
+  }
+}
+
+client.on("guildMemberAdd", async (member) => {
+  try {
+    const rules = getGuildConfig(member.guild.id).spamRules;
+    if (!rules.enabled) return;
+
+    const now = Date.now();
+    const joins = (recentJoins.get(member.guild.id) || []).filter((j) => now - j.at < rules.raidJoinWindow);
+    joins.push({ at: now, memberId: member.id });
+    recentJoins.set(member.guild.id, joins);
+
+    if (isRaidActive(member.guild.id)) {
+      await timeoutRaidMember(member, rules);
+      return;
+    }
+
+    if (joins.length >= rules.raidJoinCount) {
+      const locale = guildLocale(member.guild.id);
+      const reason = t(locale, "raid.joinReason", { window: formatTime(Math.ceil(rules.raidJoinWindow / 1000), locale), n: joins.length });
+      if (await startRaidMode(member.guild, reason, rules.raidDuration)) {
+        // 検知のきっかけになった参加者のうち新規アカウントも対象にする
+        for (const j of joins) {
+          const m = member.guild.members.cache.get(j.memberId);
+          if (m) await timeoutRaidMember(m, rules);
+        }
+      }
     }
   } catch (err) {
-    console.log("messageCreate handler error:", err && (err.stack || err.message));
+    console.log("guildMemberAdd handler error:", err && (err.stack || err.message));
   }
 });
 
+// ====================================
+// /config の設定項目
+// ====================================
+// 設定値のエラー。返信時に操作した人の言語で表示する（message はログ用に ja）
+function configError(key, vars = {}) {
+  const err = new Error(t("ja", key, vars));
+  err.messageKey = key;
+  err.vars = vars;
+  return err;
+}
+
+function parseSwitch(value) {
+  const v = String(value).trim().toLowerCase();
+  if (["on", "true", "1", "有効"].includes(v)) return true;
+  if (["off", "false", "0", "無効"].includes(v)) return false;
+  throw configError("config.error.switch");
+}
+
+function parseChannel(value, guild) {
+  const v = String(value).trim();
+  if (v.toLowerCase() === "none") return null;
+  const id = v.replace(/^<#(\d+)>$/, "$1");
+  const ch = guild.channels.cache.get(id);
+  if (!ch || !ch.isTextBased()) throw configError("config.error.channel", { value: v });
+  return ch.id;
+}
+
+// warn / kick / ban / 期間 のいずれかか検証する
+function parseStrikeStep(step) {
+  if (["warn", "kick", "ban"].includes(step)) return step;
+  const ms = parseDuration(step);
+  if (!ms) throw configError("config.error.step", { step });
+  if (ms > MAX_TIMEOUT * 1000) throw configError("config.error.maxTimeout");
+  return step;
+}
+
+function parseCount(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 1000) throw configError("config.error.count");
+  return n;
+}
+
+function parseDurationValue(value) {
+  const ms = parseDuration(value);
+  if (!ms) throw configError("config.error.duration");
+  return ms;
+}
+
+const formatDurationValue = (v, locale) => formatTime(Math.floor(v / 1000), locale);
+const formatSwitch = (v, locale) => t(locale, v ? "common.on" : "common.off");
+const formatCount = (v, locale) => t(locale, "common.count", { n: v });
+
+const SPAM_SETTINGS = {
+  "enabled": { field: "enabled", parse: parseSwitch, format: formatSwitch },
+  "action": { field: "action", parse: (v) => parseStrikeStep(v.trim().toLowerCase()), format: describeStrikeStep },
+  "flood-count": { field: "floodCount", parse: parseCount, format: formatCount },
+  "flood-window": { field: "floodWindow", parse: parseDurationValue, format: formatDurationValue },
+  "duplicate-count": { field: "duplicateCount", parse: parseCount, format: formatCount },
+  "duplicate-window": { field: "duplicateWindow", parse: parseDurationValue, format: formatDurationValue },
+  "mention-limit": { field: "mentionLimit", parse: parseCount, format: formatCount },
+  "channel-flood-count": { field: "channelFloodCount", parse: parseCount, format: formatCount },
+  "channel-flood-window": { field: "channelFloodWindow", parse: parseDurationValue, format: formatDurationValue },
+  "slowmode": {
+    field: "slowmode",
+    parse: (v) => {
+      const n = Number(v);
+      if (!Number.isInteger(n) || n < 1 || n > 21600) throw configError("config.error.slowmode");
+      return n;
+    },
+    format: (v, locale) => formatTime(v, locale),
+  },
+  "raid-join-count": { field: "raidJoinCount", parse: parseCount, format: (v, locale) => t(locale, "common.people", { n: v }) },
+  "raid-join-window": { field: "raidJoinWindow", parse: parseDurationValue, format: formatDurationValue },
+  "raid-account-age": { field: "raidAccountAge", parse: parseDurationValue, format: formatDurationValue },
+  "raid-timeout": {
+    field: "raidTimeout",
+    parse: (v) => {
+      const ms = parseDurationValue(v);
+      if (ms > MAX_TIMEOUT * 1000) throw configError("config.error.maxTimeout");
+      return ms;
+    },
+    format: formatDurationValue,
+  },
+  "raid-duration": { field: "raidDuration", parse: parseDurationValue, format: formatDurationValue },
+};
+
+const CONFIG_KEYS = {
+  "log-channel": {
+    field: "logChannelId",
+    parse: parseChannel,
+    format: (v, locale) => (v ? `<#${v}>` : t(locale, "common.unset")),
+  },
+  "appeal-channel": {
+    field: "appealChannelId",
+    parse: parseChannel,
+    format: (v, locale) => (v ? `<#${v}>` : t(locale, "common.unsetLog")),
+  },
+  "response-actions": {
+    field: "responseActions",
+    // カンマ区切りで archive / delete / redact、none で何もしない
+    parse: (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (v === "none") return [];
+      const actions = [...new Set(v.split(/[,\s]+/).filter(Boolean))];
+      for (const a of actions) {
+        if (!RESPONSE_ACTIONS.includes(a)) throw configError("config.error.responseActions", { list: RESPONSE_ACTIONS.join(" / ") });
+      }
+      return actions;
+    },
+    format: (v, locale) => (v.length > 0 ? v.map((a) => t(locale, `response.${a}`)).join(locale === "ja" ? "、" : ", ") : t(locale, "common.none")),
+  },
+  "archive-channel": {
+    field: "archiveChannelId",
+    parse: parseChannel,
+    format: (v, locale) => (v ? `<#${v}>` : t(locale, "common.unsetLog")),
+  },
+  "review-channel": {
+    field: "reviewChannelId",
+    parse: parseChannel,
+    format: (v, locale) => (v ? `<#${v}>` : t(locale, "common.unsetLog")),
+  },
+  "shadow": {
+    field: "shadowMode",
+    parse: parseSwitch,
+    format: formatSwitch,
+  },
+  "profile-action": {
+    field: "profileAction",
+    parse: (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (["off", "nickname", "review"].includes(v)) return v;
+      const ms = parseDuration(v);
+      if (!ms) throw configError("config.error.profileAction");
+      if (ms > MAX_TIMEOUT * 1000) throw configError("config.error.maxTimeout");
+      return v;
+    },
+    format: describeProfileAction,
+  },
+  "status-channel": {
+    field: "statusChannelId",
+    parse: parseChannel,
+    format: (v, locale) => (v ? `<#${v}>` : t(locale, "common.unset")),
+  },
+  "strike-ladder": {
+    field: "strikeLadder",
+    // カンマ区切りで warn / 期間 (10m, 1h...) / kick / ban を並べる
+    parse: (value) => {
+      const steps = String(value).split(/[,\s→>]+/).map((x) => x.trim().toLowerCase()).filter(Boolean);
+      if (steps.length === 0) throw configError("config.error.ladder");
+      steps.forEach(parseStrikeStep);
+      return steps;
+    },
+    format: (v, locale) => v.map((step, i) => `${i + 1}. ${describeStrikeStep(step, locale)}`).join("\n"),
+  },
+  "strike-decay": {
+    field: "strikeDecay",
+    parse: (value) => {
+      const ms = parseDuration(value);
+      if (!ms) throw configError("config.error.decay");
+      return ms;
+    },
+    format: formatDurationValue,
+  },
+  "provider": {
+    field: "classifierProvider",
+    parse: (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (!CLASSIFIER_PROVIDERS[v]) throw configError("config.error.provider", { list: Object.keys(CLASSIFIER_PROVIDERS).join(" / ") });
+      return v;
+    },
+    format: (v) => `${CLASSIFIER_PROVIDERS[v]?.label || v} (\`${v}\`)`,
+  },
+  "text-model": {
+    field: "textModel",
+    parse: (value) => (String(value).trim().toLowerCase() === "none" ? null : String(value).trim()),
+    format: (v, locale) => v || t(locale, "config.providerDefault"),
+  },
+  "image-model": {
+    field: "imageModel",
+    parse: (value) => (String(value).trim().toLowerCase() === "none" ? null : String(value).trim()),
+    format: (v, locale) => v || t(locale, "config.providerDefault"),
+  },
+  "temperature": {
+    field: "temperature",
+    parse: (value) => {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0 || n > 2) throw configError("config.error.temperature");
+      return n;
+    },
+    format: (v) => String(v),
+  },
+  "max-tokens": {
+    field: "maxOutputTokens",
+    parse: (value) => {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 4096) throw configError("config.error.maxTokens");
+      return n;
+    },
+    format: (v) => String(v),
+  },
+  "category-rule": {
+    field: "categoryRules",
+    // "<category> <しきい値> <処分>" で 1 カテゴリずつ変更（例: threats 0.6 1h / harassment 0.8 strike）
+    parse: (value, guild, current) => {
+      const [category, thresholdStr, action] = String(value).trim().toLowerCase().split(/\s+/);
+      if (!VERDICT_CATEGORIES.includes(category) || category === "none") {
+        throw configError("config.error.category", { list: VERDICT_CATEGORIES.filter((c) => c !== "none").join(" / ") });
+      }
+      const threshold = Number(thresholdStr);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) throw configError("config.error.threshold");
+      if (!["none", "strike"].includes(action)) parseStrikeStep(action);
+      return { ...current.categoryRules, [category]: { threshold, action } };
+    },
+    format: (v, locale) => Object.entries(v)
+      .map(([category, rule]) => `${t(locale, `category.${category}`)} (\`${category}\`): ≥${rule.threshold} → ${describeCategoryAction(rule.action, locale)}`)
+      .join("\n"),
+  },
+  "context": {
+    field: "contextEnabled",
+    parse: parseSwitch,
+    format: formatSwitch,
+  },
+  "context-size": {
+    field: "contextSize",
+    parse: (value) => {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0 || n > 20) throw configError("config.error.contextSize");
+      return n;
+    },
+    format: formatCount,
+  },
+  "spam": {
+    field: "spamRules",
+    // "<項目> <値>" で 1 項目ずつ変更（例: flood-count 8 / raid-join-window 30s / action 1h）
+    parse: (value, guild, current) => {
+      const [name, ...rest] = String(value).trim().split(/\s+/);
+      const setting = SPAM_SETTINGS[name?.toLowerCase()];
+      if (!setting) throw configError("config.error.spamSetting", { list: Object.keys(SPAM_SETTINGS).join(" / ") });
+      return { ...current.spamRules, [setting.field]: setting.parse(rest.join(" ")) };
+    },
+    format: (v, locale) => Object.entries(SPAM_SETTINGS)
+      .map(([name, setting]) => `\`${name}\`: ${setting.format(v[setting.field], locale)}`)
+      .join("\n"),
+  },
+  "ai": {
+    field: "aiEnabled",
+    parse: parseSwitch,
+    format: formatSwitch,
+  },
+  "voice-ai": {
+    field: "voiceAICheck",
+    parse: parseSwitch,
+    format: formatSwitch,
+  },
+  "exempt-users": {
+    field: "exemptUsers",
+    // カンマ区切りのユーザー名 / ID / メンション。none で空にする
+    parse: (value) => {
+      const v = String(value).trim();
+      if (v.toLowerCase() === "none") return [];
+      return [...new Set(v.split(/[,\s]+/).map((x) => x.replace(/^<@!?(\d+)>$/, "$1")).filter(Boolean))];
+    },
+    format: (v, locale) => (v.length > 0 ? v.map((x) => (/^\d+$/.test(x) ? `<@${x}>` : x)).join(", ") : t(locale, "common.none")),
+  },
+  "language": {
+    field: "language",
+    parse: (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (!MESSAGES[v]) throw configError("config.error.language", { list: LOCALES.join(" / ") });
+      return v;
+    },
+    format: (v) => `${MESSAGES[v]?.["language.name"] || v} (\`${v}\`)`,
+  },
+  "log-route": {
+    field: "logRoutes",
+    // "<カテゴリ> <指定...>" で 1 カテゴリずつ変更（例: verdict-safe off / action #mod-log / error https://discord.com/api/webhooks/... digest）
+    // on / off で有効・無効、digest / instant でまとめ送信の切り替え、default で送信先をログチャンネルに戻す
+    parse: (value, guild, current) => {
+      const [category, ...options] = String(value).trim().split(/\s+/);
+      if (!LOG_CATEGORIES.includes(category?.toLowerCase())) {
+        throw configError("config.error.logCategory", { list: LOG_CATEGORIES.join(" / ") });
+      }
+      if (options.length === 0) throw configError("config.error.logRoute");
+
+      const route = { ...current.logRoutes[category.toLowerCase()] };
+      for (const option of options) {
+        const v = option.toLowerCase();
+        if (v === "on" || v === "off") route.enabled = v === "on";
+        else if (v === "digest" || v === "instant") route.digest = v === "digest";
+        else if (v === "default") Object.assign(route, { channelId: null, webhookUrl: null });
+        else if (WEBHOOK_URL_PATTERN.test(option)) Object.assign(route, { channelId: null, webhookUrl: option });
+        else if (/^(<#\d+>|\d+)$/.test(option)) Object.assign(route, { channelId: parseChannel(option, guild), webhookUrl: null });
+        else throw configError("config.error.logRoute");
+      }
+      return { ...current.logRoutes, [category.toLowerCase()]: route };
+    },
+    format: (v, locale) => LOG_CATEGORIES
+      .map((category) => {
+        const route = v[category];
+        const destination = route.webhookUrl ? t(locale, "logRoute.webhook")
+          : route.channelId ? `<#${route.channelId}>`
+          : t(locale, "logRoute.logChannel");
+        return `${t(locale, `logCategory.${category}`)} (\`${category}\`): ${formatSwitch(route.enabled, locale)} → ${destination}` +
+          (route.digest ? `${t(locale, "common.sep")}${t(locale, "logRoute.digest")}` : "");
+      })
+      .join("\n"),
+  },
+};
+
+function configFields(config, keys = Object.keys(CONFIG_KEYS), locale = "ja") {
+  return keys.map((key) => ({
+    name: `${t(locale, `config.${key}`)} (\`${key}\`)`,
+    value: CONFIG_KEYS[key].format(config[CONFIG_KEYS[key].field], locale),
+    inline: false,
+  }));
+}
+
 // ====================================
 // Slash Commands 定義
 // ====================================
+// 選択肢の表示名は MESSAGES から作る（ja が既定、他の言語は name_localizations）
+const localizedChoice = (value, key) => ({
+  name: `${value} - ${t("ja", key)}`,
+  name_localizations: discordLocalizations((locale) => `${value} - ${t(locale, key)}`.substring(0, 100)),
+  value,
+});
+const configKeyChoices = Object.keys(CONFIG_KEYS).map((k) => localizedChoice(k, `config.${k}`));
+
+// コマンド・オプション・選択肢の説明の翻訳（ja はコマンド定義側の文言）。
+// キーはコマンド名からオプション名・サブコマンド名をつないだもの、選択肢はその後ろに値
+const COMMAND_LOCALIZATIONS = {
+  en: {
+    "top": "Time out a user (administrators only)",
+    "top.user": "Target user",
+    "top.duration": "Duration (e.g. 10m / 1h30m; a bare number is seconds)",
+    "top.reason": "Reason",
+    "to": "List members who are currently timed out",
+    "untimeout": "Remove a timeout",
+    "untimeout.user": "Target user",
+    "untimeout.reason": "Reason",
+    "warn": "Warn a user (adds a strike)",
+    "warn.user": "Target user",
+    "warn.reason": "Reason",
+    "kick": "Kick from the server",
+    "kick.user": "Target user",
+    "kick.reason": "Reason",
+    "ban": "Ban (temporary if a duration is given)",
+    "ban.user": "Target user",
+    "ban.reason": "Reason",
+    "ban.duration": "Duration (e.g. 1d / 12h / 1h30m, omit for permanent)",
+    "ban.delete-messages": "Delete recent messages from this period (e.g. 1h / 1d, up to 7 days)",
+    "unban": "Lift a ban",
+    "unban.user": "Target user (by ID)",
+    "unban.reason": "Reason",
+    "purge": "Bulk delete a user's messages in this channel",
+    "purge.user": "Target user",
+    "purge.count": "Number of messages to delete",
+    "purge.reason": "Reason",
+    "voice-ai": "AI checks for voice participants (administrators only)",
+    "voice-ai.mode": "ON/OFF",
+    "voice-ai.mode.on": "ON - check members in voice channels too",
+    "voice-ai.mode.off": "OFF - skip members in voice channels",
+    "ai-mode": "Turn AI checks on or off (administrators only)",
+    "ai-mode.mode": "ON/OFF",
+    "ai-mode.mode.on": "ON - enable AI checks",
+    "ai-mode.mode.off": "OFF - keyword filter only",
+    "ai-status": "Show the AI check status (circuit breaker)",
+    "config": "Bot settings for this server (administrators only)",
+    "config.set": "Change a setting",
+    "config.set.key": "Setting",
+    "config.set.value": "New value (channel / 30m / on・off / user list, none to unset)",
+    "config.get": "Show current settings",
+    "config.get.key": "Setting (omit for all)",
+    "config.reset": "Reset settings to defaults",
+    "config.reset.key": "Setting (omit for all)",
+    "history": "A user's moderation history (moderators only)",
+    "history.user": "Target user",
+    "case": "View or edit moderation cases (moderators only)",
+    "case.view": "Show a case",
+    "case.view.id": "Case number",
+    "case.edit-reason": "Edit a case's reason",
+    "case.edit-reason.id": "Case number",
+    "case.edit-reason.reason": "New reason",
+    "keyword": "Manage blocked words (administrators only)",
+    "keyword.add": "Add a blocked word or allow entry",
+    "keyword.add.pattern": "Word or regular expression",
+    "keyword.add.type": "Match type (default: word)",
+    "keyword.add.type.word": "word - substring match after normalization",
+    "keyword.add.type.whole": "whole - whole words only",
+    "keyword.add.type.regex": "regex - regular expression",
+    "keyword.add.type.allow": "allow - allow entry (ignore matches inside this word)",
+    "keyword.add.category": "Category when detected (default: harassment)",
+    "keyword.remove": "Remove a blocked word or allow entry",
+    "keyword.remove.pattern": "Registered word",
+    "keyword.list": "Show the registered list",
+    "keyword.test": "Try the blocked word filter on some text",
+    "keyword.test.text": "Text to check",
+    "raid": "Control raid mode (administrators only)",
+    "raid.start": "Start raid mode manually (locks channels)",
+    "raid.start.duration": "Time until it ends automatically (e.g. 30m, omit for the configured value)",
+    "raid.end": "End raid mode",
+    "raid.status": "Show the raid mode status",
+    "review": "Shadow mode review stats (moderators only)",
+    "review.stats": "Show decisions and false positive rates",
+  },
+};
+
+// toJSON() したコマンドに description_localizations / name_localizations を付ける
+function localizeCommand(node, keyPath) {
+  const description = discordLocalizations((locale) => COMMAND_LOCALIZATIONS[locale]?.[keyPath]);
+  if (Object.keys(description).length > 0) node.description_localizations = description;
+  for (const choice of node.choices || []) {
+    if (choice.name_localizations) continue;
+    const names = discordLocalizations((locale) => COMMAND_LOCALIZATIONS[locale]?.[`${keyPath}.${choice.value}`]);
+    if (Object.keys(names).length > 0) choice.name_localizations = names;
+  }
+  for (const option of node.options || []) localizeCommand(option, `${keyPath}.${option.name}`);
+  return node;
+}
+
 const slashCommands = [
   new SlashCommandBuilder()
     .setName("top")
     .setDescription("指定ユーザーを timeout（管理者専用）")
     .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
-    .addIntegerOption((o) => o.setName("seconds").setDescription("秒数").setRequired(true))
+    .addStringOption((o) => o.setName("duration").setDescription("期間（例: 10m / 1h30m、数字だけなら秒）").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由"))
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
   new SlashCommandBuilder()
     .setName("to")
     .setDescription("現在 timeout 中のユーザー一覧"),
 
+  new SlashCommandBuilder()
+    .setName("untimeout")
+    .setDescription("タイムアウトを解除")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+
+  new SlashCommandBuilder()
+    .setName("warn")
+    .setDescription("警告（ストライクに加算）")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+
+  new SlashCommandBuilder()
+    .setName("kick")
+    .setDescription("サーバーからキック")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers),
+
+  new SlashCommandBuilder()
+    .setName("ban")
+    .setDescription("BAN（期間を指定すると期限付きBAN）")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .addStringOption((o) => o.setName("duration").setDescription("期間（例: 1d / 12h / 1h30m、省略で無期限）"))
+    .addStringOption((o) => o.setName("delete-messages").setDescription("直近のメッセージを削除する期間（例: 1h / 1d、最大7日）"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+
+  new SlashCommandBuilder()
+    .setName("unban")
+    .setDescription("BANを解除")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー（ID で指定）").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+
+  new SlashCommandBuilder()
+    .setName("purge")
+    .setDescription("このチャンネルの指定ユーザーのメッセージを一括削除")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .addIntegerOption((o) => o.setName("count").setDescription("削除する件数").setRequired(true).setMinValue(1).setMaxValue(100))
+    .addStringOption((o) => o.setName("reason").setDescription("理由").setRequired(true).setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+
   new SlashCommandBuilder()
     .setName("voice-ai")
     .setDescription("通話参加者へのAI判定設定（管理者専用）")
@@ -668,19 +5419,131 @@ const slashCommands = [
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
   new SlashCommandBuilder()
-    .setName("ai-mode")
-    .setDescription("AI判定のON/OFF（管理者専用）")
-    .addStringOption((o) =>
-      o.setName("mode")
-        .setDescription("ON/OFF")
-        .setRequired(true)
-        .addChoices(
-          { name: "ON - AI判定を有効化", value: "on" },
-          { name: "OFF - キーワードフィルターのみ", value: "off" }
-        )
+    .setName("ai-mode")
+    .setDescription("AI判定のON/OFF（管理者専用）")
+    .addStringOption((o) =>
+      o.setName("mode")
+        .setDescription("ON/OFF")
+        .setRequired(true)
+        .addChoices(
+          { name: "ON - AI判定を有効化", value: "on" },
+          { name: "OFF - キーワードフィルターのみ", value: "off" }
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  new SlashCommandBuilder()
+    .setName("ai-status")
+    .setDescription("AI判定の稼働状況（サーキットブレーカー）を表示"),
+
+  new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("このサーバーのBot設定（管理者専用）")
+    .addSubcommand((sc) =>
+      sc.setName("set")
+        .setDescription("設定を変更")
+        .addStringOption((o) =>
+          o.setName("key")
+            .setDescription("設定項目")
+            .setRequired(true)
+            .addChoices(...configKeyChoices)
+        )
+        .addStringOption((o) => o.setName("value").setDescription("新しい値（チャンネル / 30m / on・off / ユーザー一覧、none で未設定）").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc.setName("get")
+        .setDescription("現在の設定を表示")
+        .addStringOption((o) =>
+          o.setName("key")
+            .setDescription("設定項目（省略で全て）")
+            .addChoices(...configKeyChoices)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("reset")
+        .setDescription("設定をデフォルトに戻す")
+        .addStringOption((o) =>
+          o.setName("key")
+            .setDescription("設定項目（省略で全て）")
+            .addChoices(...configKeyChoices)
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("ユーザーの処分履歴（モデレーター専用）")
+    .addUserOption((o) => o.setName("user").setDescription("対象ユーザー").setRequired(true))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+
+  new SlashCommandBuilder()
+    .setName("case")
+    .setDescription("処分ケースの表示・修正（モデレーター専用）")
+    .addSubcommand((sc) =>
+      sc.setName("view")
+        .setDescription("ケースを表示")
+        .addIntegerOption((o) => o.setName("id").setDescription("ケース番号").setRequired(true).setMinValue(1))
+    )
+    .addSubcommand((sc) =>
+      sc.setName("edit-reason")
+        .setDescription("ケースの理由を修正")
+        .addIntegerOption((o) => o.setName("id").setDescription("ケース番号").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("reason").setDescription("新しい理由").setRequired(true).setMaxLength(1000))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+  new SlashCommandBuilder()
+    .setName("keyword")
+    .setDescription("禁止ワードの管理（管理者専用）")
+    .addSubcommand((sc) =>
+      sc.setName("add")
+        .setDescription("禁止ワード・除外語を追加")
+        .addStringOption((o) => o.setName("pattern").setDescription("語句または正規表現").setRequired(true).setMaxLength(200))
+        .addStringOption((o) =>
+          o.setName("type")
+            .setDescription("一致方法（省略時 word）")
+            .addChoices(
+              { name: "word - 正規化後の部分一致", value: "word" },
+              { name: "whole - 単語全体のみ一致", value: "whole" },
+              { name: "regex - 正規表現", value: "regex" },
+              { name: "allow - 除外語（この語に含まれる一致を無視）", value: "allow" }
+            )
+        )
+        .addStringOption((o) =>
+          o.setName("category")
+            .setDescription("検出時のカテゴリ（省略時 harassment）")
+            .addChoices(...VERDICT_CATEGORIES.filter((c) => c !== "none").map((c) => localizedChoice(c, `category.${c}`)))
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("remove")
+        .setDescription("禁止ワード・除外語を削除")
+        .addStringOption((o) => o.setName("pattern").setDescription("登録済みの語句").setRequired(true))
+    )
+    .addSubcommand((sc) => sc.setName("list").setDescription("登録済みの一覧を表示"))
+    .addSubcommand((sc) =>
+      sc.setName("test")
+        .setDescription("テキストを禁止ワードで判定してみる")
+        .addStringOption((o) => o.setName("text").setDescription("判定するテキスト").setRequired(true))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  new SlashCommandBuilder()
+    .setName("raid")
+    .setDescription("レイドモードの操作（管理者専用）")
+    .addSubcommand((sc) =>
+      sc.setName("start")
+        .setDescription("レイドモードを手動で開始（チャンネルをロック）")
+        .addStringOption((o) => o.setName("duration").setDescription("自動解除までの期間（例: 30m、省略で設定値）"))
     )
+    .addSubcommand((sc) => sc.setName("end").setDescription("レイドモードを解除"))
+    .addSubcommand((sc) => sc.setName("status").setDescription("レイドモードの状態を表示"))
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
-].map(cmd => cmd.toJSON());
+
+  new SlashCommandBuilder()
+    .setName("review")
+    .setDescription("シャドーモードのレビュー集計（モデレーター専用）")
+    .addSubcommand((sc) => sc.setName("stats").setDescription("判断の内訳と誤検出率を表示"))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+].map((cmd) => localizeCommand(cmd.toJSON(), cmd.name));
 
 const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
 
@@ -689,10 +5552,14 @@ const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
 // ====================================
 client.once("ready", async () => {
   console.log(`Bot login → ${client.user.tag}`);
+  const locale = guildLocale(null);
   await sendLog(
-    "✅ Bot起動完了",
-    `**${client.user.tag}** がオンラインになりました`,
-    0x00ff00
+    t(locale, "bot.startTitle"),
+    t(locale, "bot.startDesc", { tag: client.user.tag }),
+    0x00ff00,
+    [],
+    null,
+    "lifecycle"
   );
   try {
     await rest.put(Routes.applicationCommands(client.user.id), { body: slashCommands });
@@ -701,16 +5568,252 @@ client.once("ready", async () => {
     console.log("Slash command register error:", e && e.message);
   }
 
-  // 一度だけ開始（多重起動防止）
-  setTimeout(() => {
-    if (!updateInterval) updateRealtimeTimeout();
-  }, 2000);
+  // 再起動前から続いているレイドモードの自動解除と予約処分を再設定（期限切れのものはすぐ実行）
+  for (const guildId of Object.keys(raidState)) scheduleRaidEnd(guildId);
+  armScheduler();
+
+  // タイムアウト中のメンバーの索引を作ってから掲示板を開始（全件取得は起動時のこの一度だけ）。
+  // 取得に時間のかかるギルドが他のギルドの掲示板を待たせないよう、ギルドごとに並行して進める
+  await Promise.all([...client.guilds.cache.values()].map(async (guild) => {
+    await seedActiveTimeouts(guild);
+    if (!statusBoards.has(guild.id)) updateRealtimeTimeout(guild.id);
+  }));
 });
 
+// ====================================
+// モデレーションコマンド
+// ====================================
+// 手動処分のケースを作成し、/top と同じ形式で監査ログへ送る
+function recordManualAction(interaction, { action, user, reason, duration = null, title, description, color, fields = [] }) {
+  const modCase = createCase(interaction.guild.id, {
+    action,
+    duration,
+    source: "manual",
+    userId: user.id,
+    userTag: user.tag,
+    moderatorId: interaction.user.id,
+    moderatorTag: interaction.user.tag,
+    channelId: interaction.channel.id,
+    reason,
+  });
+
+  const locale = guildLocale(interaction.guild.id);
+  sendLog(
+    title,
+    description,
+    color,
+    [
+      { name: t(locale, "field.target"), value: `${user.tag} (${user.id})`, inline: false },
+      { name: t(locale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+      ...fields,
+      { name: t(locale, "field.commandChannel"), value: `<#${interaction.channel.id}>`, inline: true },
+      { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+      { name: t(locale, "field.caseReason"), value: reason, inline: false },
+    ],
+    interaction.guild.id
+  );
+  console.log(`MANUAL ${action.toUpperCase()} → ${user.tag} by ${interaction.user.tag}`);
+  return modCase;
+}
+
+const MOD_COMMANDS = ["untimeout", "warn", "kick", "ban", "unban", "purge"];
+
+// 対象がサーバーにいれば GuildMember、いなければ null
+async function fetchTargetMember(guild, user) {
+  return guild.members.fetch(user.id).catch(() => null);
+}
+
+// 実行者自身と、実行者と同じか上のロールを持つメンバーは対象にできない（Discord 自体の制限と同じ。サーバー所有者は例外）。
+// 問題があれば返信のメッセージキーを返す
+async function checkModTarget(interaction, user, member) {
+  const { guild } = interaction;
+  if (user.id === interaction.user.id) return "mod.self";
+  if (!member || guild.ownerId === interaction.user.id) return null;
+  if (member.id === guild.ownerId) return "mod.higherRole";
+  const invoker = await guild.members.fetch(interaction.user.id);
+  return invoker.roles.highest.comparePositionTo(member.roles.highest) <= 0 ? "mod.higherRole" : null;
+}
+
+async function handleModCommand(interaction) {
+  const { guild, commandName } = interaction;
+  const user = interaction.options.getUser("user");
+  const reason = interaction.options.getString("reason");
+  const auditReason = `${reason} (by ${interaction.user.tag})`.substring(0, 512);
+  // purge だけは本人にのみ返信するので実行者の言語で返す
+  const locale = commandName === "purge" ? interactionLocale(interaction) : guildLocale(guild.id);
+  const logLocale = guildLocale(guild.id);
+  const names = { mod: interaction.user.tag, user: user.tag };
+
+  if (commandName === "untimeout") {
+    const member = await fetchTargetMember(guild, user);
+    if (!member) return interaction.editReply(t(locale, "mod.notMember"));
+    if (!member.isCommunicationDisabled()) return interaction.editReply(t(locale, "mod.notTimedOut", names));
+    const restriction = await checkModTarget(interaction, user, member);
+    if (restriction) return interaction.editReply(t(locale, restriction));
+    if (!member.moderatable) return interaction.editReply(t(locale, "mod.noPermission"));
+
+    await member.timeout(null, auditReason);
+    const modCase = recordManualAction(interaction, {
+      action: "untimeout",
+      user,
+      reason,
+      title: t(logLocale, "mod.untimeoutTitle"),
+      description: t(logLocale, "mod.untimeoutDesc", names),
+      color: 0x00ff00,
+    });
+    return interaction.editReply(t(locale, "mod.untimeoutDone", { ...names, id: modCase.id }));
+  }
+
+  if (commandName === "warn") {
+    const restriction = await checkModTarget(interaction, user, await fetchTargetMember(guild, user));
+    if (restriction) return interaction.editReply(t(locale, restriction));
+    const strikeCount = addStrike(guild.id, user.id, reason);
+    const modCase = recordManualAction(interaction, {
+      action: "warn",
+      user,
+      reason,
+      title: t(logLocale, "mod.warnTitle"),
+      description: t(logLocale, "mod.warnDesc", names),
+      color: 0xffa500,
+      fields: [{ name: t(logLocale, "field.strikes"), value: t(logLocale, "review.strikeCount", { n: strikeCount }), inline: true }],
+    });
+    updateCase(guild.id, modCase.id, { strikeCount });
+    user.send(t(logLocale, "mod.warnDm", { guild: guild.name, n: strikeCount, reason })).catch(() => {});
+    return interaction.editReply(t(locale, "mod.warnDone", { user: user.id, n: strikeCount, id: modCase.id }));
+  }
+
+  if (commandName === "kick") {
+    const member = await fetchTargetMember(guild, user);
+    if (!member) return interaction.editReply(t(locale, "mod.notMember"));
+    const restriction = await checkModTarget(interaction, user, member);
+    if (restriction) return interaction.editReply(t(locale, restriction));
+    if (!member.kickable) return interaction.editReply(t(locale, "mod.noPermission"));
+
+    await member.kick(auditReason);
+    const modCase = recordManualAction(interaction, {
+      action: "kick",
+      user,
+      reason,
+      title: t(logLocale, "mod.kickTitle"),
+      description: t(logLocale, "mod.kickDesc", names),
+      color: 0xff0000,
+    });
+    return interaction.editReply(t(locale, "mod.kickDone", { ...names, id: modCase.id }));
+  }
+
+  if (commandName === "ban") {
+    const durationInput = interaction.options.getString("duration");
+    const duration = durationInput ? parseDuration(durationInput) : null;
+    if (durationInput && !duration) return interaction.editReply(t(locale, "mod.badDuration"));
+
+    const deleteInput = interaction.options.getString("delete-messages");
+    const deleteMs = deleteInput ? parseDuration(deleteInput) : 0;
+    if (deleteInput && (!deleteMs || deleteMs > 7 * 86400000)) return interaction.editReply(t(locale, "mod.badDeleteWindow"));
+
+    const member = await fetchTargetMember(guild, user);
+    const restriction = await checkModTarget(interaction, user, member);
+    if (restriction) return interaction.editReply(t(locale, restriction));
+    if (member && !member.bannable) return interaction.editReply(t(locale, "mod.noPermission"));
+
+    await guild.members.ban(user.id, { reason: auditReason, deleteMessageSeconds: Math.floor(deleteMs / 1000) });
+    // 以前の期限付きBANの解除予約は新しいBANで置き換える
+    cancelJobs((job) => job.type === "unban" && job.guildId === guild.id && job.userId === user.id);
+
+    const modCase = recordManualAction(interaction, {
+      action: "ban",
+      user,
+      reason,
+      duration,
+      title: t(logLocale, duration ? "mod.tempBanTitle" : "mod.banTitle"),
+      description: t(logLocale, "mod.banDesc", names),
+      color: 0xff0000,
+      fields: [{
+        name: t(logLocale, "field.duration"),
+        value: duration
+          ? t(logLocale, "mod.banUntil", { duration: formatTime(Math.floor(duration / 1000), logLocale), at: Math.floor((Date.now() + duration) / 1000) })
+          : t(logLocale, "mod.permanent"),
+        inline: true,
+      }],
+    });
+    if (duration) {
+      scheduleJob({ type: "unban", guildId: guild.id, userId: user.id, userTag: user.tag, runAt: Date.now() + duration, caseId: modCase.id });
+    }
+    const expiry = duration ? t(locale, "mod.banExpiry", { duration: formatTime(Math.floor(duration / 1000), locale) }) : "";
+    return interaction.editReply(t(locale, "mod.banDone", { ...names, expiry, id: modCase.id }));
+  }
+
+  if (commandName === "unban") {
+    const ban = await guild.bans.fetch(user.id).catch(() => null);
+    if (!ban) return interaction.editReply(t(locale, "mod.notBanned", names));
+
+    await guild.members.unban(user.id, auditReason);
+    const cancelled = cancelJobs((job) => job.type === "unban" && job.guildId === guild.id && job.userId === user.id);
+    const modCase = recordManualAction(interaction, {
+      action: "unban",
+      user,
+      reason,
+      title: t(logLocale, "mod.unbanTitle"),
+      description: t(logLocale, "mod.unbanDesc", names),
+      color: 0x00ff00,
+      fields: cancelled ? [{ name: t(logLocale, "mod.schedule"), value: t(logLocale, "mod.unbanCancelled"), inline: true }] : [],
+    });
+    return interaction.editReply(t(locale, "mod.unbanDone", { ...names, id: modCase.id }));
+  }
+
+  if (commandName === "purge") {
+    const count = interaction.options.getInteger("count");
+    const channel = interaction.channel;
+
+    // 直近 500 件までさかのぼって対象ユーザーのメッセージを集める（14日より古いものは一括削除できない）
+    const targets = [];
+    let before;
+    for (let page = 0; page < 5 && targets.length < count; page++) {
+      const batch = await channel.messages.fetch({ limit: 100, before });
+      if (batch.size === 0) break;
+      for (const msg of batch.values()) {
+        if (msg.author.id === user.id && targets.length < count) targets.push(msg);
+      }
+      before = batch.last().id;
+    }
+    if (targets.length === 0) return interaction.editReply(t(locale, "mod.purgeNone", names));
+
+    const deleted = await channel.bulkDelete(targets, true);
+    const modCase = recordManualAction(interaction, {
+      action: "purge",
+      user,
+      reason,
+      title: t(logLocale, "mod.purgeTitle"),
+      description: t(logLocale, "mod.purgeDesc", names),
+      color: 0xffa500,
+      fields: [{ name: t(logLocale, "mod.purged"), value: t(logLocale, "mod.purgedValue", { n: deleted.size, count }), inline: true }],
+    });
+    const skipped = targets.length - deleted.size;
+    return interaction.editReply(
+      t(locale, "mod.purgeDone", { ...names, n: deleted.size, id: modCase.id }) +
+        (skipped > 0 ? t(locale, "mod.purgeSkipped", { n: skipped }) : "")
+    );
+  }
+}
+
 // ====================================
 // Slash コマンド処理
 // ====================================
 client.on("interactionCreate", async (interaction) => {
+  if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+    const handler = interaction.customId.startsWith("appeal") ? handleAppealInteraction
+      : interaction.customId.startsWith("review") ? handleReviewInteraction
+      : null;
+    if (!handler) return;
+    try {
+      await handler(interaction);
+    } catch (err) {
+      console.log("コンポーネント処理エラー:", err && (err.stack || err.message));
+      const reply = { content: t(interactionLocale(interaction, null), "common.error"), ephemeral: true };
+      (interaction.deferred || interaction.replied ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const guild = interaction.guild;
@@ -721,44 +5824,62 @@ client.on("interactionCreate", async (interaction) => {
 
       await interaction.deferReply();
 
+      const locale = guildLocale(guild.id);
       const user = interaction.options.getUser("user");
-      const sec = interaction.options.getInteger("seconds");
+      const input = interaction.options.getString("duration");
+      const ms = parseDuration(input);
+      const reason = interaction.options.getString("reason") || t(locale, "top.defaultReason");
 
-      const MAX_TIMEOUT = 2419200;
-      if (sec > MAX_TIMEOUT) {
-        await interaction.editReply(`❌ タイムアウトは最大28日（2,419,200秒）までです。\n指定された秒数: ${sec}秒`);
+      if (!ms) {
+        await interaction.editReply(t(locale, "top.invalidDuration", { input }));
         return;
       }
 
-      if (sec < 1) {
-        await interaction.editReply(`❌ タイムアウトは1秒以上で指定してください。`);
+      const sec = Math.floor(ms / 1000);
+      if (sec > MAX_TIMEOUT) {
+        await interaction.editReply(t(locale, "top.tooLong", { duration: formatTime(sec, locale) }));
         return;
       }
 
       const member = await guild.members.fetch(user.id);
-      await member.timeout(sec * 1000, "管理者による手動timeout");
-
-      await interaction.editReply(`⛔ 管理者が **${user.tag}** を ${sec} 秒 (${formatTime(sec)}) timeout しました`);
+      await member.timeout(ms, reason);
+      metrics.timeoutsIssued.inc({ source: "manual" });
+
+      const modCase = createCase(guild.id, {
+        action: "timeout",
+        duration: ms,
+        source: "manual",
+        userId: user.id,
+        userTag: user.tag,
+        moderatorId: interaction.user.id,
+        moderatorTag: interaction.user.tag,
+        channelId: interaction.channel.id,
+        reason,
+      });
 
-      guild.members.fetch({ force: true }).catch(() => {});
+      await interaction.editReply(t(locale, "top.done", { user: user.tag, duration: formatTime(sec, locale), id: modCase.id }));
 
       sendLog(
-        "⚖️ 管理者による手動タイムアウト",
-        `**${interaction.user.tag}** が **${user.tag}** をタイムアウトしました`,
+        t(locale, "top.logTitle"),
+        t(locale, "top.logDesc", { mod: interaction.user.tag, user: user.tag }),
         0xffa500,
         [
-          { name: "👤 対象ユーザー", value: `${user.tag} (${user.id})`, inline: false },
-          { name: "👮 実行管理者", value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
-          { name: "⏱️ タイムアウト期間", value: formatTime(sec), inline: true },
-          { name: "📍 実行チャンネル", value: `<#${interaction.channel.id}>`, inline: true },
-        ]
+          { name: t(locale, "field.target"), value: `${user.tag} (${user.id})`, inline: false },
+          { name: t(locale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+          { name: t(locale, "field.timeoutDuration"), value: formatTime(sec, locale), inline: true },
+          { name: t(locale, "field.commandChannel"), value: `<#${interaction.channel.id}>`, inline: true },
+          { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+          { name: t(locale, "field.caseReason"), value: reason, inline: false },
+        ],
+        guild.id
       );
 
       console.log(`MANUAL TIMEOUT → ${user.tag} by ${interaction.user.tag}`);
     } catch (err) {
       console.log("TOP コマンドエラー:", err && (err.message || err));
-      await interaction.editReply(`❌ エラーが発生しました: ${err.message}`).catch(() => {
-        interaction.reply(`❌ エラーが発生しました: ${err.message}`).catch(() => {});
+      const message = t(guildLocale(interaction.guildId), "common.errorDetail", { message: err.message });
+      await interaction.editReply(message).catch(() => {
+        interaction.reply(message).catch(() => {});
       });
     }
     return;
@@ -766,86 +5887,454 @@ client.on("interactionCreate", async (interaction) => {
 
   if (interaction.commandName === "to") {
     try {
-      const timeoutUsers = guild.members.cache
-        .map((m) => ({ member: m, remain: getTimeoutRemaining(m) }))
-        .filter((x) => x.remain !== null)
-        .sort((a, b) => b.remain - a.remain);
+      const locale = guildLocale(guild.id);
+      const timeoutUsers = getActiveTimeouts(guild.id);
 
       if (timeoutUsers.length === 0)
-        return interaction.reply("✅ timeout 中のユーザーはいません");
+        return interaction.reply(t(locale, "to.empty"));
 
       const msg =
-        `⏳ **Timeout 中のユーザー一覧** (${timeoutUsers.length}人)\n\n` +
-        timeoutUsers.map((u, i) => `${i + 1}. **${u.member.user.tag}** ・残り ${formatTime(u.remain)}`).join("\n");
+        `${t(locale, "to.header", { n: timeoutUsers.length })}\n\n` +
+        timeoutUsers
+          .map((u, i) => t(locale, "to.line", { i: i + 1, user: u.userTag, remaining: formatTime(Math.ceil((u.until - Date.now()) / 1000), locale) }))
+          .join("\n");
 
       interaction.reply(msg);
     } catch (err) {
       console.log("TO コマンドエラー:", err.message);
-      interaction.reply("❌ エラーが発生しました").catch(() => {});
+      interaction.reply(t(guildLocale(interaction.guildId), "common.error")).catch(() => {});
+    }
+  }
+
+  // /untimeout /warn /kick /ban /unban /purge
+  if (MOD_COMMANDS.includes(interaction.commandName)) {
+    try {
+      if (!guild) return interaction.reply({ content: t(interactionLocale(interaction), "common.guildOnly"), ephemeral: true });
+      await interaction.deferReply({ ephemeral: interaction.commandName === "purge" });
+      await handleModCommand(interaction);
+    } catch (err) {
+      console.log(`${interaction.commandName.toUpperCase()} コマンドエラー:`, err && (err.message || err));
+      const locale = interaction.commandName === "purge" ? interactionLocale(interaction) : guildLocale(interaction.guildId);
+      await interaction.editReply(t(locale, "common.errorDetail", { message: err.message })).catch(() => {});
     }
+    return;
   }
 
   if (interaction.commandName === "voice-ai") {
     try {
       const mode = interaction.options.getString("mode");
-      voiceUserAICheck = mode === "on";
+      const voiceUserAICheck = setGuildConfig(guild.id, "voiceAICheck", mode === "on").voiceAICheck;
+      const locale = guildLocale(guild.id);
 
-      const status = voiceUserAICheck ? "✅ **有効**" : "❌ **無効**";
+      const status = t(locale, voiceUserAICheck ? "voice.enabled" : "voice.disabled");
       const emoji = voiceUserAICheck ? "🔊" : "🔇";
 
       sendLog(
-        `${emoji} 通話参加者AI判定設定変更`,
-        `**${interaction.user.tag}** が通話参加者へのAI判定を${voiceUserAICheck ? "有効化" : "無効化"}しました`,
+        t(locale, "voice.logTitle", { emoji }),
+        t(locale, voiceUserAICheck ? "voice.logEnabled" : "voice.logDisabled", { mod: interaction.user.tag }),
         voiceUserAICheck ? 0x00ff00 : 0xff0000,
         [
-          { name: "👮 実行管理者", value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
-          { name: "⚙️ 新しい設定", value: status, inline: true },
-        ]
+          { name: t(locale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+          { name: t(locale, "field.newSetting"), value: status, inline: true },
+        ],
+        guild.id,
+        "config"
       );
 
       interaction.reply({
-        content: `${emoji} 通話参加者へのAI判定を ${status} にしました\n\n` +
-                 `通話中のユーザーのメッセージは${voiceUserAICheck ? "AI判定されます" : "AI判定されません"}`,
+        content: t(locale, voiceUserAICheck ? "voice.replyEnabled" : "voice.replyDisabled", { emoji, status }),
         ephemeral: false
       });
 
       console.log(`VOICE AI CHECK → ${voiceUserAICheck ? "ON" : "OFF"} by ${interaction.user.tag}`);
     } catch (err) {
       console.log("VOICE-AI コマンドエラー:", err.message);
-      interaction.reply("❌ エラーが発生しました").catch(() => {});
+      interaction.reply(t(guildLocale(interaction.guildId), "common.error")).catch(() => {});
     }
   }
 
   if (interaction.commandName === "ai-mode") {
     try {
       const mode = interaction.options.getString("mode");
-      aiCheckEnabled = mode === "on";
+      const aiCheckEnabled = setGuildConfig(guild.id, "aiEnabled", mode === "on").aiEnabled;
+      if (aiCheckEnabled) resetCircuit(getClassifierSettings(guild.id).providerId);
+      const locale = guildLocale(guild.id);
 
-      const status = aiCheckEnabled ? "✅ **AI判定有効**" : "⚠️ **キーワードフィルターのみ**";
+      const status = t(locale, aiCheckEnabled ? "aiMode.enabled" : "aiMode.disabled");
       const emoji = aiCheckEnabled ? "🤖" : "📝";
 
       sendLog(
-        `${emoji} AI判定モード変更`,
-        `**${interaction.user.tag}** がAI判定を${aiCheckEnabled ? "有効化" : "無効化"}しました`,
+        t(locale, "aiMode.logTitle", { emoji }),
+        t(locale, aiCheckEnabled ? "aiMode.logEnabled" : "aiMode.logDisabled", { mod: interaction.user.tag }),
         aiCheckEnabled ? 0x00ff00 : 0xffa500,
         [
-          { name: "👮 実行管理者", value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
-          { name: "⚙️ 新しい設定", value: status, inline: true },
-        ]
+          { name: t(locale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+          { name: t(locale, "field.newSetting"), value: status, inline: true },
+        ],
+        guild.id,
+        "config"
       );
 
+      const detail = aiCheckEnabled
+        ? t(locale, "aiMode.replyEnabled", { provider: getClassifierSettings(guild.id).provider.label })
+        : t(locale, "aiMode.replyDisabled");
       interaction.reply({
-        content: `${emoji} AI判定モードを ${status} にしました\n\n` +
-                 (aiCheckEnabled
-                   ? "Gemini AIで判定します（高精度）"
-                   : "キーワードフィルターで動作します（APIクォータ節約）"),
+        content: t(locale, "aiMode.reply", { emoji, status, detail }),
         ephemeral: false
       });
 
       console.log(`AI MODE → ${aiCheckEnabled ? "ON" : "OFF"} by ${interaction.user.tag}`);
     } catch (err) {
       console.log("AI-MODE コマンドエラー:", err.message);
-      interaction.reply("❌ エラーが発生しました").catch(() => {});
+      interaction.reply(t(guildLocale(interaction.guildId), "common.error")).catch(() => {});
+    }
+  }
+  if (interaction.commandName === "ai-status") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const settings = getClassifierSettings(guild.id);
+      const config = getGuildConfig(guild.id);
+      const circuit = getCircuit(settings.providerId);
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "aiStatus.title"))
+        .setColor(circuit.state === "closed" ? 0x00ff00 : circuit.state === "open" ? 0xffa500 : 0x5865f2)
+        .addFields(
+          { name: t(locale, "aiStatus.setting"), value: t(locale, config.aiEnabled ? "aiStatus.enabled" : "aiStatus.disabled"), inline: true },
+          { name: t(locale, "field.provider"), value: `${settings.provider.label} / ${settings.textModel}`, inline: true },
+          { name: t(locale, "aiStatus.circuit"), value: settings.provider.generate ? t(locale, `circuit.${circuit.state}`) : t(locale, "aiStatus.noApi"), inline: false },
+          {
+            name: t(locale, "circuit.field.failures"),
+            value: t(locale, "aiStatus.failuresValue", { n: circuit.failures, threshold: CIRCUIT_FAILURE_THRESHOLD }),
+            inline: true,
+          },
+          { name: t(locale, "aiStatus.totalFailures"), value: t(locale, "common.times", { n: circuit.totalFailures }), inline: true },
+          {
+            name: t(locale, "circuit.field.nextRetry"),
+            value: circuit.state === "open" ? `<t:${Math.floor(circuit.nextRetryAt / 1000)}:R>` : "—",
+            inline: true,
+          },
+          { name: t(locale, "aiStatus.changedAt"), value: `<t:${Math.floor(circuit.changedAt / 1000)}:R>`, inline: true },
+          { name: t(locale, "circuit.field.lastError"), value: circuit.lastError ? circuit.lastError.substring(0, 500) : t(locale, "common.none"), inline: false }
+        );
+
+      interaction.reply({ embeds: [embed], ephemeral: true });
+    } catch (err) {
+      console.log("AI-STATUS コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
+    }
+  }
+
+  if (interaction.commandName === "config") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const sub = interaction.options.getSubcommand();
+      const key = interaction.options.getString("key");
+
+      if (sub === "get") {
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, "config.getTitle", { guild: guild.name }))
+          .setColor(0x5865f2)
+          .addFields(configFields(getGuildConfig(guild.id), key ? [key] : undefined, locale));
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      let config;
+      if (sub === "set") {
+        const def = CONFIG_KEYS[key];
+        let value;
+        try {
+          value = def.parse(interaction.options.getString("value"), guild, getGuildConfig(guild.id));
+        } catch (e) {
+          const message = e.messageKey ? t(locale, e.messageKey, e.vars) : e.message;
+          return interaction.reply({ content: `❌ ${message}`, ephemeral: true });
+        }
+        config = setGuildConfig(guild.id, def.field, value);
+        if (def.field === "aiEnabled" && value) resetCircuit(getClassifierSettings(guild.id).providerId);
+      } else {
+        config = resetGuildConfig(guild.id, key ? CONFIG_KEYS[key].field : null);
+      }
+
+      // タイムアウト表示チャンネルが変わった可能性があれば掲示板を張り直す
+      if (!key || key === "status-channel") updateRealtimeTimeout(guild.id);
+      // 表示言語が変わったら掲示板も新しい言語で描き直す
+      else if (key === "language") refreshStatusBoard(guild.id);
+
+      const changed = key ? [key] : undefined;
+      const logLocale = guildLocale(guild.id);
+      sendLog(
+        t(logLocale, "config.logTitle"),
+        t(logLocale, sub === "set" ? "config.logSet" : "config.logReset", { mod: interaction.user.tag }),
+        0x5865f2,
+        [
+          { name: t(logLocale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+          ...configFields(config, changed, logLocale),
+        ],
+        guild.id,
+        "config"
+      );
+
+      interaction.reply({
+        embeds: [
+          new EmbedBuilder()
+            .setTitle(t(locale, sub === "set" ? "config.setTitle" : "config.resetTitle"))
+            .setColor(0x5865f2)
+            .addFields(configFields(config, changed, locale)),
+        ],
+        ephemeral: true,
+      });
+
+      console.log(`CONFIG ${sub.toUpperCase()} ${key || "(all)"} → guild ${guild.id} by ${interaction.user.tag}`);
+    } catch (err) {
+      console.log("CONFIG コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
+    }
+  }
+  if (interaction.commandName === "history") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const user = interaction.options.getUser("user");
+      const userCases = getUserCases(guild.id, user.id);
+
+      if (userCases.length === 0) {
+        return interaction.reply({ content: t(locale, "history.none", { user: user.tag }), ephemeral: true });
+      }
+
+      // 新しい順に最大 20 件
+      const actionName = (action) => (MESSAGES.ja[`caseAction.${action}`] ? t(locale, `caseAction.${action}`) : action);
+      const lines = userCases
+        .slice(-20)
+        .reverse()
+        .map((c) => `**#${c.id}** ${actionName(c.action)} <t:${Math.floor(c.createdAt / 1000)}:f>` +
+          `${c.source === "auto" ? " 🤖" : ` 👮 ${c.moderatorTag}`}\n└ ${c.reason.split("\n")[0].substring(0, 80)}`);
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "history.title", { user: user.tag, n: userCases.length }))
+        .setDescription(lines.join("\n"))
+        .setColor(0x5865f2)
+        .setFooter({ text: t(locale, "history.footer") });
+
+      interaction.reply({ embeds: [embed], ephemeral: true });
+    } catch (err) {
+      console.log("HISTORY コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
+    }
+  }
+
+  if (interaction.commandName === "case") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const sub = interaction.options.getSubcommand();
+      const id = interaction.options.getInteger("id");
+
+      if (sub === "view") {
+        const modCase = getCase(guild.id, id);
+        if (!modCase) return interaction.reply({ content: t(locale, "case.notFound", { id }), ephemeral: true });
+        return interaction.reply({ embeds: [caseEmbed(modCase, locale)], ephemeral: true });
+      }
+
+      if (sub === "edit-reason") {
+        const before = getCase(guild.id, id)?.reason;
+        const reason = interaction.options.getString("reason");
+        const modCase = updateCaseReason(guild.id, id, reason, interaction.user);
+        if (!modCase) return interaction.reply({ content: t(locale, "case.notFound", { id }), ephemeral: true });
+
+        const logLocale = guildLocale(guild.id);
+        sendLog(
+          t(logLocale, "case.editTitle"),
+          t(logLocale, "case.editDesc", { mod: interaction.user.tag, id }),
+          0x5865f2,
+          [
+            { name: t(logLocale, "field.executor"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false },
+            { name: t(logLocale, "case.before"), value: before.substring(0, 1024) || t(logLocale, "common.none"), inline: false },
+            { name: t(logLocale, "case.after"), value: reason, inline: false },
+          ],
+          guild.id
+        );
+
+        interaction.reply({ content: t(locale, "case.edited", { id }), embeds: [caseEmbed(modCase, locale)], ephemeral: true });
+        console.log(`CASE EDIT #${id} → guild ${guild.id} by ${interaction.user.tag}`);
+      }
+    } catch (err) {
+      console.log("CASE コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
+    }
+  }
+  if (interaction.commandName === "keyword") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const sub = interaction.options.getSubcommand();
+      const list = getKeywordList(guild.id);
+
+      if (sub === "list") {
+        const groups = KEYWORD_TYPES
+          .map((type) => {
+            const entries = list.filter((e) => e.type === type);
+            if (entries.length === 0) return null;
+            const lines = entries.map((e) => `\`${e.pattern}\`${e.category ? ` (${e.category})` : ""}`).join(", ");
+            return { name: `${type} (${entries.length})`, value: lines.substring(0, 1024), inline: false };
+          })
+          .filter(Boolean);
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, "keyword.listTitle", { n: list.length }))
+          .setColor(0x5865f2)
+          .addFields(groups.length > 0 ? groups : [{ name: t(locale, "keyword.empty"), value: "-", inline: false }]);
+        if (!guildKeywords[guild.id]) embed.setFooter({ text: t(locale, "keyword.defaultList") });
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (sub === "test") {
+        const text = interaction.options.getString("text");
+        const { normalized, matches, suppressed } = matchKeywords(text, guild.id);
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, matches.length > 0 ? "keyword.testHit" : "keyword.testClean"))
+          .setColor(matches.length > 0 ? 0xff0000 : 0x00ff00)
+          .addFields(
+            { name: t(locale, "keyword.input"), value: `\`\`\`${text.substring(0, 1000)}\`\`\``, inline: false },
+            { name: t(locale, "keyword.normalized"), value: `\`\`\`${normalized.substring(0, 1000) || " "}\`\`\``, inline: false },
+            {
+              name: t(locale, "keyword.matches"),
+              value: matches.map((e) => `\`${e.pattern}\` (${e.type}, ${e.category || "harassment"})`).join("\n") || t(locale, "common.none"),
+              inline: false,
+            },
+            { name: t(locale, "keyword.suppressed"), value: suppressed.map((e) => `\`${e.pattern}\``).join(", ") || t(locale, "common.none"), inline: false },
+          );
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      const pattern = interaction.options.getString("pattern").trim();
+
+      if (sub === "add") {
+        const type = interaction.options.getString("type") || "word";
+        const category = type === "allow" ? undefined : interaction.options.getString("category") || "harassment";
+        if (type === "regex") {
+          try {
+            new RegExp(pattern, "u");
+          } catch (e) {
+            return interaction.reply({ content: t(locale, "keyword.badRegex", { error: e.message }), ephemeral: true });
+          }
+        } else if (!normalizeForMatch(pattern)) {
+          return interaction.reply({ content: t(locale, "keyword.emptyPattern"), ephemeral: true });
+        }
+        if (list.some((e) => e.pattern === pattern && e.type === type)) {
+          return interaction.reply({ content: t(locale, "keyword.exists", { pattern, type }), ephemeral: true });
+        }
+        saveKeywordList(guild.id, [...list, { type, pattern, ...(category ? { category } : {}) }]);
+      } else if (sub === "remove") {
+        if (!list.some((e) => e.pattern === pattern)) {
+          return interaction.reply({ content: t(locale, "keyword.missing", { pattern }), ephemeral: true });
+        }
+        saveKeywordList(guild.id, list.filter((e) => e.pattern !== pattern));
+      }
+
+      const logLocale = guildLocale(guild.id);
+      sendLog(
+        t(logLocale, "keyword.logTitle"),
+        t(logLocale, sub === "add" ? "keyword.logAdded" : "keyword.logRemoved", { mod: interaction.user.tag, pattern }),
+        0x5865f2,
+        [{ name: t(logLocale, "field.admin"), value: `${interaction.user.tag} (${interaction.user.id})`, inline: false }],
+        guild.id,
+        "config"
+      );
+      interaction.reply({ content: t(locale, sub === "add" ? "keyword.added" : "keyword.removed", { pattern }), ephemeral: true });
+      console.log(`KEYWORD ${sub.toUpperCase()} ${pattern} → guild ${guild.id} by ${interaction.user.tag}`);
+    } catch (err) {
+      console.log("KEYWORD コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
+    }
+  }
+  if (interaction.commandName === "raid") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "status") {
+        const state = raidState[guild.id];
+        return interaction.reply({
+          content: state
+            ? t(locale, "raid.status", {
+              start: Math.floor(state.startedAt / 1000),
+              end: Math.floor(state.endsAt / 1000),
+              n: state.lockedChannels.length,
+              reason: state.reason,
+            })
+            : t(locale, "raid.inactive"),
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "start") {
+        const input = interaction.options.getString("duration");
+        const durationMs = input ? parseDuration(input) : getGuildConfig(guild.id).spamRules.raidDuration;
+        if (!durationMs) return interaction.reply({ content: t(locale, "raid.badDuration"), ephemeral: true });
+
+        await interaction.deferReply({ ephemeral: true });
+        const reason = t(guildLocale(guild.id), "raid.manualReason", { user: interaction.user.tag });
+        const started = await startRaidMode(guild, reason, durationMs);
+        return interaction.editReply(t(locale, started ? "raid.started" : "raid.alreadyActive"));
+      }
+
+      if (sub === "end") {
+        await interaction.deferReply({ ephemeral: true });
+        const ended = await endRaidMode(guild.id, interaction.user);
+        return interaction.editReply(t(locale, ended ? "raid.ended" : "raid.notActive"));
+      }
+    } catch (err) {
+      console.log("RAID コマンドエラー:", err.message);
+      const message = t(interactionLocale(interaction), "common.error");
+      interaction.reply({ content: message, ephemeral: true }).catch(() => {
+        interaction.editReply(message).catch(() => {});
+      });
+    }
+  }
+  if (interaction.commandName === "review") {
+    try {
+      const locale = interactionLocale(interaction);
+      if (!guild) return interaction.reply({ content: t(locale, "common.guildOnly"), ephemeral: true });
+
+      const stats = reviewStats(guild.id);
+      const rate = (fp, total) => (total > 0 ? `${Math.round((fp / total) * 100)}%` : "-");
+      const categoryName = (c) => (MESSAGES.ja[`category.${c}`] ? t(locale, `category.${c}`) : c);
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, "reviewStats.title"))
+        .setColor(0x5865f2)
+        .addFields(
+          {
+            name: t(locale, "field.count"),
+            value: t(locale, "reviewStats.countValue", { total: stats.total, decided: stats.decided, pending: stats.pending }),
+            inline: false,
+          },
+          {
+            name: t(locale, "reviewStats.decisions"),
+            value: Object.entries(stats.byAction).map(([a, n]) => `${t(locale, `review.decision.${a}`)}: ${n}`).join("\n"),
+            inline: false,
+          },
+          { name: t(locale, "reviewStats.falsePositive"), value: rate(stats.byAction.dismiss, stats.decided), inline: true },
+          {
+            name: t(locale, "reviewStats.falsePositiveByCategory"),
+            value: Object.entries(stats.byCategory)
+              .map(([c, v]) => `${categoryName(c)}: ${rate(v.falsePositive, v.total)}（${v.falsePositive}/${v.total}）`)
+              .join("\n") || t(locale, "common.noData"),
+            inline: false,
+          },
+        )
+        .setFooter({ text: t(locale, "reviewStats.shadow", { state: getGuildConfig(guild.id).shadowMode ? "ON" : "OFF" }) });
+      interaction.reply({ embeds: [embed], ephemeral: true });
+    } catch (err) {
+      console.log("REVIEW コマンドエラー:", err.message);
+      interaction.reply({ content: t(interactionLocale(interaction), "common.error"), ephemeral: true }).catch(() => {});
     }
   }
 });
@@ -855,7 +6344,7 @@ client.on("interactionCreate", async (interaction) => {
 // ====================================
 client.on("error", (error) => {
   console.log("Discord Client Error:", error && (error.message || error));
-  sendLog("❌ Bot エラー", error && (error.message || String(error)), 0xff0000);
+  sendLog(t(guildLocale(null), "bot.errorTitle"), error && (error.message || String(error)), 0xff0000, [], null, "error");
 });
 
 process.on("unhandledRejection", (error) => {
@@ -871,8 +6360,12 @@ process.on("uncaughtException", (err) => {
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received: shutting down gracefully");
   try {
-    if (updateInterval) clearInterval(updateInterval);
-    await sendLog("⚠️ Bot 停止", "プロセスが停止シグナルを受け取りました", 0xffa500);
+    for (const guildId of [...statusBoards.keys()]) stopRealtimeTimeout(guildId);
+    saveVerdictCache();
+    const locale = guildLocale(null);
+    await sendLog(t(locale, "bot.stopTitle"), t(locale, "bot.stopDesc"), 0xffa500, [], null, "lifecycle");
+    // まとめ送信待ちのログを送り切る（届かなければフォールバックのファイルへ）
+    await flushLogDigests();
   } catch (e) {
     console.log("shutdown error:", e && e.message);
   } finally {
@@ -883,19 +6376,521 @@ process.on("SIGTERM", async () => {
 // ====================================
 // Bot 起動
 // ====================================
-console.log("Discord 接続中…");
-client.login(process.env.DISCORD_TOKEN).catch((e) => {
-  console.log("Discord login failed:", e && e.message);
-});
+if (IS_ENTRY) {
+  console.log("Discord 接続中…");
+  client.login(process.env.DISCORD_TOKEN).catch((e) => {
+    console.log("Discord login failed:", e && e.message);
+  });
+}
 
 // ====================================
 // Web サーバー（Render対策）
 // ====================================
 const app = express();
 const port = process.env.PORT || 3000;
+// Render などのリバースプロキシの内側では、X-Forwarded-For から接続元の IP を取る（req.ip が操作ログに残る）。
+// TRUST_PROXY で信頼するプロキシのホップ数かアドレスを指定する。
+// 既定では信頼しない（プロキシを通さずに公開しているとヘッダーで接続元を偽装できるため）
+const TRUST_PROXY = process.env.TRUST_PROXY ?? "false";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY === "false" ? false : TRUST_PROXY);
 app.get("/", (req, res) => {
   res.json({ status: "Bot is running!", uptime: process.uptime(), now: new Date().toISOString() });
 });
-app.listen(port, () => {
-  console.log(`Web server listening on port ${port}`);
-});
\ No newline at end of file
+
+// ゲートウェイの遅延がこれを超えたら readyz は 503
+const READY_MAX_PING = Number(process.env.READY_MAX_PING) || 2000;
+
+// AI 判定を使っているギルドのプロバイダーごとのサーキット状態
+function classifierAvailability() {
+  const providers = {};
+  for (const guildId of client.guilds.cache.keys()) {
+    const settings = getClassifierSettings(guildId);
+    if (!settings.provider.generate || !getGuildConfig(guildId).aiEnabled) continue;
+    const circuit = getCircuit(settings.providerId);
+    providers[settings.providerId] = { state: circuit.state, available: !isCircuitBlocking(settings.providerId) };
+  }
+  return providers;
+}
+
+// 生存確認: Discord に接続できていなければ 503
+app.get("/healthz", (req, res) => {
+  const ready = client.isReady();
+  res.status(ready ? 200 : 503).json({ status: ready ? "ok" : "disconnected", uptime: process.uptime() });
+});
+
+// 稼働確認: 接続・ゲートウェイ遅延・判定プロバイダーがすべて正常なら 200
+app.get("/readyz", (req, res) => {
+  const ready = client.isReady();
+  const ping = ready ? client.ws.ping : null;
+  const classifiers = classifierAvailability();
+  const checks = {
+    discord: ready,
+    // 最初のハートビート前は -1 になる
+    gateway: ready && (ping < 0 || ping <= READY_MAX_PING),
+    classifier: Object.values(classifiers).every((c) => c.available),
+  };
+  const ok = Object.values(checks).every(Boolean);
+  res.status(ok ? 200 : 503).json({ status: ok ? "ready" : "not ready", checks, ping, classifiers });
+});
+
+app.get("/metrics", (req, res) => {
+  const ready = client.isReady();
+  const circuitSamples = [];
+  for (const [providerId, circuit] of circuits) {
+    for (const state of CIRCUIT_STATES) {
+      circuitSamples.push([{ provider: providerId, state }, circuit.state === state ? 1 : 0]);
+    }
+  }
+
+  const body = [
+    metrics.verdicts.render(),
+    metrics.apiLatency.render(),
+    metrics.apiRetries.render(),
+    metrics.apiRateLimited.render(),
+    metrics.timeoutsIssued.render(),
+    metrics.boardEditErrors.render(),
+    metrics.logsSent.render(),
+    renderGauge("lookingbot_api_queue_depth", "判定 API の待ち行列の長さ（実行中を含む）", [[{}, apiQueueDepth]]),
+    renderGauge("lookingbot_discord_ready", "Discord に接続済みなら 1", [[{}, ready ? 1 : 0]]),
+    renderGauge("lookingbot_gateway_ping_milliseconds", "ゲートウェイのハートビート遅延", ready ? [[{}, client.ws.ping]] : []),
+    renderGauge("lookingbot_ai_circuit_state", "判定 API のサーキット状態（該当する状態が 1）", circuitSamples),
+    renderGauge("lookingbot_verdict_cache_entries", "判定キャッシュの件数", [[{}, verdictCache.size]]),
+    renderGauge("lookingbot_status_boards", "更新中のタイムアウト一覧掲示板の数", [[{}, statusBoards.size]]),
+  ];
+  res.type("text/plain; version=0.0.4").send(body.join("\n\n") + "\n");
+});
+
+// ====================================
+// 管理 API / ダッシュボード
+// ====================================
+// ADMIN_API_TOKENS="名前:トークン,名前:トークン"。名前は操作ログに実行者として残る
+// トークンが 1 つも設定されていなければ API は無効。16 文字未満のトークンは使わない（起動時に警告する）
+const ADMIN_TOKEN_MIN_LENGTH = 16;
+const adminTokens = (process.env.ADMIN_API_TOKENS || "")
+  .split(",")
+  .map((pair) => pair.trim())
+  .filter(Boolean)
+  .map((pair, n) => {
+    const i = pair.indexOf(":");
+    if (i <= 0) {
+      console.log(`⚠️ ADMIN_API_TOKENS の ${n + 1} 番目は「名前:トークン」の形式ではないため無視します`);
+      return null;
+    }
+    const entry = { name: pair.slice(0, i), token: pair.slice(i + 1) };
+    if (entry.token.length < ADMIN_TOKEN_MIN_LENGTH) {
+      console.log(`⚠️ ADMIN_API_TOKENS の ${entry.name} はトークンが ${ADMIN_TOKEN_MIN_LENGTH} 文字未満のため無視します`);
+      return null;
+    }
+    return entry;
+  })
+  .filter(Boolean);
+
+function findAdminToken(token) {
+  const given = Buffer.from(String(token));
+  return adminTokens.find((t) => {
+    const expected = Buffer.from(t.token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }) || null;
+}
+
+// トークンの総当たり対策: 接続元ごとに認証の失敗を数え、上限を超えたら期間が明けるまで 429 を返す
+const ADMIN_AUTH_MAX_FAILURES = 10;
+const ADMIN_AUTH_WINDOW = 15 * 60 * 1000;
+const adminAuthFailures = new Map(); // ip -> { count, resetAt }
+
+// API の応答は Accept-Language（無ければ対象ギルド → 既定）の言語にする
+function apiLocale(req) {
+  const fallback = guildLocale(req.guild?.id ?? null);
+  return req.get("accept-language") ? req.acceptsLanguages(...LOCALES) || fallback : fallback;
+}
+
+function apiError(req, res, status, key, vars) {
+  return res.status(status).json({ error: t(apiLocale(req), key, vars) });
+}
+
+function requireAdminToken(req, res, next) {
+  if (adminTokens.length === 0) return apiError(req, res, 503, "api.error.disabled");
+  const now = Date.now();
+  let failures = adminAuthFailures.get(req.ip);
+  if (failures && failures.resetAt <= now) {
+    adminAuthFailures.delete(req.ip);
+    failures = null;
+  }
+  if (failures && failures.count >= ADMIN_AUTH_MAX_FAILURES) {
+    res.set("Retry-After", String(Math.ceil((failures.resetAt - now) / 1000)));
+    return apiError(req, res, 429, "api.error.tooManyFailures");
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  const admin = match && findAdminToken(match[1]);
+  if (!admin) {
+    if (!failures) {
+      // 期限切れの記録を掃除してから数え始める
+      for (const [ip, f] of adminAuthFailures) if (f.resetAt <= now) adminAuthFailures.delete(ip);
+      failures = { count: 0, resetAt: now + ADMIN_AUTH_WINDOW };
+      adminAuthFailures.set(req.ip, failures);
+    }
+    failures.count += 1;
+    if (failures.count === ADMIN_AUTH_MAX_FAILURES) console.log(`⚠️ 管理 API の認証失敗が上限に達しました (${req.ip})`);
+    return apiError(req, res, 401, "api.error.unauthorized");
+  }
+  req.admin = { name: admin.name, ip: req.ip };
+  next();
+}
+
+// 対象ギルドを解決（Bot が参加していなければ 404）
+function requireGuild(req, res, next) {
+  const guild = client.guilds.cache.get(req.params.guildId);
+  if (!guild) return apiError(req, res, 404, "api.error.guildNotFound");
+  req.guild = guild;
+  next();
+}
+
+function apiActor(req, locale) {
+  return t(locale, "api.actor", { name: req.admin.name, ip: req.admin.ip });
+}
+
+const api = express.Router();
+api.use(express.json({ limit: "16kb" }));
+api.use(requireAdminToken);
+
+api.get("/guilds", (req, res) => {
+  res.json(client.guilds.cache.map((g) => ({ id: g.id, name: g.name })));
+});
+
+api.get("/guilds/:guildId/settings", requireGuild, (req, res) => {
+  const config = getGuildConfig(req.guild.id);
+  res.json({ aiEnabled: config.aiEnabled, voiceAICheck: config.voiceAICheck });
+});
+
+// AI 判定・通話参加者の AI 判定の切り替え
+api.patch("/guilds/:guildId/settings", requireGuild, (req, res) => {
+  const changes = {};
+  for (const field of ["aiEnabled", "voiceAICheck"]) {
+    if (req.body?.[field] === undefined) continue;
+    if (typeof req.body[field] !== "boolean") return apiError(req, res, 400, "api.error.boolean", { field });
+    changes[field] = req.body[field];
+  }
+  if (Object.keys(changes).length === 0) return apiError(req, res, 400, "api.error.noChanges");
+
+  let config;
+  for (const [field, value] of Object.entries(changes)) config = setGuildConfig(req.guild.id, field, value);
+  if (changes.aiEnabled) resetCircuit(getClassifierSettings(req.guild.id).providerId);
+
+  const locale = guildLocale(req.guild.id);
+  const labels = { aiEnabled: "config.ai", voiceAICheck: "config.voice-ai" };
+  sendLog(
+    t(locale, "api.settingsTitle"),
+    t(locale, "api.settingsDesc", { name: req.admin.name }),
+    0x5865f2,
+    [
+      { name: t(locale, "field.executor"), value: apiActor(req, locale), inline: false },
+      ...Object.entries(changes).map(([field, value]) => ({
+        name: t(locale, labels[field]),
+        value: t(locale, value ? "common.enabled" : "common.disabled"),
+        inline: true,
+      })),
+    ],
+    req.guild.id,
+    "config"
+  );
+  console.log(`API SETTINGS → ${JSON.stringify(changes)} by ${req.admin.name}`);
+  res.json({ aiEnabled: config.aiEnabled, voiceAICheck: config.voiceAICheck });
+});
+
+api.get("/guilds/:guildId/verdicts", requireGuild, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, RECENT_VERDICT_LIMIT);
+  res.json(recentVerdicts.filter((v) => v.guildId === req.guild.id).slice(-limit).reverse());
+});
+
+// 直近のタイムアウト関連のケース
+api.get("/guilds/:guildId/cases", requireGuild, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const actions = req.query.action ? String(req.query.action).split(",") : null;
+  const cases = (caseDb[req.guild.id]?.cases || []).filter((c) => !actions || actions.includes(c.action));
+  res.json(cases.slice(-limit).reverse());
+});
+
+// 現在タイムアウト中のメンバー（/to と同じ内容）
+api.get("/guilds/:guildId/timeouts", requireGuild, (req, res) => {
+  const members = getActiveTimeouts(req.guild.id).map((e) => ({
+    userId: e.userId,
+    userTag: e.userTag,
+    remainingSeconds: Math.ceil((e.until - Date.now()) / 1000),
+    until: e.until,
+    executorTag: e.executorTag,
+  }));
+  res.json(members);
+});
+
+api.post("/guilds/:guildId/timeouts", requireGuild, async (req, res) => {
+  const { userId, duration, reason } = req.body || {};
+  const ms = parseDuration(duration);
+  if (!userId || typeof userId !== "string") return apiError(req, res, 400, "api.error.userId");
+  if (!ms) return apiError(req, res, 400, "api.error.duration");
+  if (ms > MAX_TIMEOUT * 1000) return apiError(req, res, 400, "api.error.tooLong");
+  if (!reason || typeof reason !== "string") return apiError(req, res, 400, "api.error.reason");
+
+  try {
+    const member = await req.guild.members.fetch(userId);
+    // スラッシュコマンドと同じく、サーバー所有者・モデレーター・Bot より上のロールのメンバーは対象にしない
+    if (member.id === req.guild.ownerId || member.permissions.has(PermissionFlagsBits.ModerateMembers) || !member.moderatable) {
+      return apiError(req, res, 403, "api.error.protected");
+    }
+    await member.timeout(ms, `${reason} (API: ${req.admin.name})`.substring(0, 500));
+    metrics.timeoutsIssued.inc({ source: "manual" });
+
+    const modCase = createCase(req.guild.id, {
+      action: "timeout",
+      duration: ms,
+      source: "api",
+      userId: member.id,
+      userTag: member.user.tag,
+      moderatorId: null,
+      moderatorTag: `API: ${req.admin.name}`,
+      channelId: null,
+      reason,
+    });
+
+    const locale = guildLocale(req.guild.id);
+    sendLog(
+      t(locale, "api.timeoutTitle"),
+      t(locale, "api.timeoutDesc", { name: req.admin.name, user: member.user.tag }),
+      0xffa500,
+      [
+        { name: t(locale, "field.target"), value: `${member.user.tag} (${member.id})`, inline: false },
+        { name: t(locale, "field.executor"), value: apiActor(req, locale), inline: false },
+        { name: t(locale, "field.timeoutDuration"), value: formatTime(Math.floor(ms / 1000), locale), inline: true },
+        { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+        { name: t(locale, "field.caseReason"), value: reason.substring(0, 1024), inline: false },
+      ],
+      req.guild.id
+    );
+    console.log(`API TIMEOUT → ${member.user.tag} by ${req.admin.name}`);
+    res.status(201).json(modCase);
+  } catch (err) {
+    console.log("API タイムアウトエラー:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+api.delete("/guilds/:guildId/timeouts/:userId", requireGuild, async (req, res) => {
+  const reason = req.body?.reason || req.query.reason;
+  if (!reason || typeof reason !== "string") return apiError(req, res, 400, "api.error.reason");
+
+  try {
+    const member = await req.guild.members.fetch(req.params.userId);
+    if (getTimeoutRemaining(member) === null) return apiError(req, res, 409, "api.error.notTimedOut");
+    await member.timeout(null, `${reason} (API: ${req.admin.name})`.substring(0, 500));
+
+    const modCase = createCase(req.guild.id, {
+      action: "untimeout",
+      source: "api",
+      userId: member.id,
+      userTag: member.user.tag,
+      moderatorId: null,
+      moderatorTag: `API: ${req.admin.name}`,
+      channelId: null,
+      reason,
+    });
+
+    const locale = guildLocale(req.guild.id);
+    sendLog(
+      t(locale, "api.untimeoutTitle"),
+      t(locale, "api.untimeoutDesc", { name: req.admin.name, user: member.user.tag }),
+      0x00ff00,
+      [
+        { name: t(locale, "field.target"), value: `${member.user.tag} (${member.id})`, inline: false },
+        { name: t(locale, "field.executor"), value: apiActor(req, locale), inline: false },
+        { name: t(locale, "field.case"), value: `#${modCase.id}`, inline: true },
+        { name: t(locale, "field.caseReason"), value: reason.substring(0, 1024), inline: false },
+      ],
+      req.guild.id
+    );
+    console.log(`API UNTIMEOUT → ${member.user.tag} by ${req.admin.name}`);
+    res.json(modCase);
+  } catch (err) {
+    console.log("API タイムアウト解除エラー:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.use("/api", api);
+
+// ダッシュボード（ページ自体にはデータを含めず、トークンを使って API から取得する）
+// 文言はブラウザの言語に合わせる（スクリプト内で使う文言は L にまとめて渡す）
+function dashboardHtml(locale) {
+  const d = (key) => t(locale, `dashboard.${key}`);
+  const scriptText = Object.fromEntries(
+    ["user", "id", "until", "lift", "liftPrompt", "date", "action", "executor", "auto", "kind", "result", "method", "category", "content", "reason"]
+      .map((key) => [key, d(key)])
+  );
+  return `<!doctype html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${d("title")}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; max-width: 1100px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; font-size: 14px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  .flagged { background: #fee; }
+  section { margin-bottom: 2em; }
+  #error { color: #c00; }
+</style>
+</head>
+<body>
+<h1>${d("title")}</h1>
+<p>
+  <input id="token" type="password" placeholder="${d("token")}" size="40">
+  <button id="login">${d("connect")}</button>
+  <select id="guild"></select>
+  <span id="error"></span>
+</p>
+<section>
+  <h2>${d("settings")}</h2>
+  <label><input type="checkbox" id="aiEnabled"> ${d("aiEnabled")}</label>
+  <label><input type="checkbox" id="voiceAICheck"> ${d("voiceAICheck")}</label>
+</section>
+<section>
+  <h2>${d("timeouts")}</h2>
+  <table id="timeouts"></table>
+  <form id="timeout-form">
+    <input name="userId" placeholder="${d("userId")}" required>
+    <input name="duration" placeholder="${d("durationPlaceholder")}" required>
+    <input name="reason" placeholder="${d("reason")}" required size="40">
+    <button>${d("timeout")}</button>
+  </form>
+</section>
+<section><h2>${d("recentCases")}</h2><table id="cases"></table></section>
+<section><h2>${d("recentVerdicts")}</h2><table id="verdicts"></table></section>
+<script>
+const L = ${JSON.stringify(scriptText)};
+const $ = (id) => document.getElementById(id);
+$("token").value = sessionStorage.getItem("token") || "";
+const guildId = () => $("guild").value;
+
+async function call(method, path, body) {
+  const res = await fetch("/api" + path, {
+    method,
+    headers: { Authorization: "Bearer " + $("token").value, "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || res.status);
+  $("error").textContent = "";
+  return data;
+}
+
+function table(el, headers, rows) {
+  el.replaceChildren();
+  const head = el.insertRow();
+  headers.forEach((h) => { const th = document.createElement("th"); th.textContent = h; head.appendChild(th); });
+  for (const { cells, className } of rows) {
+    const tr = el.insertRow();
+    if (className) tr.className = className;
+    for (const c of cells) {
+      const td = tr.insertCell();
+      if (c instanceof Node) td.appendChild(c); else td.textContent = c ?? "";
+    }
+  }
+}
+
+const time = (ms) => new Date(ms).toLocaleString(${JSON.stringify(DISCORD_LOCALES[locale][0])});
+
+async function refresh() {
+  if (!guildId()) return;
+  try {
+    const g = "/guilds/" + guildId();
+    const [settings, timeouts, cases, verdicts] = await Promise.all([
+      call("GET", g + "/settings"),
+      call("GET", g + "/timeouts"),
+      call("GET", g + "/cases?action=timeout,untimeout&limit=20"),
+      call("GET", g + "/verdicts?limit=50"),
+    ]);
+    $("aiEnabled").checked = settings.aiEnabled;
+    $("voiceAICheck").checked = settings.voiceAICheck;
+    table($("timeouts"), [L.user, L.id, L.until, ""], timeouts.map((t) => {
+      const btn = document.createElement("button");
+      btn.textContent = L.lift;
+      btn.onclick = () => lift(t.userId);
+      return { cells: [t.userTag, t.userId, time(t.until), btn] };
+    }));
+    table($("cases"), ["#", L.date, L.action, L.user, L.executor, L.reason], cases.map((c) => ({
+      cells: [c.id, time(c.createdAt), c.action, c.userTag, c.source === "auto" ? L.auto : c.moderatorTag, c.reason],
+    })));
+    table($("verdicts"), [L.date, L.user, L.kind, L.result, L.method, L.category, L.content, L.reason], verdicts.map((v) => ({
+      className: v.result === "flagged" ? "flagged" : "",
+      cells: [time(v.at), v.userTag, v.kind, v.result, v.method, v.category, v.content, v.reason],
+    })));
+  } catch (e) {
+    $("error").textContent = e.message;
+  }
+}
+
+async function lift(userId) {
+  const reason = prompt(L.liftPrompt);
+  if (!reason) return;
+  try { await call("DELETE", "/guilds/" + guildId() + "/timeouts/" + userId, { reason }); } catch (e) { $("error").textContent = e.message; }
+  refresh();
+}
+
+for (const field of ["aiEnabled", "voiceAICheck"]) {
+  $(field).onchange = async () => {
+    try { await call("PATCH", "/guilds/" + guildId() + "/settings", { [field]: $(field).checked }); } catch (e) { $("error").textContent = e.message; }
+    refresh();
+  };
+}
+
+$("timeout-form").onsubmit = async (e) => {
+  e.preventDefault();
+  try {
+    await call("POST", "/guilds/" + guildId() + "/timeouts", Object.fromEntries(new FormData(e.target)));
+    e.target.reset();
+  } catch (err) { $("error").textContent = err.message; }
+  refresh();
+};
+
+$("login").onclick = async () => {
+  sessionStorage.setItem("token", $("token").value);
+  try {
+    const guilds = await call("GET", "/guilds");
+    $("guild").replaceChildren(...guilds.map((g) => new Option(g.name, g.id)));
+    refresh();
+  } catch (e) { $("error").textContent = e.message; }
+};
+$("guild").onchange = refresh;
+setInterval(refresh, 15000);
+</script>
+</body>
+</html>`;
+}
+
+app.get("/admin", (req, res) => {
+  res.type("html").send(dashboardHtml(apiLocale(req)));
+});
+
+if (IS_ENTRY) {
+  app.listen(port, () => {
+    console.log(`Web server listening on port ${port}`);
+  });
+}
+
+// eval.mjs（オフライン評価）とテスト（test/）から使う処理
+export {
+  CLASSIFIER_PROVIDERS,
+  VERDICT_CATEGORIES,
+  buildTextPrompt,
+  classifyText,
+  getClassifierSettings,
+  getGuildConfig,
+  getStrikeStep,
+  matchKeywords,
+  mostSevereStep,
+  normalizeForMatch,
+  parseBatchVerdicts,
+  parseDuration,
+  parseVerdict,
+  saveKeywordList,
+  simpleKeywordCheck,
+};
\ No newline at end of file
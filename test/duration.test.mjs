@@ -0,0 +1,31 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// main.mjs は読み込み時にカレントディレクトリの JSON を読み書きするので、一時ディレクトリで読み込む
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "looking-bot-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { parseDuration } = await import("../main.mjs");
+
+test("parseDuration は単位付きの期間を ms にする", () => {
+  assert.equal(parseDuration("30m"), 30 * 60 * 1000);
+  assert.equal(parseDuration("1h30m"), 90 * 60 * 1000);
+  assert.equal(parseDuration("1d"), 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration(" 2H 5S "), 2 * 60 * 60 * 1000 + 5000);
+});
+
+test("parseDuration は単位なしの数値を秒として扱う", () => {
+  assert.equal(parseDuration("90"), 90 * 1000);
+  assert.equal(parseDuration(45), 45 * 1000);
+});
+
+test("parseDuration は読めない値と 0 に null を返す", () => {
+  assert.equal(parseDuration(""), null);
+  assert.equal(parseDuration(null), null);
+  assert.equal(parseDuration("abc"), null);
+  assert.equal(parseDuration("10x"), null);
+  assert.equal(parseDuration("0m"), null);
+});
@@ -0,0 +1,46 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// eval.mjs が読み込む main.mjs はカレントディレクトリの JSON を読み書きするので、一時ディレクトリで読み込む
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "looking-bot-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { summarize } = await import("../eval.mjs");
+
+const results = [
+  { label: "none", predicted: "none", ms: 100, method: "ai" },
+  { label: "none", predicted: "spam", ms: 200, method: "ai" },
+  { label: "harassment", predicted: "harassment", ms: 300, method: "ai" },
+  { label: "harassment", predicted: "threats", ms: 400, method: "ai" },
+  { label: "threats", predicted: "none", ms: 500, method: "keyword", error: "API Timeout" },
+];
+
+test("summarize は全体を「問題ありを当てられたか」で集計する", () => {
+  const { summary } = summarize(results);
+  assert.equal(summary.total, 5);
+  // 問題あり 3 件中 2 件を検出、検出 3 件中 2 件が正しい
+  assert.equal(summary.precision, 2 / 3);
+  assert.equal(summary.recall, 2 / 3);
+  assert.equal(summary.accuracy, 2 / 5);
+  assert.equal(summary.errors, 1);
+  assert.deepEqual(summary.methods, { ai: 4, keyword: 1 });
+});
+
+test("summarize はカテゴリごとの TP / FP / FN / TN と混同行列を出す", () => {
+  const { categories, confusion } = summarize(results);
+  assert.deepEqual(categories.harassment, { tp: 1, fp: 0, fn: 1, tn: 3, precision: 1, recall: 0.5 });
+  assert.deepEqual(categories.threats, { tp: 0, fp: 1, fn: 1, tn: 3, precision: 0, recall: 0 });
+  assert.equal(categories.hate.precision, null);
+  assert.equal(confusion.harassment.threats, 1);
+  assert.equal(confusion.none.spam, 1);
+});
+
+test("summarize は応答時間の平均とパーセンタイルを出し、0 件なら null にする", () => {
+  assert.deepEqual(summarize(results).summary.latency, { avg: 300, p50: 300, p95: 500, max: 500 });
+  const empty = summarize([]).summary;
+  assert.equal(empty.precision, null);
+  assert.deepEqual(empty.latency, { avg: null, p50: null, p95: null, max: null });
+});
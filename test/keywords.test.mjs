@@ -0,0 +1,76 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// main.mjs は読み込み時にカレントディレクトリの JSON を読み書きするので、一時ディレクトリで読み込む
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "looking-bot-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { normalizeForMatch, matchKeywords, saveKeywordList } = await import("../main.mjs");
+
+const GUILD = "test-guild";
+saveKeywordList(GUILD, [
+  { type: "word", pattern: "バカ", category: "harassment" },
+  { type: "word", pattern: "sex", category: "sexual" },
+  { type: "allow", pattern: "sussex" },
+  { type: "whole", pattern: "ass", category: "harassment" },
+  { type: "whole", pattern: "kill", category: "threats" },
+  { type: "regex", pattern: "discord\\.gg/\\w+", category: "spam" },
+]);
+
+const matched = (text) => matchKeywords(text, GUILD).matches.map((e) => e.pattern);
+
+test("normalizeForMatch は全角・大文字・カタカナ・区切り・ゼロ幅文字の揺れを吸収する", () => {
+  assert.equal(normalizeForMatch("ＢＡＫＡ"), "baka");
+  assert.equal(normalizeForMatch("バカ"), "ばか");
+  assert.equal(normalizeForMatch("b.a-k a!"), "baka");
+  assert.equal(normalizeForMatch("ba​ka"), "baka");
+});
+
+test("normalizeForMatch は長音符を除き、かな・漢字の連続だけを圧縮する", () => {
+  assert.equal(normalizeForMatch("ばーーーか"), "ばか");
+  assert.equal(normalizeForMatch("ば〜か"), "ばか");
+  assert.equal(normalizeForMatch("しねええええ"), "しねえ");
+  assert.equal(normalizeForMatch("ASS"), "ass");
+  assert.equal(normalizeForMatch("skill"), "skill");
+});
+
+test("normalizeForMatch は keepSeparators で区切りを空白 1 つにして残す", () => {
+  assert.equal(normalizeForMatch("you,  ASS!", { keepSeparators: true }), "you ass ");
+});
+
+test("word は正規化したテキストのどこに含まれても一致する", () => {
+  assert.deepEqual(matched("お前ばか"), ["バカ"]);
+  assert.deepEqual(matched("ﾊﾞ・カ"), ["バカ"]);
+  assert.deepEqual(matched("こんにちは"), []);
+});
+
+test("既定の一覧は長音符を挟んだ語にも一致する", () => {
+  assert.deepEqual(matchKeywords("ばーか", "default-guild").matches.map((e) => e.pattern), ["ばか"]);
+  assert.deepEqual(matchKeywords("バ〜カ", "default-guild").matches.map((e) => e.pattern), ["ばか"]);
+});
+
+test("allow に含まれる部分は一致から外し、suppressed に入れる", () => {
+  const result = matchKeywords("I live in Sussex", GUILD);
+  assert.deepEqual(result.matches, []);
+  assert.deepEqual(result.suppressed.map((e) => e.pattern), ["sex"]);
+  // allow の外にも出てくれば一致する
+  assert.deepEqual(matched("sussex sex"), ["sex"]);
+});
+
+test("whole は前後がラテン文字でないときだけ一致する", () => {
+  assert.deepEqual(matched("you ass"), ["ass"]);
+  assert.deepEqual(matched("ass君"), ["ass"]);
+  assert.deepEqual(matched("first class"), []);
+  assert.deepEqual(matched("assistant"), []);
+  assert.deepEqual(matched("as soon as possible"), []);
+  assert.deepEqual(matched("skill issue"), []);
+  assert.deepEqual(matched("I will kill you"), ["kill"]);
+});
+
+test("regex は正規化前のテキストに適用する", () => {
+  assert.deepEqual(matched("join discord.gg/abc123"), ["discord\\.gg/\\w+"]);
+  assert.deepEqual(matched("discord gg abc"), []);
+});
@@ -0,0 +1,27 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// main.mjs は読み込み時にカレントディレクトリの JSON を読み書きするので、一時ディレクトリで読み込む
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "looking-bot-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { getStrikeStep, mostSevereStep } = await import("../main.mjs");
+
+test("getStrikeStep は回数に応じた段階を返し、段階表を超えたら最後の段階を繰り返す", () => {
+  const ladder = ["warn", "10m", "1h", "ban"];
+  assert.equal(getStrikeStep(ladder, 1), "warn");
+  assert.equal(getStrikeStep(ladder, 2), "10m");
+  assert.equal(getStrikeStep(ladder, 4), "ban");
+  assert.equal(getStrikeStep(ladder, 10), "ban");
+});
+
+test("mostSevereStep は warn < 短いタイムアウト < 長いタイムアウト < kick < ban の順で比べる", () => {
+  assert.equal(mostSevereStep(["warn", "10m"]), "10m");
+  assert.equal(mostSevereStep(["1h", "10m", "warn"]), "1h");
+  assert.equal(mostSevereStep(["1d", "kick"]), "kick");
+  assert.equal(mostSevereStep(["ban", "kick", "warn"]), "ban");
+  assert.equal(mostSevereStep(["warn"]), "warn");
+});
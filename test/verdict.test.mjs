@@ -0,0 +1,66 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// main.mjs は読み込み時にカレントディレクトリの JSON を読み書きするので、一時ディレクトリで読み込む
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "looking-bot-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const { parseVerdict, parseBatchVerdicts } = await import("../main.mjs");
+
+const verdict = (fields) => JSON.stringify({ category: "harassment", severity: "medium", confidence: 0.8, reason: "侮辱", ...fields });
+
+test("parseVerdict は前後の文章やコードブロックを除いて JSON を取り出す", () => {
+  assert.deepEqual(parseVerdict("判定結果:\n```json\n" + verdict() + "\n```"), {
+    category: "harassment",
+    severity: "medium",
+    confidence: 0.8,
+    reason: "侮辱",
+  });
+});
+
+test("parseVerdict は理由を 100 文字で切り、空のままにはしない", () => {
+  assert.equal(parseVerdict(verdict({ reason: "あ".repeat(150) })).reason.length, 100);
+  assert.ok(parseVerdict(verdict({ reason: "  " })).reason.length > 0);
+});
+
+test("parseVerdict は不正な応答をどこが悪いかを添えて弾く", () => {
+  assert.throws(() => parseVerdict("判定できません"), /JSON/);
+  assert.throws(() => parseVerdict(verdict({ category: "insult" })), /category/);
+  assert.throws(() => parseVerdict(verdict({ severity: "extreme" })), /severity/);
+  assert.throws(() => parseVerdict(verdict({ confidence: 1.5 })), /confidence/);
+  assert.throws(() => parseVerdict(verdict({ confidence: "" })), /confidence/);
+  assert.throws(() => parseVerdict(verdict({ reason: 1 })), /reason/);
+});
+
+test("parseBatchVerdicts は index の順に並べ替える", () => {
+  const rep = JSON.stringify({
+    verdicts: [
+      { index: 2, ...JSON.parse(verdict({ category: "spam" })) },
+      { index: 1, ...JSON.parse(verdict({ category: "none" })) },
+    ],
+  });
+  assert.deepEqual(parseBatchVerdicts(rep, 2).map((v) => v.category), ["none", "spam"]);
+});
+
+test("parseBatchVerdicts は verdicts が無い・index が範囲外・抜けがある応答を弾く", () => {
+  const item = JSON.parse(verdict());
+  assert.throws(() => parseBatchVerdicts(JSON.stringify({ results: [] }), 1), /verdicts/);
+  assert.throws(() => parseBatchVerdicts(JSON.stringify({ verdicts: [{ index: 3, ...item }] }), 2), /index: 3/);
+  assert.throws(() => parseBatchVerdicts(JSON.stringify({ verdicts: [{ index: 1, ...item }] }), 2), /index 2/);
+});
+
+test("parseVerdict は大文字・空白・どの言語の表示名で返された値も受け付ける", () => {
+  const v = parseVerdict(verdict({ category: "Self Harm", severity: "重度", confidence: "0.5" }));
+  assert.equal(v.category, "self-harm");
+  assert.equal(v.severity, "high");
+  assert.equal(v.confidence, 0.5);
+  assert.equal(parseVerdict(verdict({ category: "Harassment / insults" })).category, "harassment");
+});
+
+test("形式エラーは再質問をギルドの言語で書けるようキーを持つ", () => {
+  assert.throws(() => parseVerdict(verdict({ severity: "extreme" })), (err) => err.messageKey === "verdictError.severity" && err.vars.value === "extreme");
+  assert.throws(() => parseBatchVerdicts(JSON.stringify({ verdicts: [] }), 1), (err) => err.messageKey === "verdictError.missing");
+});